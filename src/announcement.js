@@ -0,0 +1,104 @@
+import { readFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { logger } from './logger.js';
+
+export const PROFILE_KIND = 0;
+export const HANDLER_KIND = 31990; // NIP-89 handler information
+
+const DEFAULT_CONFIG = {
+  profile: {
+    about: 'Decentralized, privacy-first AI assistant on Nostr. Pay per message with Lightning zaps.',
+    picture: null,
+    banner: null,
+    website: null,
+    lud16: null,
+    nip05: null,
+  },
+  handler: {
+    identifier: 'zapai-dvm',
+    // Kinds we serve; their prices come from the pricing rate card
+    kinds: [5050, 4, 1],
+  },
+};
+
+/**
+ * Load announcement config (profile + NIP-89 handler) from a JSON file.
+ * Missing file or fields fall back to defaults.
+ */
+export function loadAnnouncementConfig(configPath) {
+  let fileConfig = {};
+
+  if (configPath && existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to parse announcement config ${configPath}:`, error.message);
+    }
+  } else if (configPath) {
+    logger.info(`Announcement config ${configPath} not found, using defaults`);
+  }
+
+  return {
+    profile: { ...DEFAULT_CONFIG.profile, ...(fileConfig.profile || {}) },
+    handler: { ...DEFAULT_CONFIG.handler, ...(fileConfig.handler || {}) },
+  };
+}
+
+/**
+ * Build kind 0 profile metadata (null fields are omitted).
+ */
+export function buildProfileMetadata(config, botName) {
+  const metadata = {
+    name: botName,
+    display_name: botName,
+    bot: true,
+  };
+
+  for (const [key, value] of Object.entries(config.profile)) {
+    if (key === 'name') continue; // Name always comes from BOT_NAME
+    if (value !== null && value !== undefined && value !== '') {
+      metadata[key] = value;
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Build unsigned kind 0 and kind 31990 event templates.
+ * @param {object} pricing - Advertised prices by kind (PricingEngine.handlerPricing)
+ */
+export function buildAnnouncementTemplates(config, botName, pricing = {}) {
+  const metadata = buildProfileMetadata(config, botName);
+  const { identifier, kinds } = config.handler;
+
+  const handlerContent = {
+    ...metadata,
+    pricing,
+  };
+
+  return [
+    {
+      kind: PROFILE_KIND,
+      content: JSON.stringify(metadata),
+      tags: [],
+    },
+    {
+      kind: HANDLER_KIND,
+      content: JSON.stringify(handlerContent),
+      tags: [
+        ['d', identifier],
+        ...kinds.map(kind => ['k', String(kind)]),
+      ],
+    },
+  ];
+}
+
+/**
+ * Stable hash of an event template's content and tags (used to detect changes).
+ */
+export function hashTemplate(template) {
+  return createHash('sha256')
+    .update(JSON.stringify([template.kind, template.content, template.tags]))
+    .digest('hex');
+}
@@ -0,0 +1,154 @@
+/**
+ * Minimal BOLT11 invoice decoder.
+ * Only extracts what zap receipt validation needs: amount, payment hash and description hash.
+ * Only mainnet (lnbc) invoices are accepted: sats on any other network are worthless to us.
+ * The invoice signature is not verified (the LNURL provider's signed zap receipt vouches for it).
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const SIGNATURE_WORDS = 104; // 65-byte recoverable signature
+const TIMESTAMP_WORDS = 7;
+
+// Amount multipliers, expressed as millisats per unit
+const MSATS_PER_BTC = 100_000_000_000n;
+const MULTIPLIERS = {
+  m: MSATS_PER_BTC / 1_000n,
+  u: MSATS_PER_BTC / 1_000_000n,
+  n: MSATS_PER_BTC / 1_000_000_000n,
+  p: null, // pico-BTC: 1p = 0.1 msat, handled separately
+};
+
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GEN[i];
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+  return result;
+}
+
+function bech32Decode(str) {
+  const lower = str.toLowerCase();
+  if (lower !== str && str.toUpperCase() !== str) {
+    throw new Error('Mixed-case bech32 string');
+  }
+
+  const sep = lower.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > lower.length) {
+    throw new Error('Invalid bech32 separator position');
+  }
+
+  const hrp = lower.slice(0, sep);
+  const words = [];
+  for (const char of lower.slice(sep + 1)) {
+    const value = CHARSET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid bech32 character: ${char}`);
+    words.push(value);
+  }
+
+  if (polymod([...hrpExpand(hrp), ...words]) !== 1) {
+    throw new Error('Invalid bech32 checksum');
+  }
+
+  return { hrp, words: words.slice(0, -6) };
+}
+
+function wordsToBytes(words) {
+  let acc = 0;
+  let bits = 0;
+  const bytes = [];
+  for (const word of words) {
+    acc = (acc << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function wordsToInt(words) {
+  return words.reduce((acc, word) => acc * 32 + word, 0);
+}
+
+function parseAmountMsats(hrp) {
+  const match = /^ln(bcrt|bc|tbs|tb|sb)(\d+)?([munp])?$/.exec(hrp);
+  if (!match) {
+    throw new Error(`Unsupported invoice prefix: ${hrp}`);
+  }
+
+  const [, network, digits, multiplier] = match;
+  if (network !== 'bc') {
+    throw new Error(`Not a mainnet invoice: ${hrp}`);
+  }
+  if (!digits) {
+    return { network, amountMsats: null };
+  }
+
+  const value = BigInt(digits);
+  if (!multiplier) {
+    return { network, amountMsats: value * MSATS_PER_BTC };
+  }
+  if (multiplier === 'p') {
+    if (value % 10n !== 0n) {
+      throw new Error('Sub-millisat invoice amount');
+    }
+    return { network, amountMsats: value / 10n };
+  }
+  return { network, amountMsats: value * MULTIPLIERS[multiplier] };
+}
+
+/**
+ * Decode a BOLT11 invoice.
+ * @param {string} invoice
+ * @returns {{ network: string, amountMsats: bigint|null, timestamp: number, paymentHash: string|null, descriptionHash: string|null, description: string|null }}
+ */
+export function decodeBolt11(invoice) {
+  if (typeof invoice !== 'string' || invoice.length < 20) {
+    throw new Error('Invoice is missing or too short');
+  }
+
+  const { hrp, words } = bech32Decode(invoice.trim());
+  if (words.length < TIMESTAMP_WORDS + SIGNATURE_WORDS) {
+    throw new Error('Invoice data is too short');
+  }
+
+  const { network, amountMsats } = parseAmountMsats(hrp);
+  const timestamp = wordsToInt(words.slice(0, TIMESTAMP_WORDS));
+  const tagged = words.slice(TIMESTAMP_WORDS, words.length - SIGNATURE_WORDS);
+
+  let paymentHash = null;
+  let descriptionHash = null;
+  let description = null;
+
+  let pos = 0;
+  while (pos + 3 <= tagged.length) {
+    const type = CHARSET[tagged[pos]];
+    const length = tagged[pos + 1] * 32 + tagged[pos + 2];
+    const data = tagged.slice(pos + 3, pos + 3 + length);
+    pos += 3 + length;
+
+    if (type === 'p' && length === 52) {
+      paymentHash = wordsToBytes(data).toString('hex');
+    } else if (type === 'h' && length === 52) {
+      descriptionHash = wordsToBytes(data).toString('hex');
+    } else if (type === 'd') {
+      description = wordsToBytes(data).toString('utf8');
+    }
+  }
+
+  return { network, amountMsats, timestamp, paymentHash, descriptionHash, description };
+}
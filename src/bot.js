@@ -1,30 +1,77 @@
-import { NRelay1, NSecSigner } from '@nostrify/nostrify';
-import { nip19 } from 'nostr-tools';
+import { NSecSigner } from '@nostrify/nostrify';
+import { nip13, nip19, verifyEvent, getEventHash, generateSecretKey } from 'nostr-tools';
+import { createHash } from 'crypto';
 import { logger } from './logger.js';
 import { Database } from './database.js';
 import { ZapDatabase } from './zapdb.js';
-import { GeminiAI } from './gemini.js';
+import { createLLMProvider } from './providers.js';
 import { MessageQueue } from './queue.js';
 import { RateLimiter } from './ratelimiter.js';
+import { loadAnnouncementConfig, buildAnnouncementTemplates, hashTemplate } from './announcement.js';
+import { ZapValidator } from './zapvalidator.js';
+import { loadRateCard, PricingEngine } from './pricing.js';
+import { RelayAuthenticator } from './relayauth.js';
+import { RelayPool } from './relaypool.js';
+import { UserRelayLists, normalizeRelayUrl } from './userrelays.js';
+import { HighWaterMarks } from './highwater.js';
+import { SeenEvents } from './seenevents.js';
+import { Outbox } from './outbox.js';
+import { RelayInfo } from './relayinfo.js';
+import { PowMiner } from './powminer.js';
+import { UserProfiles } from './userprofiles.js';
+import { UserMemory, parseMemoryCommand } from './usermemory.js';
+import { splitContent } from './contentsplit.js';
+import { StreamChunker } from './streamchunker.js';
+
+// NIP-90 Data Vending Machine kinds (text generation)
+const JOB_REQUEST_KIND = 5050;
+const JOB_RESULT_KIND = JOB_REQUEST_KIND + 1000;
+const JOB_FEEDBACK_KIND = 7000;
+
+// NIP-17 private direct messages (NIP-59 gift wrap + NIP-44 encryption)
+const PRIVATE_DM_KIND = 14;
+const SEAL_KIND = 13;
+const GIFT_WRAP_KIND = 1059;
+const GIFT_WRAP_MAX_SKEW_SECONDS = 2 * 24 * 60 * 60; // NIP-59: timestamps are randomized up to 2 days back
+
+// Shortest part an over-long answer is split into for small NIP-11 limits
+const MIN_PART_LENGTH = 200;
+
+// Last DM part when generation fails after part of a streamed answer went out
+const INTERRUPTED_NOTE = '⚠️ Sorry, the rest of this answer could not be generated.';
+
+// Opt-in DM sent while an answer is generated (dmProgressNotice)
+const PROGRESS_NOTICE = '⏳ Thinking…';
+
+// Relays added or removed through the web API, applied on top of NOSTR_RELAYS
+const RELAY_SETTINGS_META_KEY = 'relaypool:settings';
 
 /**
  * Scalable Nostr AI Bot with queue system, rate limiting, and Zap support
  */
 export class NostrBot {
-  constructor(config) {
+  /**
+   * @param {object} config - See src/index.js; `dataDir` (default ./data) holds the LMDB stores
+   * @param {object} [deps] - Replacements for the bot's collaborators, e.g. in tests
+   * @param {Database} [deps.db] - Conversation database (also stores meta settings)
+   * @param {ZapDatabase} [deps.zapDb] - Balances, zaps and ledger
+   * @param {object} [deps.llm] - Answer generator (an LLMProvider), defaults to the one `config.llmProvider` names
+   * @param {function} [deps.createRelay] - (url, opts) => relay connection, defaults to NRelay1
+   */
+  constructor(config, { db = null, zapDb = null, llm = null, createRelay = undefined } = {}) {
     this.config = config;
-    this.relays = [];
     this.signer = null;
     this.pubkey = null;
-    this.processedEvents = new Set();
-    this.processedMessages = new Map(); // Track by pubkey+content to prevent duplicate responses
-    this.controllers = [];
-    this.db = new Database('./data/conversations');
-    this.zapDb = new ZapDatabase('./data/zaps');
-
-    // User metadata cache (avoid slow relay fetch on every DM)
-    this.userMetadataCache = new Map(); // pubkey -> { data, fetchedAt }
-    this.userMetadataInFlight = new Map(); // pubkey -> Promise
+    this.controllers = new Map(); // relay url -> AbortController of its subscription loop
+    this.backgroundTasks = new Set(); // un-awaited work that stop() lets finish before the stores close
+    this.dataDir = config.dataDir || './data';
+    this.db = db || new Database(`${this.dataDir}/conversations`);
+    this.zapDb = zapDb || new ZapDatabase(`${this.dataDir}/zaps`);
+    this.createRelay = createRelay;
+
+    // User profiles (kind 0) are cached in LMDB so answers don't wait for a relay fetch
+    this.userProfiles = null;
+    this.userMemory = null;
     this.userMetadataCacheTtlMs = Number.isFinite(config.userMetadataCacheTtlMs)
       ? config.userMetadataCacheTtlMs
       : 6 * 60 * 60 * 1000; // 6h
@@ -32,8 +79,8 @@ export class NostrBot {
       ? config.userMetadataFastTimeoutMs
       : 300; // return quickly; fetch continues in background
     
-    // Initialize Gemini AI
-    this.gemini = new GeminiAI(config.geminiApiKey, config.botName, config.geminiOptions || {});
+    // Answer generator (Gemini or an OpenAI-compatible server)
+    this.llm = llm || createLLMProvider(config);
     
     // Initialize message queue
     this.queue = new MessageQueue({
@@ -60,16 +107,84 @@ export class NostrBot {
       messagesDropped: 0,
       rateLimited: 0,
       errors: 0,
+      jobsReceived: 0,
+      jobsCompleted: 0,
+      zapsCredited: 0,
+      zapsRejected: 0,
+      refunds: 0,
+      refundedSats: 0,
     };
     
-    // Relay status tracking
-    this.relayStatus = new Map();
-    
-    // Track failed relay connections
-    this.failedRelays = new Set();
-    this.maxReconnectAttempts = 5; // Maximum reconnection attempts per relay
+    // Relay pool: connection state and health per relay; failed relays are re-probed
+    this.relayPool = new RelayPool({
+      createRelay,
+      probeIntervalMs: Number.isFinite(config.relayProbeIntervalMs) ? config.relayProbeIntervalMs : undefined,
+      onRecover: (url) => this._startListening(url),
+    });
+    this.relayStatus = this.relayPool.status;
+    this.envRelays = [...config.relays]; // NOSTR_RELAYS; admin changes are stored on top (RELAY_SETTINGS_META_KEY)
+    this.listening = false;
+    this.maxReconnectAttempts = 5; // Reconnection attempts before a relay is handed to the prober
     this.reconnectAttempts = new Map(); // Track attempts per relay
 
+    // Publish to the N healthiest relays (0 = all usable relays); the next N are tried if none accept
+    this.relayPublishFanout = Number.isFinite(config.relayPublishFanout) ? config.relayPublishFanout : 0;
+
+    // NIP-65 outbox: replies and DMs also go to (up to N of) the recipient's own relays
+    this.userRelaysMax = Number.isFinite(config.userRelaysMax) ? config.userRelaysMax : 5;
+    this.userRelaysTimeoutMs = Number.isFinite(config.userRelaysTimeoutMs) ? config.userRelaysTimeoutMs : 5000;
+    this.userRelaysCacheTtlMs = Number.isFinite(config.userRelaysCacheTtlMs)
+      ? config.userRelaysCacheTtlMs
+      : 6 * 60 * 60 * 1000; // 6h
+    this.userRelays = null;
+
+    // Catch-up after downtime: resubscribe from each relay's last processed created_at
+    // minus a safety margin, but never further back than the lookback cap
+    this.catchupMaxLookbackSeconds = Number.isFinite(config.catchupMaxLookbackSeconds)
+      ? config.catchupMaxLookbackSeconds
+      : 24 * 60 * 60; // 24h
+    this.catchupMarginSeconds = Number.isFinite(config.catchupMarginSeconds) ? config.catchupMarginSeconds : 120;
+    // Durable dedupe for every event kind; entries must outlive the catch-up window,
+    // which for gift wraps reaches back another GIFT_WRAP_MAX_SKEW_SECONDS
+    const minSeenTtlMs = (this.catchupMaxLookbackSeconds + this.catchupMarginSeconds + GIFT_WRAP_MAX_SKEW_SECONDS) * 1000;
+    this.seenEvents = new SeenEvents(`${this.dataDir}/seen`, {
+      ttlMs: Math.max(Number.isFinite(config.seenEventsTtlMs) ? config.seenEventsTtlMs : 0, minSeenTtlMs),
+    });
+    this.messageFingerprintTtlMs = 5 * 60 * 1000; // Same content from the same user is answered once per 5 minutes
+
+    this.highWater = new HighWaterMarks({
+      store: this.db,
+      onAdvance: (url, mark) => {
+        const relayStatus = this.relayStatus.get(url);
+        if (relayStatus) relayStatus.highWaterMark = mark;
+      },
+    });
+
+    // NIP-13: events for relays that demand proof of work are mined off the main thread
+    this.powMiner = new PowMiner({
+      maxDifficulty: Number.isFinite(config.powMaxDifficulty) ? config.powMaxDifficulty : undefined,
+      timeBudgetMs: Number.isFinite(config.powTimeBudgetMs) ? config.powTimeBudgetMs : undefined,
+    });
+
+    // NIP-11 limits: relays that can't take an event are skipped, over-long answers are split
+    this.relayInfo = new RelayInfo({
+      store: this.db,
+      cacheTtlMs: Number.isFinite(config.relayInfoCacheTtlMs) ? config.relayInfoCacheTtlMs : undefined,
+      maxPowDifficulty: this.powMiner.maxDifficulty,
+      onUpdate: (url, limits) => {
+        const relayStatus = this.relayStatus.get(url);
+        if (relayStatus) relayStatus.limits = limits;
+      },
+    });
+
+    // Durable outbox: relays that miss a published event are retried with backoff
+    this.outbox = new Outbox(`${this.dataDir}/outbox`, {
+      maxAttempts: Number.isFinite(config.outboxMaxAttempts) ? config.outboxMaxAttempts : undefined,
+      baseDelayMs: Number.isFinite(config.outboxRetryDelayMs) ? config.outboxRetryDelayMs : undefined,
+      defaultRelays: () => this.config.relays,
+      onComplete: (entry) => this._onOutboxComplete(entry),
+    });
+
     // Relay publishing timeout (prevents hung relay publishes from stalling processing)
     this.relayPublishTimeoutMs = Number.isFinite(config.relayPublishTimeoutMs)
       ? config.relayPublishTimeoutMs
@@ -139,14 +254,19 @@ export class NostrBot {
     if (!eventId || typeof eventId !== 'string') return null;
     const filter = { ids: [eventId], limit: 1 };
 
-    for (const { relay, url } of this.relays) {
+    for (const { relay, url } of this.relayPool.ranked()) {
+      const startedAt = Date.now();
       try {
         for await (const msg of relay.req([filter], { signal: AbortSignal.timeout(timeoutMs) })) {
           if (msg[0] === 'EVENT') {
+            this.relayPool.recordFetch(url, { ok: true, latencyMs: Date.now() - startedAt });
             return msg[2];
           }
+          if (msg[0] === 'EOSE') break; // Relay doesn't have it, try the next one
         }
+        this.relayPool.recordFetch(url, { ok: true, latencyMs: Date.now() - startedAt });
       } catch (e) {
+        this.relayPool.recordFetch(url, { ok: false, error: e?.message || String(e) });
         logger.debug(`Thread fetch: failed to fetch event ${eventId.substring(0, 8)}... from ${url}: ${e?.message || e}`);
       }
     }
@@ -165,10 +285,11 @@ export class NostrBot {
     const byId = new Map();
 
     // Best-effort: union results from relays until we hit limit.
-    for (const { relay, url } of this.relays) {
+    for (const { relay, url } of this.relayPool.ranked()) {
       if (byId.size >= limit) break;
       try {
         for await (const msg of relay.req([filter], { signal: AbortSignal.timeout(timeoutMs) })) {
+          if (msg[0] === 'EOSE') break;
           if (msg[0] !== 'EVENT') continue;
           const ev = msg[2];
           if (!ev?.id || byId.has(ev.id)) continue;
@@ -230,14 +351,272 @@ export class NostrBot {
     return filtered.map(toHistoryItem);
   }
 
+  /**
+   * Track a promise nobody awaits (event handlers, background publishes) until it settles
+   */
+  _background(promise) {
+    this.backgroundTasks.add(promise);
+    promise.finally(() => this.backgroundTasks.delete(promise)).catch(() => {});
+    return promise;
+  }
+
   _withTimeout(promise, ms, label = 'operation') {
     if (!ms || ms <= 0) return promise;
+    let timer;
     return Promise.race([
       promise,
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`${label} timeout after ${ms}ms`)), ms)
-      ),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timeout after ${ms}ms`)), ms);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Publish a signed event to one relay. If the relay answers `auth-required:`,
+   * wait for NIP-42 auth to complete and try once more.
+   */
+  async _sendEventToRelay(relay, url, signedEvent, label, timeoutMs = this.relayPublishTimeoutMs) {
+    try {
+      return await this._withTimeout(relay.event(signedEvent), timeoutMs, `${label} to ${url}`);
+    } catch (error) {
+      if (!RelayAuthenticator.isAuthRequired(error.message)) {
+        throw error;
+      }
+
+      logger.info(`${url} requires authentication to publish, authenticating...`);
+      if (!(await this.relayAuth.waitForAuth(url))) {
+        throw error;
+      }
+
+      return await this._withTimeout(relay.event(signedEvent), timeoutMs, `${label} to ${url}`);
+    }
+  }
+
+  /**
+   * Publish a signed event through the outbox: store it, try the healthiest relays (and for
+   * replies and DMs the recipient's relays), then leave relays that failed to the retry loop.
+   * @param {object} [options]
+   * @param {string} [options.recipient] - Pubkey the event is for (shown in the dashboard)
+   * @param {boolean} [options.userRelays] - Also deliver to the recipient's NIP-65 / NIP-17 relays
+   * @param {boolean} [options.dm] - Prefer the recipient's DM inbox relays
+   * @param {object} [options.context] - Handed to `_onOutboxComplete` if the retries decide the outcome
+   * @returns {Promise<{own: object, inbox: object, successCount: number, retrying: boolean}>}
+   */
+  async _publish(signedEvent, label, { recipient = null, userRelays = false, dm = false, context = null } = {}) {
+    await this.outbox.add(signedEvent, { label, recipient, context });
+
+    const [own, inbox] = await Promise.all([
+      this._broadcast(signedEvent, label),
+      userRelays && recipient
+        ? this._deliverToUserRelays(recipient, signedEvent, label, { dm })
+        : { successCount: 0, attempted: 0, results: [], skipped: [] },
     ]);
+
+    for (const result of [...own.results, ...inbox.results, ...own.skipped, ...inbox.skipped]) {
+      this.outbox.recordAttempt(signedEvent.id, result.url, result);
+    }
+    const entry = await this.outbox.settle(signedEvent.id);
+
+    return {
+      own,
+      inbox,
+      successCount: own.successCount + inbox.successCount,
+      retrying: !entry.complete,
+    };
+  }
+
+  /**
+   * Publish a signed event to the healthiest relays, recording each outcome in the relay pool.
+   * Relays whose NIP-11 limits rule the event out are skipped.
+   * With a publish fanout, the next batch is only tried when no relay in the previous one accepted it.
+   * @returns {Promise<{successCount: number, attempted: number, results: object[], skipped: object[]}>}
+   */
+  async _broadcast(signedEvent, label) {
+    const { usable: relays, skipped } = this._filterPublishable(this.relayPool.ranked(), signedEvent, label);
+    const batchSize = this.relayPublishFanout > 0 ? this.relayPublishFanout : relays.length;
+
+    const results = [];
+    for (let i = 0; i < relays.length && !results.some(result => result.ok); i += batchSize) {
+      const batch = relays.slice(i, i + batchSize);
+      results.push(...await Promise.all(batch.map(({ relay, url }) => this._publishToRelay(relay, url, signedEvent, label))));
+    }
+
+    return { successCount: results.filter(result => result.ok).length, attempted: results.length, results, skipped };
+  }
+
+  /**
+   * NIP-65 outbox: also deliver to the recipient's own relays (their NIP-17 inbox relays for DMs,
+   * NIP-65 read relays otherwise) that are not among ours, capped and with a shorter timeout.
+   * @returns {Promise<{successCount: number, attempted: number, results: object[], skipped: object[]}>}
+   */
+  async _deliverToUserRelays(pubkey, signedEvent, label, { dm = false } = {}) {
+    if (!this.userRelays) return { successCount: 0, attempted: 0, results: [], skipped: [] };
+
+    const targets = (await this.userRelays.targets(pubkey, { dm, exclude: this.config.relays })).map(url => ({ url }));
+    const { usable, skipped } = this._filterPublishable(targets, signedEvent, `${label} (user relay)`);
+    const results = await Promise.all(usable.map(({ url }) =>
+      this._publishToRelay(this.userRelays.connection(url), url, signedEvent, `${label} (user relay)`, this.userRelaysTimeoutMs)
+    ));
+
+    return { successCount: results.filter(result => result.ok).length, attempted: usable.length, results, skipped };
+  }
+
+  /**
+   * Split relays (`{url, ...}` entries) into those the event can go to and those whose cached
+   * NIP-11 limits (size, PoW, payment) rule it out
+   */
+  _filterPublishable(relays, signedEvent, label) {
+    const usable = [];
+    const skipped = [];
+    for (const relay of relays) {
+      const { ok, reason } = this.relayInfo.check(relay.url, signedEvent);
+      if (ok) {
+        usable.push(relay);
+      } else {
+        logger.debug(`Skipping ${relay.url} for ${label}: ${reason}`);
+        skipped.push({ url: relay.url, ok: false, skipped: true, error: reason });
+      }
+    }
+    return { usable, skipped };
+  }
+
+  /**
+   * Outbox retry of one relay: our own relays while the pool considers them usable, otherwise
+   * a user relay connection. An event the relay wants more PoW for is mined again first and
+   * returned with the result so later retries reuse it.
+   */
+  async _retryPublish(url, signedEvent, label) {
+    if (!this._canRemine(url, signedEvent)) {
+      return this._retryPublishAs(url, signedEvent, label);
+    }
+
+    const mined = await this._signEvent({
+      kind: signedEvent.kind,
+      content: signedEvent.content,
+      tags: signedEvent.tags,
+      created_at: signedEvent.created_at,
+    }, { difficulty: this.relayInfo.powDifficulty([url]) });
+    return { ...await this._retryPublishAs(url, mined, label), event: mined };
+  }
+
+  async _retryPublishAs(url, signedEvent, label) {
+    const { ok, reason } = this.relayInfo.check(url, signedEvent);
+    if (!ok) {
+      return { url, ok: false, skipped: true, error: reason };
+    }
+
+    const entry = this.relayPool.get(url);
+    if (entry) {
+      if (this.relayPool.isFailed(url)) {
+        return { url, ok: false, error: 'relay is marked as failed' };
+      }
+      return this._publishToRelay(entry.relay, url, signedEvent, `${label} (retry)`);
+    }
+
+    if (!this.userRelays) {
+      return { url, ok: false, error: 'not connected' };
+    }
+    return this._publishToRelay(this.userRelays.connection(url), url, signedEvent, `${label} (retry)`, this.userRelaysTimeoutMs);
+  }
+
+  /**
+   * Publish to one relay
+   * @returns {Promise<{url: string, ok: boolean, error: string|null}>} error is the relay's OK reason or a transport error
+   */
+  async _publishToRelay(relay, url, signedEvent, label, timeoutMs = this.relayPublishTimeoutMs) {
+    const startedAt = Date.now();
+    try {
+      await this._sendEventToRelay(relay, url, signedEvent, label, timeoutMs);
+      this.relayPool.recordPublish(url, { ok: true, latencyMs: Date.now() - startedAt });
+      this.relayInfo.recordAccepted(url);
+      logger.debug(`✓ ${label} to ${url}`);
+      return { url, ok: true, error: null };
+    } catch (error) {
+      // The relay already has it (e.g. from an earlier attempt that timed out on our side)
+      if (error.message.startsWith('duplicate:')) {
+        this.relayPool.recordPublish(url, { ok: true, latencyMs: Date.now() - startedAt });
+        logger.debug(`✓ ${label} to ${url} (${error.message})`);
+        return { url, ok: true, error: null };
+      }
+
+      this.relayPool.recordPublish(url, { ok: false, error: error.message });
+      let retryable = false;
+      if (error.message.startsWith('pow:')) {
+        // Mine for this relay from the next event on, and have the outbox retry this one mined
+        this.relayInfo.recordPowRejection(url, error.message, signedEvent);
+        retryable = this._canRemine(url, signedEvent);
+      }
+      // Relays whose NIP-11 document announces PoW or payment are skipped before publishing,
+      // so a rejection here is worth seeing
+      logger.warn(`✗ ${label} to ${url}: ${error.message}`);
+      return { url, ok: false, error: error.message, retryable };
+    }
+  }
+
+  /**
+   * Whether an event can be mined again for a relay that wants more PoW than it has: only
+   * events the bot signed itself (gift wraps carry a throwaway key), and only up to `powMaxDifficulty`
+   */
+  _canRemine(url, signedEvent) {
+    return signedEvent.pubkey === this.pubkey
+      && this.relayInfo.powDifficulty([url]) > nip13.getPow(signedEvent.id);
+  }
+
+  /**
+   * NRelay1 options for every relay connection: NIP-42 auth, plus OK messages for the outbox
+   */
+  _relayOptions(url) {
+    const options = this.relayAuth.relayOptions(url);
+    return {
+      ...options,
+      log: (entry) => {
+        options.log?.(entry);
+        this.outbox.observe(url, entry);
+      },
+    };
+  }
+
+  /**
+   * Query the healthiest relays in parallel and return the union of stored events (until EOSE)
+   */
+  async _queryRelays(filters, timeoutMs, relayCount = 3) {
+    const byId = new Map();
+
+    await Promise.all(this.relayPool.ranked(relayCount).map(async ({ relay, url }) => {
+      const startedAt = Date.now();
+      try {
+        for await (const msg of relay.req(filters, { signal: AbortSignal.timeout(timeoutMs) })) {
+          if (msg[0] === 'EOSE') break;
+          if (msg[0] === 'EVENT' && !byId.has(msg[2].id)) byId.set(msg[2].id, msg[2]);
+        }
+        this.relayPool.recordFetch(url, { ok: true, latencyMs: Date.now() - startedAt });
+      } catch (error) {
+        this.relayPool.recordFetch(url, { ok: false, error: error.message });
+        logger.debug(`Query to ${url} failed: ${error.message}`);
+      }
+    }));
+
+    return [...byId.values()];
+  }
+
+  /**
+   * Open the same subscription on each usable relay until `signal` aborts, calling
+   * `onEvent` for every event (duplicates across relays included)
+   */
+  _subscribeRelays(filters, onEvent, signal) {
+    for (const { relay, url } of this.relayPool.ranked()) {
+      (async () => {
+        try {
+          for await (const msg of relay.req(filters, { signal })) {
+            if (msg[0] === 'EVENT') onEvent(msg[2], url);
+          }
+        } catch (error) {
+          if (error.name !== 'AbortError') {
+            logger.debug(`Subscription on ${url} ended: ${error.message}`);
+          }
+        }
+      })();
+    }
   }
 
   /**
@@ -271,138 +650,389 @@ export class NostrBot {
     // Initialize databases
     await this.db.init();
     await this.zapDb.init();
+    await this.seenEvents.init();
+    await this.outbox.init();
 
     // Initialize signer
     await this.init();
 
-    // Connect to each relay
-    for (const relayUrl of this.config.relays) {
-      try {
-        const relay = new NRelay1(relayUrl);
-        this.relays.push({ url: relayUrl, relay });
-        
-        // Initialize relay status
-        this.relayStatus.set(relayUrl, {
-          url: relayUrl,
-          connected: true,
-          lastSeen: Date.now(),
-          messagesReceived: 0,
-          messagesSent: 0,
-          errors: 0,
-          lastError: null,
-        });
-        
-        logger.info(`Connected to relay: ${relayUrl}`);
-      } catch (error) {
-        logger.error(`Failed to connect to relay ${relayUrl}:`, error);
-        
-        this.relayStatus.set(relayUrl, {
-          url: relayUrl,
-          connected: false,
-          lastSeen: null,
-          messagesReceived: 0,
-          messagesSent: 0,
-          errors: 1,
-          lastError: error.message,
-        });
-      }
+    // Profile + NIP-89 handler content (also provides our lud16 for zap validation)
+    this.announcementConfig = loadAnnouncementConfig(this.config.announcementConfigPath);
+
+    // Rate card from the config file, plus admin changes saved through the web API
+    this.pricing = new PricingEngine({
+      rateCard: loadRateCard(this.config.pricingConfigPath),
+      store: this.db,
+      // Users who paid before the free tier existed are not new users
+      firstActivity: (pubkey) => this.zapDb.getFirstActivity(pubkey),
+      // Requests are billed at the rates of the model they are routed to
+      models: () => this.llm.answerModels?.() || [],
+      // The NIP-89 handler advertises the rate card's prices, so republish it when they change
+      onChange: () => this._background(this.publishAnnouncements().catch(error => {
+        logger.error('Failed to publish announcements:', error);
+      })),
+    });
+    await this.pricing.init();
+
+    // NIP-57 zap receipt validation against our LNURL provider
+    this.zapValidator = new ZapValidator({
+      botPubkey: this.pubkey,
+      lud16: this.config.zapLud16 || this.announcementConfig.profile.lud16,
+      providerPubkeys: this.config.zapProviderPubkeys || [],
+      store: this.db,
+    });
+
+    // NIP-42: answer AUTH challenges and track per-relay auth state
+    this.relayAuth = new RelayAuthenticator({
+      signer: this.signer,
+      onStateChange: (url, auth) => {
+        const relayStatus = this.relayStatus.get(url);
+        if (relayStatus) relayStatus.auth = auth;
+      },
+    });
+
+    // Connect to each relay; status flips to connected when the socket actually opens
+    this.config.relays = await this._loadRelayList();
+    this.relayPool.connect(this.config.relays, (url) => this._relayOptions(url));
+    for (const url of this.config.relays) {
+      const relayStatus = this.relayStatus.get(url);
+      if (relayStatus) relayStatus.auth = this.relayAuth.describe(url);
     }
 
-    if (this.relays.length === 0) {
+    if (this.relayPool.ranked().length === 0) {
       throw new Error('Failed to connect to any relays');
     }
 
+    // Recipients' kind 10002 / 10050 relay lists, cached in LMDB
+    this.userRelays = new UserRelayLists({
+      store: this.db,
+      fetchEvents: (filters, timeoutMs) => this._queryRelays(filters, timeoutMs),
+      relayOptions: (url) => this._relayOptions(url),
+      createRelay: this.createRelay,
+      cacheTtlMs: this.userRelaysCacheTtlMs,
+      maxRelays: this.userRelaysMax,
+    });
+
+    // Senders' kind 0 profiles, cached in LMDB; active users' profile edits arrive live
+    this.userProfiles = new UserProfiles({
+      store: this.db,
+      fetchEvents: (filters, timeoutMs) => this._queryRelays(filters, timeoutMs),
+      subscribe: (filters, onEvent, signal) => this._subscribeRelays(filters, onEvent, signal),
+      cacheTtlMs: this.userMetadataCacheTtlMs,
+      fetchTimeoutMs: this.userMetadataFastTimeoutMs,
+    });
+
+    // Long-term memory about each user, learned from their DM conversations
+    const memoryConfig = this.config.userMemory || {};
+    if (memoryConfig.enabled !== false) {
+      this.userMemory = new UserMemory({
+        store: this.db,
+        llm: this.llm,
+        minNewMessages: memoryConfig.minNewMessages,
+        minIntervalMs: memoryConfig.minIntervalMs,
+        // Our cost, not the user's: counted in the usage totals but never charged
+        onUsage: (pubkey, sessionId, usage) => this.db.recordUsage(pubkey, sessionId, {
+          usage,
+          providerCost: this.pricing.providerCost(usage),
+          memory: true,
+        }),
+      });
+    }
+
+    // NIP-11 documents (cached; refreshed in the background)
+    await this.relayInfo.load(this.config.relays);
+
+    // Retry publishes that relays missed, including ones left over from the last run
+    this.outbox.start((url, event, label) => this._retryPublish(url, event, label));
+
+    // Per-relay catch-up points from the last run
+    await this.highWater.load(this.config.relays);
+    for (const url of this.config.relays) {
+      const relayStatus = this.relayStatus.get(url);
+      if (relayStatus) relayStatus.highWaterMark = this.highWater.get(url);
+    }
+
+    logger.info('Bot is now listening for:');
+    logger.info('  • Encrypted DMs (kind 4)');
+    logger.info(`  • Gift-wrapped private DMs (kind ${GIFT_WRAP_KIND} / NIP-17)`);
+    logger.info('  • Public mentions & replies (kind 1)');
+    logger.info('  • Zap receipts (kind 9735)');
+    logger.info('  • Balance requests (kind 1006)');
+    logger.info(`  • DVM text-generation jobs (kind ${JOB_REQUEST_KIND})`);
+    logger.info('Send a DM or mention @ZapAI to start chatting!');
+
+    // Publish profile + NIP-89 handler in the background (only if changed)
+    this._background(this.publishAnnouncements().catch(error => {
+      logger.error('Failed to publish announcements:', error);
+    }));
+
+    // Listen to each relay
+    this.listening = true;
+    for (const { url } of this.relayPool.ranked()) {
+      this._startListening(url);
+    }
+  }
+
+  /**
+   * Start (or, after a successful re-probe or reset, restart) the subscription loop for a relay
+   */
+  _startListening(url) {
+    const entry = this.relayPool.get(url);
+    if (!entry || !this.listening) return;
+
+    this._stopListening(url);
+    this.reconnectAttempts.set(url, 0);
+    const controller = new AbortController();
+    this.controllers.set(url, controller);
+
+    this.listenToRelay(entry.relay, url, controller.signal).catch(error => {
+      logger.error(`Error listening to ${url}:`, error);
+    });
+  }
+
+  /**
+   * Abort a relay's subscription loop
+   */
+  _stopListening(url) {
+    this.controllers.get(url)?.abort();
+    this.controllers.delete(url);
+  }
+
+  /**
+   * Relays to use: NOSTR_RELAYS plus relays added, minus relays removed through the web API
+   */
+  async _loadRelayList() {
+    const settings = await this.db.getMeta(RELAY_SETTINGS_META_KEY) || { added: [], removed: [] };
+    const removed = new Set(settings.removed);
+    const relays = this.envRelays.filter(url => !removed.has(normalizeRelayUrl(url)));
+    for (const url of settings.added) {
+      if (!relays.some(existing => normalizeRelayUrl(existing) === url)) relays.push(url);
+    }
+
+    if (settings.added.length > 0 || settings.removed.length > 0) {
+      logger.info(`Relay list changed through the web API: +${settings.added.length} / -${settings.removed.length} relays`);
+    }
+    return relays;
+  }
+
+  /**
+   * Store the current relay list as changes on top of NOSTR_RELAYS
+   */
+  async _saveRelayList() {
+    const env = new Set(this.envRelays.map(normalizeRelayUrl));
+    const current = new Set(this.config.relays.map(normalizeRelayUrl));
+    await this.db.setMeta(RELAY_SETTINGS_META_KEY, {
+      added: [...current].filter(url => !env.has(url)),
+      removed: [...env].filter(url => !current.has(url)),
+      updatedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Configured relay matching a URL (ignoring a trailing slash), or null
+   */
+  _findRelay(url) {
+    const normalized = normalizeRelayUrl(url);
+    return normalized ? this.config.relays.find(existing => normalizeRelayUrl(existing) === normalized) || null : null;
+  }
+
+  /**
+   * Add a relay at runtime: connect, resume from its stored high-water mark and subscribe.
+   * Errors carry an HTTP `status` (400 invalid URL, 409 already configured).
+   * @returns {Promise<object>} The relay's status record
+   */
+  async addRelay(url) {
+    const normalized = normalizeRelayUrl(url);
+    if (!normalized) {
+      throw Object.assign(new Error('url must be a ws:// or wss:// relay URL'), { status: 400 });
+    }
+    if (this._findRelay(normalized)) {
+      throw Object.assign(new Error(`Relay ${normalized} is already configured`), { status: 409 });
+    }
+
+    this.config.relays.push(normalized);
+    await this._saveRelayList();
+
+    this.relayPool.add(normalized);
+    const relayStatus = this.relayStatus.get(normalized);
+    relayStatus.auth = this.relayAuth.describe(normalized);
+    await this.highWater.load([normalized]);
+    relayStatus.highWaterMark = this.highWater.get(normalized);
+    await this.relayInfo.load([normalized]);
+
+    this._startListening(normalized);
+    logger.info(`Relay ${normalized} added`);
+    return relayStatus;
+  }
+
+  /**
+   * Remove a relay at runtime: stop its subscription and close the connection.
+   * Errors carry an HTTP `status` (404 unknown relay, 400 for the last relay).
+   */
+  async removeRelay(url) {
+    const configured = this._findRelay(url);
+    if (!configured) {
+      throw Object.assign(new Error(`Relay ${url} is not configured`), { status: 404 });
+    }
+    if (this.config.relays.length === 1) {
+      throw Object.assign(new Error('Cannot remove the last relay'), { status: 400 });
+    }
+
+    this.config.relays = this.config.relays.filter(existing => existing !== configured);
+    await this._saveRelayList();
+
+    this._stopListening(configured);
+    this.relayPool.remove(configured);
+    this.reconnectAttempts.delete(configured);
+    logger.info(`Relay ${configured} removed`);
+    return { url: configured, removed: true };
+  }
+
+  /**
+   * Clear a relay's failed state, reconnect it and restart its subscription.
+   * Errors carry an HTTP `status` (404 unknown relay).
+   * @returns {object} The relay's status record
+   */
+  resetRelay(url) {
+    const configured = this._findRelay(url);
+    if (!configured || !this.relayPool.reset(configured)) {
+      throw Object.assign(new Error(`Relay ${url} is not configured`), { status: 404 });
+    }
+
+    this._startListening(configured);
+    return this.relayStatus.get(configured);
+  }
+
+  /**
+   * Subscription filters for a relay, starting from its high-water mark (catch-up) or now
+   */
+  _subscriptionFilters(relayUrl) {
+    const since = this.highWater.since(relayUrl, {
+      marginSeconds: this.catchupMarginSeconds,
+      maxLookbackSeconds: this.catchupMaxLookbackSeconds,
+    });
+
     // Subscribe to multiple event types:
-    // 1. Kind 4: Encrypted DMs
+    // 1. Kind 4 / 1059: Encrypted DMs (NIP-04) and gift-wrapped DMs (NIP-17)
     // 2. Kind 1: Public mentions and replies  
     // 3. Kind 9735: Zap receipts
     // 4. Kind 1006: Balance requests
-    const filters = [
+    // 5. Kind 5050: NIP-90 text-generation job requests, open ones and those addressed to us
+    return [
       {
         kinds: [4], // Encrypted DMs
         '#p': [this.pubkey],
-        since: Math.floor(Date.now() / 1000),
+        since,
+      },
+      {
+        kinds: [GIFT_WRAP_KIND], // NIP-17 gift-wrapped DMs (created_at is randomized into the past)
+        '#p': [this.pubkey],
+        since: since - GIFT_WRAP_MAX_SKEW_SECONDS,
       },
       {
         kinds: [1], // Public posts mentioning or replying to bot
         '#p': [this.pubkey],
-        since: Math.floor(Date.now() / 1000),
+        since,
       },
       {
         kinds: [9735], // Zap receipts
         '#p': [this.pubkey],
-        since: Math.floor(Date.now() / 1000),
+        since,
       },
       {
         kinds: [1006], // Balance requests
         '#p': [this.pubkey],
-        since: Math.floor(Date.now() / 1000),
+        since,
+      },
+      {
+        kinds: [JOB_REQUEST_KIND], // DVM job requests addressed to us
+        '#p': [this.pubkey],
+        since,
+      },
+      {
+        kinds: [JOB_REQUEST_KIND], // Open DVM job requests (no p tag) any provider may take
+        since,
       },
     ];
-
-    logger.info('Bot is now listening for:');
-    logger.info('  • Encrypted DMs (kind 4)');
-    logger.info('  • Public mentions & replies (kind 1)');
-    logger.info('  • Zap receipts (kind 9735)');
-    logger.info('  • Balance requests (kind 1006)');
-    logger.info('Send a DM or mention @ZapAI to start chatting!');
-
-    // Listen to each relay
-    for (const { url, relay } of this.relays) {
-      const controller = new AbortController();
-      this.controllers.push(controller);
-
-      this.listenToRelay(relay, url, filters, controller.signal).catch(error => {
-        logger.error(`Error listening to ${url}:`, error);
-      });
-    }
   }
 
   /**
    * Listen to a relay for incoming messages
    */
-  async listenToRelay(relay, relayUrl, filters, signal) {
+  async listenToRelay(relay, relayUrl, signal) {
     // Initialize reconnect attempts counter
     if (!this.reconnectAttempts.has(relayUrl)) {
       this.reconnectAttempts.set(relayUrl, 0);
     }
+
+    // Resubscriptions after NIP-42 auth since the relay last accepted the subscription
+    let authRetries = 0;
     
     while (!signal.aborted) {
-      // Check if relay has failed too many times
-      if (this.failedRelays.has(relayUrl)) {
+      // Check if relay has failed too many times (the pool re-probes it and restarts this loop)
+      if (this.relayPool.isFailed(relayUrl)) {
         logger.warn(`Relay ${relayUrl} is marked as failed, skipping...`);
         break;
       }
       
       try {
+        const filters = this._subscriptionFilters(relayUrl);
+        const behindSeconds = Math.floor(Date.now() / 1000) - filters[0].since;
+        if (behindSeconds > this.catchupMarginSeconds) {
+          logger.info(`Catching up on ${relayUrl} from ${new Date(filters[0].since * 1000).toISOString()} (${Math.round(behindSeconds / 60)} min back)`);
+        }
         logger.debug(`Starting subscription to ${relayUrl}`);
+        let live = false; // Stored events come before EOSE; only later ones say anything about lag
         
         for await (const msg of relay.req(filters, { signal })) {
           if (msg[0] === 'EVENT') {
             const event = msg[2];
             // Reset reconnect attempts on successful message
             this.reconnectAttempts.set(relayUrl, 0);
+            authRetries = 0;
+            this.relayPool.recordEvent(relayUrl, event, { live });
             
-            // Handle event without blocking the loop
-            this.handleEvent(event, relayUrl).catch(error => {
-              logger.error(`Error handling event from ${relayUrl}:`, error);
-            });
+            // Handle event without blocking the loop; the relay's high-water mark
+            // moves past it once it has been processed
+            const highWaterTs = this.highWater.begin(relayUrl, event.created_at);
+            this._background(this.handleEvent(event, relayUrl)
+              .catch(error => {
+                logger.error(`Error handling event from ${relayUrl}:`, error);
+              })
+              .finally(() => this.highWater.end(relayUrl, highWaterTs)));
           } else if (msg[0] === 'EOSE') {
             logger.debug(`EOSE received from ${relayUrl}`);
+            authRetries = 0;
+            live = true;
           } else if (msg[0] === 'CLOSED') {
             logger.warn(`Subscription closed by ${relayUrl}: ${msg[1]}`);
             break; // Exit the for loop to reconnect
           }
         }
         
+        // NRelay1 ends the subscription on CLOSED without the reason; if the relay
+        // wants NIP-42 auth, authenticate and resubscribe instead of burning a reconnect attempt
+        const closedReason = this.relayAuth.takeClosedReason(relayUrl);
+        if (!signal.aborted && RelayAuthenticator.isAuthRequired(closedReason)) {
+          if (authRetries < 2) {
+            authRetries++;
+            logger.info(`${relayUrl} requires authentication (${closedReason}), authenticating...`);
+            if (await this.relayAuth.waitForAuth(relayUrl)) {
+              continue;
+            }
+          }
+          logger.warn(`Could not authenticate to ${relayUrl}, falling back to reconnect`);
+        } else if (closedReason) {
+          logger.warn(`Subscription closed by ${relayUrl}: ${closedReason}`);
+        }
+
         // If we exit the loop and not aborted, wait before reconnecting
         if (!signal.aborted) {
           const attempts = this.reconnectAttempts.get(relayUrl) || 0;
           
           if (attempts >= this.maxReconnectAttempts) {
-            logger.error(`Relay ${relayUrl} failed ${attempts} times, marking as permanently failed`);
-            this.failedRelays.add(relayUrl);
-            this.relayStatus.get(relayUrl).connected = false;
+            logger.error(`Relay ${relayUrl} failed ${attempts} times, marking as failed`);
+            this.relayPool.markFailed(relayUrl, `Gave up after ${attempts} reconnect attempts`);
             break;
           }
           
@@ -421,9 +1051,8 @@ export class NostrBot {
         const attempts = this.reconnectAttempts.get(relayUrl) || 0;
         
         if (attempts >= this.maxReconnectAttempts) {
-          logger.error(`Relay ${relayUrl} failed ${attempts} times, marking as permanently failed`);
-          this.failedRelays.add(relayUrl);
-          this.relayStatus.get(relayUrl).connected = false;
+          logger.error(`Relay ${relayUrl} failed ${attempts} times, marking as failed`);
+          this.relayPool.markFailed(relayUrl, error.message);
           break;
         }
         
@@ -442,17 +1071,23 @@ export class NostrBot {
    * Handle incoming event with queue system and rate limiting
    */
   async handleEvent(event, relayUrl) {
-    // Skip if already processed (by event ID)
-    if (this.processedEvents.has(event.id)) {
+    // Skip if already seen (by event ID): delivered by another relay, or before a restart
+    if (!(await this.seenEvents.claim(event.id, { type: `kind-${event.kind}` }))) {
       logger.debug(`Duplicate event ${event.id} from ${relayUrl}, skipping`);
       return;
     }
-    this.processedEvents.add(event.id);
 
-    // Keep only recent 1000 events in memory
-    if (this.processedEvents.size > 1000) {
-      const first = this.processedEvents.values().next().value;
-      this.processedEvents.delete(first);
+    // Unwrap NIP-17 gift wraps into the inner kind 14 chat message
+    if (event.kind === GIFT_WRAP_KIND) {
+      const rumor = await this.unwrapGiftWrap(event);
+      if (!rumor) {
+        return;
+      }
+      if (!(await this.seenEvents.claim(rumor.id, { type: `kind-${rumor.kind}` }))) {
+        logger.debug(`Duplicate gift-wrapped message ${rumor.id} from ${relayUrl}, skipping`);
+        return;
+      }
+      event = rumor;
     }
 
     // Skip messages from the bot itself
@@ -462,8 +1097,10 @@ export class NostrBot {
 
     // Handle different event kinds
     if (event.kind === 9735) {
-      // Zap receipt
-      await this.handleZapReceipt(event, relayUrl);
+      // Zap receipt; one that could not be credited yet is handled again on redelivery
+      if (!(await this.handleZapReceipt(event, relayUrl))) {
+        await this.seenEvents.release(event.id);
+      }
       return;
     } else if (event.kind === 1006) {
       // Balance request
@@ -471,20 +1108,24 @@ export class NostrBot {
       return;
     }
 
-    const eventType = event.kind === 4 ? 'DM' : 'mention/reply';
+    // Open job subscription: jobs p-tagged to other DVMs are theirs (no rate-limit feedback either)
+    if (this._isJobForOtherProvider(event)) {
+      return;
+    }
+
+    const eventType = event.kind === 4 ? 'DM' : event.kind === PRIVATE_DM_KIND ? 'private DM (NIP-17)' : event.kind === JOB_REQUEST_KIND ? 'DVM job' : 'mention/reply';
     logger.info(`Received ${eventType} from ${event.pubkey.substring(0, 8)}... on ${relayUrl}`);
     
     // Update stats
     this.stats.messagesReceived++;
-    
-    // Update relay status
-    const relayStatus = this.relayStatus.get(relayUrl);
-    if (relayStatus) {
-      relayStatus.messagesReceived++;
-      relayStatus.lastSeen = Date.now();
-      relayStatus.connected = true;
+    if (event.kind === JOB_REQUEST_KIND) {
+      this.stats.jobsReceived++;
     }
 
+    // Warm the sender's relay lists while the answer is generated, and watch their profile
+    if (this.userRelays) this._background(this.userRelays.get(event.pubkey).catch(() => null));
+    this.userProfiles?.touch(event.pubkey);
+
     // Check rate limit
     const rateLimitResult = await this.rateLimiter.checkLimit(event.pubkey);
     if (!rateLimitResult.allowed) {
@@ -492,15 +1133,23 @@ export class NostrBot {
       this.stats.rateLimited++;
       
       // Send rate limit message (only for DMs)
-      if (event.kind === 4) {
+      if (this._isDirectMessage(event)) {
         try {
           await this.sendDM(
             event.pubkey, 
-            rateLimitResult.reason + ` (Retry in ${rateLimitResult.retryAfter} seconds)`
+            rateLimitResult.reason + ` (Retry in ${rateLimitResult.retryAfter} seconds)`,
+            null,
+            this._dmOptions(event)
           );
         } catch (error) {
           logger.error('Failed to send rate limit message:', error);
         }
+      } else if (event.kind === JOB_REQUEST_KIND) {
+        await this.publishJobFeedback(
+          event,
+          'error',
+          rateLimitResult.reason + ` (Retry in ${rateLimitResult.retryAfter} seconds)`
+        );
       }
       return;
     }
@@ -508,35 +1157,70 @@ export class NostrBot {
     // Add to queue for processing
     try {
       this.stats.messagesQueued++;
+      // Resolves once the task has run, so the relay's high-water mark only passes processed events
+      let markProcessed;
+      const processed = new Promise(resolve => { markProcessed = resolve; });
       await this.queue.enqueue(async () => {
-        await this.processMessage(event, relayUrl);
+        try {
+          if (event.kind === JOB_REQUEST_KIND) {
+            await this.processJobRequest(event, relayUrl);
+          } else {
+            await this.processMessage(event, relayUrl);
+          }
+        } finally {
+          markProcessed();
+        }
       });
+      await processed;
     } catch (error) {
       if (error.message === 'Queue is full') {
         this.stats.messagesDropped++;
         logger.error(`Queue full! Dropped message from ${event.pubkey.substring(0, 8)}...`);
+        // Not handled: a redelivery gets another chance
+        await this._releaseEvent(event);
         
         // Send queue full message (only for DMs)
-        if (event.kind === 4) {
+        if (this._isDirectMessage(event)) {
           try {
             await this.sendDM(
               event.pubkey, 
-              "I'm currently very busy processing many requests. Please try again in a few minutes."
+              "I'm currently very busy processing many requests. Please try again in a few minutes.",
+              null,
+              this._dmOptions(event)
             );
           } catch (sendError) {
             logger.error('Failed to send queue full message:', sendError);
           }
+        } else if (event.kind === JOB_REQUEST_KIND) {
+          await this.publishJobFeedback(event, 'error', 'DVM is at capacity, please try again in a few minutes');
         }
       }
     }
   }
 
   /**
-   * Calculate Levenshtein distance between two strings (for fuzzy matching)
+   * Forget that a request was seen (its event id, gift wrap id and content fingerprint) after
+   * it was turned away or failed, so the same event delivered again, or the same text sent
+   * again, is answered
    */
-  levenshteinDistance(str1, str2) {
-    const len1 = str1.length;
-    const len2 = str2.length;
+  async _releaseEvent(event, { fingerprint = null } = {}) {
+    try {
+      const ids = [event.id, event.wrapId];
+      for (const key of [...ids.filter(Boolean), fingerprint && `fingerprint:${fingerprint}`]) {
+        if (key) await this.seenEvents.release(key);
+      }
+      await this.db.forgetEvents(ids);
+    } catch (error) {
+      logger.error(`Failed to release event ${event.id.substring(0, 8)}...:`, error);
+    }
+  }
+
+  /**
+   * Calculate Levenshtein distance between two strings (for fuzzy matching)
+   */
+  levenshteinDistance(str1, str2) {
+    const len1 = str1.length;
+    const len2 = str2.length;
     const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
     
     for (let i = 0; i <= len1; i++) matrix[i][0] = i;
@@ -625,117 +1309,25 @@ export class NostrBot {
     return false;
   }
 
-  /**
-   * Fetch user metadata from relay (kind 0 event)
-   */
-  async fetchUserMetadata(pubkey) {
-    try {
-      logger.info(`Fetching metadata for ${pubkey.substring(0, 8)}...`);
-      
-      const filter = {
-        kinds: [0], // Metadata event
-        authors: [pubkey],
-        limit: 1
-      };
-      
-      // Try to get metadata from any available relay
-      for (const { relay, url } of this.relays) {
-        try {
-          for await (const msg of relay.req([filter], { signal: AbortSignal.timeout(5000) })) {
-            if (msg[0] === 'EVENT') {
-              const metadataEvent = msg[2];
-              const metadata = JSON.parse(metadataEvent.content);
-              logger.info(`✓ Metadata fetched for ${pubkey.substring(0, 8)}... from ${url}: ${metadata.name || 'unknown'}`);
-              return {
-                name: metadata.name || null,
-                displayName: metadata.display_name || metadata.displayName || null,
-                about: metadata.about || null,
-                picture: metadata.picture || null,
-                nip05: metadata.nip05 || null,
-                lud16: metadata.lud16 || null,
-                lud06: metadata.lud06 || null,
-                website: metadata.website || null,
-                banner: metadata.banner || null,
-                fetchedAt: Date.now(),
-                fetchedFrom: url
-              };
-            }
-          }
-        } catch (error) {
-          logger.debug(`Failed to fetch metadata from ${url}: ${error.message}`);
-          continue;
-        }
-      }
-      
-      logger.warn(`No metadata found for ${pubkey.substring(0, 8)}...`);
-      return null;
-    } catch (error) {
-      logger.error(`Error fetching user metadata:`, error);
-      return null;
-    }
-  }
-
-  /**
-   * Get cached metadata if fresh.
-   */
-  getCachedUserMetadata(pubkey) {
-    const entry = this.userMetadataCache.get(pubkey);
-    if (!entry) return null;
-    if (Date.now() - entry.fetchedAt > this.userMetadataCacheTtlMs) {
-      this.userMetadataCache.delete(pubkey);
-      return null;
-    }
-    return entry.data;
-  }
-
-  /**
-   * Get user metadata with a fast timeout.
-   * - If cached: returns immediately.
-   * - If not cached: kicks off background fetch; returns null quickly if it takes too long.
-   */
-  async getUserMetadataFast(pubkey) {
-    const cached = this.getCachedUserMetadata(pubkey);
-    if (cached) return cached;
-
-    // Deduplicate concurrent fetches per pubkey
-    let inFlight = this.userMetadataInFlight.get(pubkey);
-    if (!inFlight) {
-      inFlight = (async () => {
-        try {
-          const meta = await this.fetchUserMetadata(pubkey);
-          if (meta) {
-            this.userMetadataCache.set(pubkey, { data: meta, fetchedAt: Date.now() });
-          }
-          return meta;
-        } finally {
-          this.userMetadataInFlight.delete(pubkey);
-        }
-      })();
-      // Ensure background errors don't become unhandled
-      inFlight.catch(() => null);
-      this.userMetadataInFlight.set(pubkey, inFlight);
-    }
-
-    // Return quickly for responsiveness; background fetch will warm cache.
-    const timeoutMs = this.userMetadataFastTimeoutMs;
-    return await Promise.race([
-      inFlight,
-      new Promise(resolve => setTimeout(() => resolve(null), timeoutMs)),
-    ]);
-  }
-
   /**
    * Process a message (called by queue)
    */
   async processMessage(event, relayUrl) {
+    // Charge taken for this message that has not yet been earned by a delivered answer
+    let pendingCharge = 0;
+    // When a free request was used for this message, until its answer is delivered
+    let pendingFree = null;
+    // Content fingerprint claimed for this message, released again if answering it fails
+    let fingerprint = null;
+
     try {
       let messageContent;
       let sessionId = null;
       let userMetadata = null;
       let userMetadataPromise = null;
       
-      // Extract session ID from tags (for kind 4 DMs)
-      if (event.kind === 4) {
+      // Extract session ID from tags (for kind 4 / kind 14 DMs)
+      if (this._isDirectMessage(event)) {
         const sessionTag = event.tags.find(tag => tag[0] === 'session');
         if (sessionTag && sessionTag[1]) {
           sessionId = sessionTag[1];
@@ -743,10 +1335,10 @@ export class NostrBot {
         } else {
           logger.warn(`DM from ${event.pubkey.substring(0, 8)}... received without session tag - creating new conversation`);
         }
-        
-        // Fetch user metadata with cache + fast timeout (only for kind 4 DMs)
-        userMetadataPromise = this.getUserMetadataFast(event.pubkey);
       }
+
+      // Sender's profile from the cache (a first fetch only gets a short head start)
+      userMetadataPromise = this.userProfiles.get(event.pubkey);
       
       // Handle different event kinds
       if (event.kind === 4) {
@@ -757,6 +1349,9 @@ export class NostrBot {
           logger.error('NIP-04 encryption not supported by signer');
           return;
         }
+      } else if (event.kind === PRIVATE_DM_KIND) {
+        // NIP-17 chat message - already decrypted while unwrapping the gift wrap
+        messageContent = event.content;
       } else if (event.kind === 1) {
         // Public post - content is already plain text
         messageContent = event.content;
@@ -780,38 +1375,34 @@ export class NostrBot {
         }
       }
 
-      // Create message fingerprint based on actual content
-      const messageFingerprint = `${event.pubkey}:${messageContent}`;
+      // Create message fingerprint based on actual content; it expires from the seen-events
+      // index on its own, so there is nothing to sweep here
+      const messageFingerprint = createHash('sha256').update(`${event.pubkey}:${messageContent}`).digest('hex');
       
       // Check if we already processed this exact message content
-      if (this.processedMessages.has(messageFingerprint)) {
+      const firstSeen = await this.seenEvents.claim(`fingerprint:${messageFingerprint}`, {
+        ttlMs: this.messageFingerprintTtlMs,
+        type: 'fingerprint',
+      });
+      if (!firstSeen) {
         logger.debug(`Already processed this message content from ${event.pubkey.substring(0, 8)}..., skipping`);
         return;
       }
-      
-      // Mark as processed
-      this.processedMessages.set(messageFingerprint, Date.now());
-      
-      // Clean up old fingerprints (older than 5 minutes)
-      const now = Date.now();
-      for (const [key, timestamp] of this.processedMessages.entries()) {
-        if (now - timestamp > 300000) { // 5 minutes
-          this.processedMessages.delete(key);
-        }
-      }
+      fingerprint = messageFingerprint;
 
       logger.debug(`Processing: ${messageContent.substring(0, 50)}...`);
 
       // Save user message to database with metadata including session and user metadata
       const messageMetadata = {
         eventId: event.id,
+        wrapId: event.wrapId || null,
         eventKind: event.kind,
         messageType: 'question',
         sessionId: sessionId
       };
 
-      // Add user metadata if available (only for kind 4 DMs)
-      if (userMetadata && event.kind === 4) {
+      // Add user metadata if available (only for DMs)
+      if (userMetadata && this._isDirectMessage(event)) {
         messageMetadata.userMetadata = userMetadata;
         logger.info(`📋 User metadata attached: ${userMetadata.name || userMetadata.displayName || 'unknown'}`);
       }
@@ -836,6 +1427,62 @@ export class NostrBot {
         return;
       }
 
+      // =============================================
+      // MEMORY COMMANDS (/memory, /remember, /forget) - DMs only, the memory is private
+      // =============================================
+      const memoryCommand = this.userMemory && this._isDirectMessage(event) ? parseMemoryCommand(messageContent) : null;
+      if (memoryCommand) {
+        logger.info(`Memory command (${memoryCommand.action}) from ${event.pubkey.substring(0, 8)}...`);
+
+        const memoryMessage = await this.userMemory.command(event.pubkey, memoryCommand);
+        await this.sendDM(event.pubkey, memoryMessage, sessionId, this._dmOptions(event));
+
+        await this.db.saveMessage(
+          event.pubkey,
+          memoryMessage,
+          true,
+          {
+            eventKind: event.kind,
+            messageType: 'memory_info',
+            sessionId: sessionId,
+          }
+        );
+        return; // Free, like balance requests
+      }
+
+      // Price for this user and kind: discounts, promotions and free allowance
+      const quote = await this.pricing.quote(event.pubkey, event.kind, {
+        nip05: userMetadata?.nip05,
+        nip05Verified: userMetadata?.nip05Verified === true,
+      });
+
+      // =============================================
+      // CHECK IF MESSAGE ASKS WHAT THE LAST MESSAGE COST
+      // =============================================
+      if (this.isCostRequest(messageContent)) {
+        logger.info(`Cost request detected from ${event.pubkey.substring(0, 8)}...`);
+
+        const costMessage = await this.buildLastCostMessage(event.pubkey, quote);
+
+        if (this._isDirectMessage(event)) {
+          await this.sendDM(event.pubkey, costMessage, sessionId, this._dmOptions(event));
+        } else if (event.kind === 1) {
+          await this.sendReply(event, costMessage);
+        }
+
+        await this.db.saveMessage(
+          event.pubkey,
+          costMessage,
+          true,
+          {
+            eventKind: event.kind,
+            messageType: 'cost_info',
+            sessionId: sessionId,
+          }
+        );
+        return; // Free, like balance requests
+      }
+
       // =============================================
       // CHECK IF MESSAGE IS A BALANCE REQUEST
       // =============================================
@@ -844,16 +1491,16 @@ export class NostrBot {
         
         const currentBalance = await this.zapDb.getBalance(event.pubkey);
         const balanceMessage = `💰 Your current balance: ${currentBalance} sats\n\n` +
-          `💸 Cost per message:\n` +
-          `  • DM (Direct Message): 1 sat\n` +
-          `  • Public mention/reply: 2 sats\n\n` +
+          `💸 Pricing is based on the tokens each answer uses:\n` +
+          `${this.pricing.describe(quote)}\n\n` +
+          `🧾 Ask "what did my last message cost?" for a breakdown.\n` +
           `⚡ Send a Zap to top up your balance!`;
 
         // Also publish balance to relays (kind 1006) so clients can track it in real-time
         await this.publishBalanceResponse(event.pubkey, currentBalance);
         
-        if (event.kind === 4) {
-          await this.sendDM(event.pubkey, balanceMessage, sessionId);
+        if (this._isDirectMessage(event)) {
+          await this.sendDM(event.pubkey, balanceMessage, sessionId, this._dmOptions(event));
         } else if (event.kind === 1) {
           await this.sendReply(event, balanceMessage);
         }
@@ -876,7 +1523,10 @@ export class NostrBot {
       // =============================================
       // CHECK BALANCE AND DEDUCT BEFORE GENERATING RESPONSE
       // =============================================
-      const cost = event.kind === 4 ? 1 : 2; // DM: 1 sat, Public: 2 sats 
+      // Only the minimum charge is known up front; the rest is billed from token usage.
+      // Requests covered by the daily free allowance cost nothing.
+      const free = quote.freeRemaining > 0 && await this.pricing.consumeFreeRequest(event.pubkey);
+      const cost = free ? 0 : quote.minimum;
       const currentBalance = await this.zapDb.getBalance(event.pubkey);
       
       logger.info(`User ${event.pubkey.substring(0, 8)}... balance: ${currentBalance} sats, required: ${cost} sats`);
@@ -886,11 +1536,11 @@ export class NostrBot {
         
         const insufficientBalanceMsg = `❌ Insufficient balance!\n\n` +
           `💰 Your balance: ${currentBalance} sats\n` +
-          `💸 Required: ${cost} sats (${event.kind === 4 ? 'DM' : 'Public mention/reply'})\n\n` +
+          `💸 Required: at least ${cost} sats (${this._isDirectMessage(event) ? 'DM' : 'Public mention/reply'})\n\n` +
           `Please send a Zap to top up your balance and continue using ZapAI. Thank you! ⚡`;
         
-        if (event.kind === 4) {
-          await this.sendDM(event.pubkey, insufficientBalanceMsg, sessionId);
+        if (this._isDirectMessage(event)) {
+          await this.sendDM(event.pubkey, insufficientBalanceMsg, sessionId, this._dmOptions(event));
         } else if (event.kind === 1) {
           await this.sendReply(event, insufficientBalanceMsg);
         }
@@ -913,14 +1563,19 @@ export class NostrBot {
       }
       
       // Deduct the cost from user's balance
-      const newBalance = await this.zapDb.deductFromBalance(event.pubkey, cost);
+      const newBalance = cost > 0
+        ? await this.zapDb.deductFromBalance(event.pubkey, cost, {
+          reference: { type: 'message', id: event.id, kind: event.kind },
+          memo: this._isDirectMessage(event) ? 'DM reply' : 'Public reply',
+        })
+        : currentBalance;
       
       if (newBalance === false) {
         logger.error(`Failed to deduct balance for ${event.pubkey.substring(0, 8)}...`);
         
         const errorMsg = "⚠️ An error occurred while processing your payment. Please try again.";
-        if (event.kind === 4) {
-          await this.sendDM(event.pubkey, errorMsg, sessionId);
+        if (this._isDirectMessage(event)) {
+          await this.sendDM(event.pubkey, errorMsg, sessionId, this._dmOptions(event));
         } else if (event.kind === 1) {
           await this.sendReply(event, errorMsg);
         }
@@ -942,7 +1597,14 @@ export class NostrBot {
         return;
       }
       
-      logger.info(`✓ Deducted ${cost} sats from ${event.pubkey.substring(0, 8)}..., new balance: ${newBalance} sats`);
+      pendingCharge = cost;
+      if (free) pendingFree = Date.now();
+      if (!free) await this.pricing.recordUse(event.pubkey);
+      if (free) {
+        logger.info(`🎁 Free request for ${event.pubkey.substring(0, 8)}... (${quote.freeRemaining - 1} left today)`);
+      } else {
+        logger.info(`✓ Deducted ${cost} sats from ${event.pubkey.substring(0, 8)}..., new balance: ${newBalance} sats`);
+      }
       // =============================================
 
       // Get conversation history from database
@@ -966,13 +1628,14 @@ export class NostrBot {
         logger.info(`[No Session] Retrieved ${conversationHistory.length} messages from ALL conversations for ${event.pubkey.substring(0, 8)}...`);
       }
 
-      // Use user metadata fetched at the beginning of processMessage (for kind 4 DMs)
+      // Use the profile fetched at the beginning of processMessage
       let userContext = null;
       if (userMetadata) {
         userContext = {
           name: userMetadata.name || userMetadata.displayName || 'User',
           about: userMetadata.about || null,
-          nip05: userMetadata.nip05 || null
+          nip05: userMetadata.nip05 || null,
+          nip05Verified: userMetadata.nip05Verified === true,
         };
         logger.info(`👤 User context: ${userContext.name}${userContext.nip05 ? ' (' + userContext.nip05 + ')' : ''}`);
       } else if (conversationHistory.length > 0) {
@@ -982,12 +1645,22 @@ export class NostrBot {
           userContext = {
             name: firstMessage.userMetadata.name || firstMessage.userMetadata.displayName || 'User',
             about: firstMessage.userMetadata.about || null,
-            nip05: firstMessage.userMetadata.nip05 || null
+            nip05: firstMessage.userMetadata.nip05 || null,
+            // Older history entries predate NIP-05 checks and count as unverified
+            nip05Verified: firstMessage.userMetadata.nip05Verified === true,
           };
           logger.info(`👤 User context (from history): ${userContext.name}${userContext.nip05 ? ' (' + userContext.nip05 + ')' : ''}`);
         }
       }
 
+      // Long-term memory goes into DM prompts only, so private facts never surface in public replies
+      const memory = this.userMemory && this._isDirectMessage(event)
+        ? await this.userMemory.forPrompt(event.pubkey)
+        : null;
+      if (memory) {
+        userContext = { ...(userContext || {}), memory };
+      }
+
       // Avoid expensive/verbose logs in production; enable via DEBUG=true
       if (conversationHistory.length > 0) {
         logger.debug(`History being sent to AI (${conversationHistory.length} messages)`);
@@ -995,84 +1668,718 @@ export class NostrBot {
         logger.debug('No history found; sending empty history to AI');
       }
 
-      // Generate AI response using Gemini (with circuit breaker protection)
+      // Generate AI response (with circuit breaker protection)
       // For DMs with a sessionId, reuse a per-session chat to reduce latency and token usage.
-      const geminiOptions = (event.kind === 4 && sessionId)
+      const generateOptions = (this._isDirectMessage(event) && sessionId)
         ? { conversationKey: `${event.pubkey}:${sessionId}` }
         : (event.kind === 1 && threadRootId)
           ? { conversationKey: `thread:${threadRootId}` }
           : {};
-      const response = await this.gemini.generateResponse(messageContent, conversationHistory, userContext, geminiOptions);
+      // What the provider may weigh when it picks a model for this request
+      generateOptions.routing = { isPublic: event.kind === 1, balance: newBalance, free };
+
+      // Long answers take a while: optionally say one is coming, and stream long DMs out in parts
+      this._sendProgressNotice(event, sessionId);
+      const chunker = this._isDirectMessage(event) && this.config.streamDmChunkChars > 0
+        ? new StreamChunker({
+          minChars: this.config.streamDmChunkChars,
+          send: (part) => this.sendDM(event.pubkey, part, sessionId, this._dmOptions(event)),
+        })
+        : null;
+      if (chunker) generateOptions.onText = (text) => chunker.push(text);
+
+      const result = await this.llm.generate(messageContent, conversationHistory, userContext, generateOptions);
+      await chunker?.settle();
+
+      // With parts already sent, only the rest is left - or a note that the answer stops there
+      let response = result.text;
+      if (chunker?.started) {
+        response = result.outcome === 'ok' ? chunker.rest(result.text).trim() : INTERRUPTED_NOTE;
+      }
+      let balanceAfter = newBalance;
+      let outcome = result.outcome;
+
+      if (result.outcome === 'ok') {
+        if (!free) {
+          const settled = await this._chargeUsage(event, quote, result.usage, pendingCharge, newBalance);
+          pendingCharge = settled.charged;
+          balanceAfter = settled.balance;
+        }
+      } else if (pendingCharge > 0) {
+        // A fallback or blocked answer is not worth paying for
+        const refunded = await this._refundCharge(event, pendingCharge, result.outcome);
+        if (refunded !== null) {
+          pendingCharge = 0;
+          balanceAfter = refunded;
+          response += `\n\n${this._refundNote(cost)}`;
+        }
+      } else if (pendingFree) {
+        // Nor worth a free request
+        await this._returnFreeRequest(event, pendingFree, result.outcome);
+        pendingFree = null;
+      }
 
       // Optional delay (defaults to 0 for snappier UX)
       if (Number.isFinite(this.config.responseDelay) && this.config.responseDelay > 0) {
         await this.sleep(this.config.responseDelay);
       }
 
-      // Send response based on event kind
-      let responseEventId = null;
-      if (event.kind === 4) {
-        // Reply with encrypted DM - include session tag
-        const dmEvent = await this.sendDM(event.pubkey, response, sessionId);
-        responseEventId = dmEvent?.id;
+      // Send response based on event kind. If no relay takes the answer now, the outbox
+      // keeps retrying and refunds the charge only if it gives up (see _onOutboxComplete).
+      const context = this._refundContext(event, pendingCharge, pendingFree);
+      let delivery = null;
+      if (this._isDirectMessage(event)) {
+        // Reply with encrypted DM in the same format the user used - include session tag
+        const finalPart = response
+          ? await this.sendDM(event.pubkey, response, sessionId, { ...this._dmOptions(event), context })
+          : null;
+        delivery = chunker ? chunker.delivery(finalPart) : finalPart;
       } else if (event.kind === 1) {
         // Reply with public post
-        const replyEvent = await this.sendReply(event, response);
-        responseEventId = replyEvent?.id;
+        delivery = await this.sendReply(event, response, { context });
+      }
+      const responseEventId = delivery?.signedEvent?.id || null;
+
+      // Nobody received the answer and no relay is left to retry: give the sats (or the free
+      // request) back. The kind 1006 balance event below is the only notice we can still get to the user.
+      if ((pendingCharge > 0 || pendingFree) && delivery?.successCount === 0) {
+        if (delivery.retrying) {
+          outcome = 'retrying';
+        } else if (pendingFree) {
+          await this._returnFreeRequest(event, pendingFree, 'undelivered');
+          outcome = 'undelivered';
+        } else {
+          const refunded = await this._refundCharge(event, pendingCharge, 'undelivered');
+          if (refunded !== null) {
+            pendingCharge = 0;
+            balanceAfter = refunded;
+            outcome = 'undelivered';
+          }
+        }
       }
+      const charged = pendingCharge;
+      pendingCharge = 0;
+      pendingFree = null;
+
+      await this._recordLastCost(event, { quote, usage: result.usage, charged, outcome, free });
 
       // Publish balance update event (kind 1006) for real-time balance tracking
-      await this.publishBalanceResponse(event.pubkey, newBalance);
+      await this.publishBalanceResponse(event.pubkey, balanceAfter);
 
-      // Save bot response to database with metadata linking to user message
+      // Save bot response to database with metadata linking to user message: the text
+      // exactly as the user received it, streamed parts included
       await this.db.saveMessage(
         event.pubkey, 
-        response, 
+        chunker ? chunker.join(response) : response, 
         true,
         {
           eventId: responseEventId,
           eventKind: event.kind,
           messageType: 'response',
           replyTo: userMessageRecord.messageId, // Link to the user's question
-          sessionId: sessionId // Include session for tracking
+          sessionId: sessionId, // Include session for tracking
+          model: result.route?.model || result.usage?.model || null,
+          routeReason: result.route?.reason || null,
+          usage: result.usage || null,
+          cost: charged,
+          providerCost: result.usage ? this.pricing.providerCost(result.usage) : null,
         }
       );
 
-      const replyType = event.kind === 4 ? 'DM' : 'public reply';
-      logger.info(`✓ ${replyType} sent to ${event.pubkey.substring(0, 8)}... (Balance: ${newBalance} sats)`);
+      // Fold the conversation into the user's memory once enough new messages piled up
+      if (this.userMemory && this._isDirectMessage(event) && result.outcome === 'ok') {
+        const update = this.userMemory.noteMessages(event.pubkey, sessionId);
+        if (update) this._background(update);
+      }
+
+      const replyType = this._isDirectMessage(event) ? 'DM' : 'public reply';
+      logger.info(`✓ ${replyType} sent to ${event.pubkey.substring(0, 8)}... (Balance: ${balanceAfter} sats)`);
     } catch (error) {
       logger.error('Failed to process message:', error);
       this.stats.errors++;
+
+      // Refund now rather than keep the sats for nothing; the message is released below so
+      // that sending it again (or its redelivery) is answered
+      let errorMsg = "I encountered an error processing your message. Please try again.";
+      if (pendingCharge > 0) {
+        const refunded = await this._refundCharge(event, pendingCharge, 'error');
+        if (refunded !== null) {
+          errorMsg += `\n\n${this._refundNote(pendingCharge)}`;
+        }
+      } else if (pendingFree) {
+        await this._returnFreeRequest(event, pendingFree, 'error');
+      }
       
       // Send error message to user (only for DMs)
-      if (event.kind === 4) {
+      if (this._isDirectMessage(event)) {
         try {
           await this.sendDM(
             event.pubkey, 
-            "I encountered an error processing your message. Please try again."
+            errorMsg,
+            null,
+            this._dmOptions(event)
           );
         } catch (sendError) {
           logger.error('Failed to send error message:', sendError);
         }
       }
-      
-      throw error; // Re-throw for queue retry logic
+
+      await this._releaseEvent(event, { fingerprint });
     }
   }
 
   /**
-   * Send an encrypted DM to a user
+   * Parse a NIP-90 job request into inputs, params and bid.
    */
-  async sendDM(recipientPubkey, content, sessionId = null) {
+  _parseJobRequest(event) {
+    const tags = Array.isArray(event?.tags) ? event.tags : [];
+
+    const inputs = tags
+      .filter(t => Array.isArray(t) && t[0] === 'i' && typeof t[1] === 'string')
+      .map(t => ({
+        value: t[1],
+        type: typeof t[2] === 'string' && t[2] ? t[2] : 'text',
+        relay: typeof t[3] === 'string' && t[3] ? t[3] : null,
+        marker: typeof t[4] === 'string' && t[4] ? t[4] : null,
+        tag: t,
+      }));
+
+    const params = {};
+    for (const t of tags) {
+      if (Array.isArray(t) && t[0] === 'param' && typeof t[1] === 'string') {
+        params[t[1]] = typeof t[2] === 'string' ? t[2] : null;
+      }
+    }
+
+    // Bid is expressed in millisats (NIP-90)
+    const bidValue = this._getTagValues(tags, 'bid')[0];
+    const bid = Number.isFinite(parseInt(bidValue)) ? parseInt(bidValue) : null;
+
+    return { inputs, params, bid };
+  }
+
+  /**
+   * Resolve job inputs into a single prompt.
+   * Supports `text` inputs directly and `event`/`job` inputs by fetching the referenced event.
+   */
+  async _resolveJobInputs(inputs) {
+    const parts = [];
+
+    for (const input of inputs) {
+      if (input.type === 'text') {
+        parts.push(input.value);
+      } else if (input.type === 'event' || input.type === 'job') {
+        const referenced = await this._fetchEventById(input.value);
+        if (referenced && typeof referenced.content === 'string') {
+          parts.push(referenced.content);
+        } else {
+          logger.warn(`DVM job input ${input.type} ${input.value.substring(0, 8)}... could not be fetched`);
+        }
+      } else {
+        logger.warn(`Unsupported DVM job input type: ${input.type}`);
+      }
+    }
+
+    return parts.filter(p => this._normalizeText(p).length > 0).join('\n\n');
+  }
+
+  /**
+   * Whether a job request names service providers (p tags) and we are not one of them
+   */
+  _isJobForOtherProvider(event) {
+    if (event.kind !== JOB_REQUEST_KIND) return false;
+    const providers = event.tags.filter(t => Array.isArray(t) && t[0] === 'p').map(t => t[1]);
+    return providers.length > 0 && !providers.includes(this.pubkey);
+  }
+
+  /**
+   * Process a NIP-90 text-generation job request (called by queue)
+   */
+  async processJobRequest(event, relayUrl) {
+    let pendingCharge = 0;
+    let pendingFree = null;
+
+    if (this._isJobForOtherProvider(event)) {
+      logger.debug(`[Job ${event.id.substring(0, 8)}] addressed to another service provider, skipping`);
+      return;
+    }
+
     try {
-      // Encrypt the content using NIP-04
-      let encryptedContent;
-      if (this.signer.nip04) {
-        encryptedContent = await this.signer.nip04.encrypt(recipientPubkey, content);
+      // Minimum charge held up front; the rest is billed from token usage, capped at the bid
+      const quote = await this.pricing.quote(event.pubkey, event.kind);
+      const shortPubkey = event.pubkey.substring(0, 8);
+
+      if (event.tags.some(t => Array.isArray(t) && t[0] === 'encrypted')) {
+        await this.publishJobFeedback(event, 'error', 'Encrypted job requests are not supported');
+        return;
+      }
+
+      const { inputs, params, bid } = this._parseJobRequest(event);
+      logger.info(`[Job ${event.id.substring(0, 8)}] ${inputs.length} input(s), params: ${JSON.stringify(params)}, bid: ${bid ?? 'none'}`);
+
+      if (inputs.length === 0) {
+        await this.publishJobFeedback(event, 'error', 'Job request has no input (i) tags');
+        return;
+      }
+
+      if (bid !== null && quote.minimum * 1000 > bid) {
+        await this.publishJobFeedback(event, 'error', `Minimum job price ${quote.minimum} sats exceeds bid of ${Math.floor(bid / 1000)} sats`);
+        return;
+      }
+
+      const prompt = await this._resolveJobInputs(inputs);
+      if (!prompt) {
+        await this.publishJobFeedback(event, 'error', 'Could not resolve any job input');
+        return;
+      }
+
+      const userMessageRecord = await this.db.saveMessage(
+        event.pubkey,
+        prompt,
+        false,
+        {
+          eventId: event.id,
+          eventKind: event.kind,
+          messageType: 'job_request',
+        }
+      );
+      if (!userMessageRecord) {
+        logger.error('Failed to persist job request, aborting processing');
+        return;
+      }
+
+      if (userMessageRecord.duplicate) {
+        logger.info(`Duplicate job ignored for ${shortPubkey}... (eventId=${event.id})`);
+        return;
+      }
+
+      const sessionId = userMessageRecord.sessionId;
+
+      const free = quote.freeRemaining > 0 && await this.pricing.consumeFreeRequest(event.pubkey);
+      const cost = free ? 0 : quote.minimum;
+      const currentBalance = await this.zapDb.getBalance(event.pubkey);
+      logger.info(`User ${shortPubkey}... balance: ${currentBalance} sats, required: ${cost} sats`);
+
+      if (currentBalance < cost) {
+        logger.warn(`Insufficient balance for job from ${shortPubkey}...: has ${currentBalance} sats, needs ${cost} sats`);
+
+        const paymentMsg = `Insufficient balance (${currentBalance} sats). Zap ${this.config.botName || 'ZapAI'} at least ${cost} sats and resubmit the job.`;
+        await this.publishJobFeedback(event, 'payment-required', paymentMsg, cost * 1000);
+
+        await this.db.saveMessage(
+          event.pubkey,
+          paymentMsg,
+          true,
+          {
+            eventKind: event.kind,
+            messageType: 'system',
+            sessionId: sessionId,
+          }
+        );
+        return;
+      }
+
+      const newBalance = cost > 0
+        ? await this.zapDb.deductFromBalance(event.pubkey, cost, {
+          reference: { type: 'message', id: event.id, kind: event.kind },
+          memo: 'DVM job',
+        })
+        : currentBalance;
+      if (newBalance === false) {
+        logger.error(`Failed to deduct balance for ${shortPubkey}...`);
+        await this.publishJobFeedback(event, 'error', 'An error occurred while processing your payment. Please try again.');
+        return;
+      }
+
+      pendingCharge = cost;
+      if (free) pendingFree = Date.now();
+      if (!free) await this.pricing.recordUse(event.pubkey);
+      if (free) {
+        logger.info(`🎁 Free job for ${shortPubkey}... (${quote.freeRemaining - 1} left today)`);
       } else {
-        throw new Error('NIP-04 encryption not supported by signer');
+        logger.info(`✓ Deducted ${cost} sats from ${shortPubkey}..., new balance: ${newBalance} sats`);
+      }
+
+      await this.publishJobFeedback(event, 'processing');
+
+      const result = await this.llm.complete(prompt, { routing: { balance: newBalance, free } });
+
+      // Fallback and blocked texts are not results: report an error instead of publishing them
+      if (result.outcome !== 'ok') {
+        const refunded = pendingCharge > 0 ? await this._refundCharge(event, pendingCharge, result.outcome) : null;
+        const charged = pendingCharge > 0 && refunded === null ? pendingCharge : 0;
+        pendingCharge = 0;
+        if (pendingFree) await this._returnFreeRequest(event, pendingFree, result.outcome);
+        pendingFree = null;
+        const reason = result.outcome === 'blocked'
+          ? 'Response was blocked by the safety filter'
+          : 'AI service is temporarily unavailable';
+        await this.publishJobFeedback(event, 'error', refunded !== null ? `${reason}. ${this._refundNote(cost)}` : reason);
+        await this.publishBalanceResponse(event.pubkey, refunded ?? newBalance);
+        await this._recordLastCost(event, { quote, usage: result.usage, charged, outcome: result.outcome, free });
+        return;
+      }
+
+      let balanceAfter = newBalance;
+      if (!free) {
+        const settled = await this._chargeUsage(event, quote, result.usage, pendingCharge, newBalance, {
+          maxCharge: bid !== null ? Math.floor(bid / 1000) : undefined,
+        });
+        pendingCharge = settled.charged;
+        balanceAfter = settled.balance;
+      }
+
+      const response = result.text;
+      const { signedEvent: resultEvent, successCount, retrying } = await this.publishJobResult(event, inputs, response, pendingCharge * 1000, {
+        context: this._refundContext(event, pendingCharge, pendingFree),
+      });
+
+      if (successCount === 0 && !retrying) {
+        const held = pendingCharge;
+        const refunded = held > 0 ? await this._refundCharge(event, held, 'undelivered') : null;
+        pendingCharge = 0;
+        if (pendingFree) await this._returnFreeRequest(event, pendingFree, 'undelivered');
+        pendingFree = null;
+        if (refunded !== null) balanceAfter = refunded;
+        await this.publishJobFeedback(event, 'error', refunded !== null ? `Result could not be published. ${this._refundNote(held)}` : 'Result could not be published');
+        await this.publishBalanceResponse(event.pubkey, balanceAfter);
+        await this._recordLastCost(event, { quote, usage: result.usage, charged: refunded !== null ? 0 : held, outcome: 'undelivered', free });
+        return;
+      }
+      const charged = pendingCharge;
+      pendingCharge = 0;
+      pendingFree = null;
+
+      await this._recordLastCost(event, { quote, usage: result.usage, charged, outcome: successCount === 0 ? 'retrying' : 'ok', free });
+
+      if (successCount > 0) {
+        await this.publishJobFeedback(event, 'success');
+      }
+
+      await this.publishBalanceResponse(event.pubkey, balanceAfter);
+
+      await this.db.saveMessage(
+        event.pubkey,
+        response,
+        true,
+        {
+          eventId: resultEvent?.id,
+          eventKind: JOB_RESULT_KIND,
+          messageType: 'job_result',
+          replyTo: userMessageRecord.messageId,
+          sessionId: sessionId,
+          usage: result.usage || null,
+          cost: charged,
+          providerCost: result.usage ? this.pricing.providerCost(result.usage) : null,
+        }
+      );
+
+      this.stats.jobsCompleted++;
+      logger.info(`✓ DVM job result sent to ${shortPubkey}... (Balance: ${balanceAfter} sats)`);
+    } catch (error) {
+      logger.error('Failed to process job request:', error);
+      this.stats.errors++;
+
+      let info = 'Failed to process job. Please try again.';
+      if (pendingCharge > 0) {
+        const refunded = await this._refundCharge(event, pendingCharge, 'error');
+        if (refunded !== null) info += ` ${this._refundNote(pendingCharge)}`;
+      } else if (pendingFree) {
+        await this._returnFreeRequest(event, pendingFree, 'error');
       }
+      await this.publishJobFeedback(event, 'error', info);
 
+      await this._releaseEvent(event);
+    }
+  }
+
+  /**
+   * Bill the usage price of an answered request on top of the minimum already held.
+   * Never takes the balance below zero; a shortfall is absorbed rather than owed.
+   * @returns {Promise<{charge: object, charged: number, balance: number}>} Total charged and new balance
+   */
+  async _chargeUsage(event, quote, usage, held, balance, options = {}) {
+    const charge = this.pricing.price(usage, quote, { maxCharge: options.maxCharge });
+    const extra = Math.min(charge.amount - held, balance);
+    let charged = held;
+
+    if (extra > 0) {
+      const outputTokens = (usage?.outputTokens || 0) + (usage?.thoughtsTokens || 0);
+      const newBalance = await this.zapDb.deductFromBalance(event.pubkey, extra, {
+        reference: { type: 'message', id: event.id, kind: event.kind },
+        memo: `Usage: ${usage?.promptTokens || 0} prompt + ${outputTokens} output tokens (${charge.model})`,
+      });
+      if (newBalance !== false) {
+        charged += extra;
+        balance = newBalance;
+      }
+    }
+
+    if (charged < charge.amount) {
+      logger.warn(`Usage price ${charge.amount} sats for ${event.pubkey.substring(0, 8)}... exceeds balance, charged ${charged} sats`);
+    }
+    logger.info(`💸 Charged ${charged} sats for ${event.id.substring(0, 8)}... (${usage?.totalTokens || 0} tokens${charge.capped ? ', capped' : ''}${charge.discountPercent ? `, ${charge.discountPercent}% off` : ''})`);
+
+    return { charge, charged, balance };
+  }
+
+  /**
+   * Remember what the user's latest paid request cost, for "what did my last message cost?"
+   * `outcome` is ok | fallback | blocked | undelivered | retrying (the outbox is still delivering it)
+   */
+  async _recordLastCost(event, { quote, usage, charged, outcome, free = false }) {
+    try {
+      await this.db.setMeta(`lastcost:${event.pubkey}`, {
+        eventId: event.id,
+        requestType: quote.requestType,
+        usage: usage || null,
+        charged,
+        outcome,
+        free,
+        discountPercent: quote.discountPercent,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      logger.warn('Failed to record last message cost:', error.message);
+    }
+  }
+
+  /**
+   * Whether the user is asking what their last message cost
+   */
+  isCostRequest(message) {
+    if (!message || typeof message !== 'string') return false;
+
+    const normalizedMsg = message.toLowerCase().trim();
+    if (normalizedMsg === '/cost' || normalizedMsg === 'cost') return true;
+
+    return /\b(last|previous)\s+(message|question|request|reply|answer|job)\b/.test(normalizedMsg) &&
+      /\b(cost|costs|charge|charged|price|pay|paid|spend|spent)\b/.test(normalizedMsg);
+  }
+
+  /**
+   * Describe the cost of the user's last paid request
+   */
+  async buildLastCostMessage(pubkey, quote = null) {
+    const last = await this.db.getMeta(`lastcost:${pubkey}`);
+    if (!last) {
+      return `🧾 No paid messages yet.\n\n💸 Pricing:\n${this.pricing.describe(quote)}`;
+    }
+
+    const lines = [`🧾 Your last ${last.requestType === 'job' ? 'DVM job' : 'message'} cost ${last.charged} sat${last.charged === 1 ? '' : 's'}`];
+    if (last.free) {
+      lines.push('  (free allowance)');
+    } else if (last.outcome === 'retrying') {
+      lines.push('  (delivery still being retried; refunded if it fails)');
+    } else if (last.outcome !== 'ok' && last.charged === 0) {
+      lines.push(`  (refunded: ${last.outcome === 'undelivered' ? 'the answer could not be delivered' : last.outcome === 'blocked' ? 'the answer was blocked' : 'the AI service was busy'})`);
+    }
+
+    const usage = last.usage;
+    if (usage) {
+      lines.push('');
+      lines.push(`  • Model: ${usage.model}`);
+      lines.push(`  • Prompt: ${usage.promptTokens} tokens`);
+      lines.push(`  • Output: ${usage.outputTokens + (usage.thoughtsTokens || 0)} tokens${usage.thoughtsTokens ? ` (incl. ${usage.thoughtsTokens} thinking)` : ''}`);
+      if (usage.groundingQueries) {
+        lines.push(`  • Web searches: ${usage.groundingQueries}`);
+      }
+    }
+
+    if (last.discountPercent && !last.free) {
+      lines.push(`  • Discount: ${last.discountPercent}%`);
+    }
+
+    lines.push('', `💸 Pricing:\n${this.pricing.describe(quote)}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Give back a tentative charge for a request that produced no real answer.
+   * @param {string} reason - fallback | blocked | undelivered | error
+   * @returns {Promise<number|null>} New balance, or null if the refund failed
+   */
+  async _refundCharge(event, amount, reason) {
+    const balance = await this.zapDb.refundToBalance(event.pubkey, amount, {
+      reference: { type: 'message', id: event.id, kind: event.kind },
+      memo: `Refund (${reason})`,
+    });
+
+    if (balance === null) {
+      logger.error(`Failed to refund ${amount} sats to ${event.pubkey.substring(0, 8)}... (${reason})`);
+      return null;
+    }
+
+    this.stats.refunds++;
+    this.stats.refundedSats += amount;
+    logger.info(`↩️ Refunded ${amount} sats to ${event.pubkey.substring(0, 8)}... (${reason}), new balance: ${balance} sats`);
+    return balance;
+  }
+
+  /**
+   * Give back a free request (used at `usedAt`) for a request that produced no real answer
+   * @param {string} reason - fallback | blocked | undelivered | error
+   */
+  async _returnFreeRequest(event, usedAt, reason) {
+    try {
+      if (await this.pricing.releaseFreeRequest(event.pubkey, usedAt)) {
+        logger.info(`↩️ Returned a free request to ${event.pubkey.substring(0, 8)}... (${reason})`);
+      }
+    } catch (error) {
+      logger.error(`Failed to return a free request to ${event.pubkey.substring(0, 8)}... (${reason}):`, error);
+    }
+  }
+
+  /**
+   * Outbox context for a paid or free answer, so the charge (or the free request) can be given
+   * back if its delivery fails for good
+   */
+  _refundContext(event, amount, freeUsedAt = null) {
+    if (!(amount > 0) && !freeUsedAt) return null;
+    return { refund: { pubkey: event.pubkey, eventId: event.id, kind: event.kind, amount, freeUsedAt } };
+  }
+
+  /**
+   * An outbox entry finished retrying. A paid answer that no relay ever accepted is refunded
+   * here, the same way as one that could not be delivered on the first try.
+   */
+  async _onOutboxComplete(entry) {
+    const refund = entry.context?.refund;
+    if (!refund) return;
+
+    const request = { pubkey: refund.pubkey, id: refund.eventId, kind: refund.kind };
+    const isJob = refund.kind === JOB_REQUEST_KIND;
+    const lastCostKey = `lastcost:${refund.pubkey}`;
+    const last = await this.db.getMeta(lastCostKey);
+    const isLastCost = last?.eventId === refund.eventId;
+
+    if (entry.status === 'delivered') {
+      if (isLastCost && last.outcome === 'retrying') await this.db.setMeta(lastCostKey, { ...last, outcome: 'ok' });
+      if (isJob) await this.publishJobFeedback(request, 'success');
+      return;
+    }
+
+    // A split answer has one entry per part; refund once
+    if (!(await this.seenEvents.claim(`refund:${refund.eventId}`, { type: 'refund' }))) return;
+
+    if (refund.freeUsedAt) {
+      await this._returnFreeRequest(request, refund.freeUsedAt, 'undelivered');
+      if (isLastCost) await this.db.setMeta(lastCostKey, { ...last, outcome: 'undelivered' });
+      if (isJob) await this.publishJobFeedback(request, 'error', 'Result could not be published');
+      return;
+    }
+
+    const balance = await this._refundCharge(request, refund.amount, 'undelivered');
+    if (balance === null) return;
+
+    if (isLastCost) await this.db.setMeta(lastCostKey, { ...last, charged: 0, outcome: 'undelivered' });
+    if (isJob) await this.publishJobFeedback(request, 'error', `Result could not be published. ${this._refundNote(refund.amount)}`);
+    await this.publishBalanceResponse(refund.pubkey, balance);
+  }
+
+  _refundNote(amount) {
+    return `↩️ Your ${amount} sat${amount === 1 ? '' : 's'} for this request ${amount === 1 ? 'was' : 'were'} refunded.`;
+  }
+
+  /**
+   * Whether the event is a direct message (NIP-04 kind 4 or NIP-17 kind 14)
+   */
+  _isDirectMessage(event) {
+    return event?.kind === 4 || event?.kind === PRIVATE_DM_KIND;
+  }
+
+  /**
+   * sendDM options that reply in the same format the user wrote in
+   */
+  _dmOptions(event) {
+    return { giftWrap: event?.kind === PRIVATE_DM_KIND };
+  }
+
+  /**
+   * Unwrap a NIP-17 gift wrap (kind 1059 -> seal kind 13 -> chat message kind 14).
+   * Returns the rumor with its computed id and the wrap id, or null if invalid.
+   */
+  async unwrapGiftWrap(wrap) {
+    if (!this.signer.nip44) {
+      logger.error('NIP-44 encryption not supported by signer');
+      return null;
+    }
+
+    try {
+      const seal = JSON.parse(await this.signer.nip44.decrypt(wrap.pubkey, wrap.content));
+      if (seal?.kind !== SEAL_KIND || !verifyEvent(seal)) {
+        logger.warn(`Gift wrap ${wrap.id.substring(0, 8)}... contains an invalid seal`);
+        return null;
+      }
+
+      const rumor = JSON.parse(await this.signer.nip44.decrypt(seal.pubkey, seal.content));
+      if (rumor?.pubkey !== seal.pubkey) {
+        // Seal signer must be the rumor author, otherwise the sender is being impersonated
+        logger.warn(`Gift wrap ${wrap.id.substring(0, 8)}... rumor author does not match seal signer`);
+        return null;
+      }
+      if (rumor.kind !== PRIVATE_DM_KIND) {
+        logger.debug(`Ignoring gift-wrapped kind ${rumor.kind} from ${seal.pubkey.substring(0, 8)}...`);
+        return null;
+      }
+
+      const unsigned = {
+        pubkey: rumor.pubkey,
+        created_at: Number.isFinite(rumor.created_at) ? rumor.created_at : Math.floor(Date.now() / 1000),
+        kind: rumor.kind,
+        tags: Array.isArray(rumor.tags) ? rumor.tags : [],
+        content: typeof rumor.content === 'string' ? rumor.content : '',
+      };
+
+      return { ...unsigned, id: getEventHash(unsigned), wrapId: wrap.id };
+    } catch (error) {
+      logger.warn(`Failed to unwrap gift wrap ${wrap.id.substring(0, 8)}...: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build a NIP-17 gift wrap for a kind 14 rumor addressed to the recipient.
+   */
+  async _createGiftWrap(recipientPubkey, rumorTemplate, { difficulty = 0 } = {}) {
+    if (!this.signer.nip44) {
+      throw new Error('NIP-44 encryption not supported by signer');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const randomPastTimestamp = () => now - Math.floor(Math.random() * GIFT_WRAP_MAX_SKEW_SECONDS);
+
+    const rumor = { created_at: now, ...rumorTemplate, pubkey: this.pubkey };
+    rumor.id = getEventHash(rumor);
+
+    const seal = await this.signer.signEvent({
+      kind: SEAL_KIND,
+      content: await this.signer.nip44.encrypt(recipientPubkey, JSON.stringify(rumor)),
+      tags: [],
+      created_at: randomPastTimestamp(),
+    });
+
+    // Wrap is signed by a one-off key so relays cannot link it to the bot
+    const wrapSigner = new NSecSigner(generateSecretKey());
+    return await this._signEvent({
+      kind: GIFT_WRAP_KIND,
+      content: await wrapSigner.nip44.encrypt(recipientPubkey, JSON.stringify(seal)),
+      tags: [['p', recipientPubkey]],
+      created_at: randomPastTimestamp(),
+    }, { difficulty, signer: wrapSigner });
+  }
+
+  /**
+   * Send an encrypted DM to a user. Answers too long for the relays' NIP-11 limits are sent
+   * as numbered sequential DMs.
+   * @param {object} [options]
+   * @param {boolean} [options.giftWrap] - Send as NIP-17 gift wrap instead of NIP-04 kind 4
+   * @param {object} [options.context] - Outbox context, see `_onOutboxComplete`
+   * @returns {Promise<{signedEvent: object, signedEvents: object[], successCount: number, retrying: boolean}>}
+   *   signedEvent is the first part; successCount is the lowest count of any part
+   */
+  async sendDM(recipientPubkey, content, sessionId = null, options = {}) {
+    try {
       // Create tags array with required p tag
       const tags = [['p', recipientPubkey]];
       
@@ -1082,59 +2389,27 @@ export class NostrBot {
         logger.debug(`Adding session tag: ${sessionId}`);
       }
 
-      // Create the event
-      const eventTemplate = {
-        kind: 4,
-        content: encryptedContent,
-        tags: tags,
-        created_at: Math.floor(Date.now() / 1000),
-      };
-
-      // Sign the event
-      const signedEvent = await this.signer.signEvent(eventTemplate);
-
-      // Publish to all relays (ignore individual failures)
-      const publishPromises = this.relays.map(({ relay, url }) => {
-        return this._withTimeout(
-          relay.event(signedEvent),
-          this.relayPublishTimeoutMs,
-          `Publish DM to ${url}`
-        )
-          .then(() => {
-            logger.debug(`✓ Published to ${url}`);
-            return { url, success: true };
-          })
-          .catch(error => {
-            // Only log once per relay per message
-            if (!error.message.includes('pow:') && !error.message.includes('restricted:') && !error.message.includes('Policy violated')) {
-              logger.warn(`✗ ${url}: ${error.message}`);
-            }
-            return { url, success: false, error: error.message };
-          });
-      });
+      const now = Math.floor(Date.now() / 1000);
+      const targets = await this._publishTargets(recipientPubkey, { dm: true });
+      const signedEvents = await this._buildParts(content, targets, (text, index, previous, difficulty) =>
+        this._buildDM(recipientPubkey, text, tags, { giftWrap: options.giftWrap, createdAt: now + index, difficulty })
+      );
 
-      const results = await Promise.allSettled(publishPromises);
-      
-      // Update relay stats
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          const { url, success } = result.value;
-          const relayStatus = this.relayStatus.get(url);
-          if (relayStatus) {
-            if (success) {
-              relayStatus.messagesSent++;
-              relayStatus.lastSeen = Date.now();
-            } else {
-              relayStatus.errors++;
-              relayStatus.lastError = result.value.error || 'Unknown error';
-            }
-          }
-        }
-      });
-      
-      // Count successful publishes
-      const successCount = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-      logger.info(`DM sent to ${successCount}/${this.relays.length} relays`);
+      // Publish to the healthiest relays and the recipient's inbox relays; the outbox retries failures
+      let successCount = Infinity;
+      let retrying = false;
+      for (const [index, signedEvent] of signedEvents.entries()) {
+        const part = await this._publish(signedEvent, 'Publish DM', {
+          recipient: recipientPubkey,
+          userRelays: true,
+          dm: true,
+          context: options.context,
+        });
+        const partLabel = signedEvents.length > 1 ? ` (part ${index + 1}/${signedEvents.length})` : '';
+        logger.info(`DM${partLabel} sent to ${part.own.successCount}/${part.own.attempted} relays + ${part.inbox.successCount}/${part.inbox.attempted} recipient relays`);
+        successCount = Math.min(successCount, part.successCount);
+        retrying = retrying || part.retrying;
+      }
       
       // Update stats
       if (successCount > 0) {
@@ -1142,10 +2417,11 @@ export class NostrBot {
       }
       
       if (successCount === 0) {
-        logger.error('Failed to publish DM to any relay!');
+        logger.error(`Failed to publish DM to any relay!${retrying ? ' Retrying from the outbox.' : ''}`);
       }
       
-      return signedEvent; // Return the event for database storage
+      // First event for database storage, count for delivery checks
+      return { signedEvent: signedEvents[0], signedEvents, successCount, retrying };
     } catch (error) {
       logger.error('Failed to send DM:', error);
       throw error;
@@ -1153,69 +2429,75 @@ export class NostrBot {
   }
 
   /**
-   * Send a public reply to a post
+   * Encrypt and sign one DM: NIP-17 gift wrap, or NIP-04 kind 4 (mined to `difficulty` if set)
+   */
+  async _buildDM(recipientPubkey, content, tags, { giftWrap = false, createdAt = Math.floor(Date.now() / 1000), difficulty = 0 } = {}) {
+    if (giftWrap) {
+      // NIP-17: session tag lives inside the encrypted rumor
+      return await this._createGiftWrap(recipientPubkey, {
+        kind: PRIVATE_DM_KIND,
+        content,
+        tags,
+        created_at: createdAt,
+      }, { difficulty });
+    }
+
+    // Encrypt the content using NIP-04
+    if (!this.signer.nip04) {
+      throw new Error('NIP-04 encryption not supported by signer');
+    }
+    const encryptedContent = await this.signer.nip04.encrypt(recipientPubkey, content);
+
+    return await this._signEvent({
+      kind: 4,
+      content: encryptedContent,
+      tags,
+      created_at: createdAt,
+    }, { difficulty });
+  }
+
+  /**
+   * Send a public reply to a post. Answers too long for the relays' NIP-11 limits are sent
+   * as numbered notes, each replying to the previous one.
+   * @param {object} [options]
+   * @param {object} [options.context] - Outbox context, see `_onOutboxComplete`
+   * @returns {Promise<{signedEvent: object, signedEvents: object[], successCount: number, retrying: boolean}>}
+   *   signedEvent is the first part; successCount is the lowest count of any part
    */
-  async sendReply(originalEvent, content) {
+  async sendReply(originalEvent, content, options = {}) {
     try {
       const { rootId } = this._getThreadRefs(originalEvent);
       const rootTagId = rootId || originalEvent.id;
 
-      // Create reply event (kind 1)
-      const eventTemplate = {
-        kind: 1,
-        content: content,
-        tags: [
-          ['e', rootTagId, '', 'root'], // Thread root
-          ['e', originalEvent.id, '', 'reply'], // Direct reply target
-          ['p', originalEvent.pubkey], // Mention original author
-        ],
-        created_at: Math.floor(Date.now() / 1000),
-      };
-
-      // Sign the event
-      const signedEvent = await this.signer.signEvent(eventTemplate);
-
-      // Publish to all relays
-      const publishPromises = this.relays.map(({ relay, url }) => {
-        return this._withTimeout(
-          relay.event(signedEvent),
-          this.relayPublishTimeoutMs,
-          `Publish reply to ${url}`
-        )
-          .then(() => {
-            logger.debug(`✓ Published reply to ${url}`);
-            return { url, success: true };
-          })
-          .catch(error => {
-            if (!error.message.includes('pow:') && !error.message.includes('restricted:') && !error.message.includes('Policy violated')) {
-              logger.warn(`✗ ${url}: ${error.message}`);
-            }
-            return { url, success: false, error: error.message };
-          });
-      });
+      const now = Math.floor(Date.now() / 1000);
+      const targets = await this._publishTargets(originalEvent.pubkey);
+      const signedEvents = await this._buildParts(content, targets, (text, index, previous, difficulty) =>
+        this._signEvent({
+          kind: 1,
+          content: text,
+          tags: [
+            ['e', rootTagId, '', 'root'], // Thread root
+            ['e', previous ? previous.id : originalEvent.id, '', 'reply'], // Direct reply target (the previous part)
+            ['p', originalEvent.pubkey], // Mention original author
+          ],
+          created_at: now + index,
+        }, { difficulty })
+      );
 
-      const results = await Promise.allSettled(publishPromises);
-      
-      // Update relay stats
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          const { url, success } = result.value;
-          const relayStatus = this.relayStatus.get(url);
-          if (relayStatus) {
-            if (success) {
-              relayStatus.messagesSent++;
-              relayStatus.lastSeen = Date.now();
-            } else {
-              relayStatus.errors++;
-              relayStatus.lastError = result.value.error || 'Unknown error';
-            }
-          }
-        }
-      });
-      
-      // Count successful publishes
-      const successCount = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-      logger.info(`Public reply sent to ${successCount}/${this.relays.length} relays`);
+      // Publish to the healthiest relays and the author's NIP-65 read relays; the outbox retries failures
+      let successCount = Infinity;
+      let retrying = false;
+      for (const [index, signedEvent] of signedEvents.entries()) {
+        const part = await this._publish(signedEvent, 'Publish reply', {
+          recipient: originalEvent.pubkey,
+          userRelays: true,
+          context: options.context,
+        });
+        const partLabel = signedEvents.length > 1 ? ` (part ${index + 1}/${signedEvents.length})` : '';
+        logger.info(`Public reply${partLabel} sent to ${part.own.successCount}/${part.own.attempted} relays + ${part.inbox.successCount}/${part.inbox.attempted} author relays`);
+        successCount = Math.min(successCount, part.successCount);
+        retrying = retrying || part.retrying;
+      }
       
       // Update stats
       if (successCount > 0) {
@@ -1223,16 +2505,96 @@ export class NostrBot {
       }
       
       if (successCount === 0) {
-        logger.error('Failed to publish reply to any relay!');
+        logger.error(`Failed to publish reply to any relay!${retrying ? ' Retrying from the outbox.' : ''}`);
       }
       
-      return signedEvent; // Return the event for database storage
+      // First event for database storage, count for delivery checks
+      return { signedEvent: signedEvents[0], signedEvents, successCount, retrying };
     } catch (error) {
       logger.error('Failed to send reply:', error);
       throw error;
     }
   }
 
+  /**
+   * Relays an answer to `pubkey` is published to: ours, plus their NIP-65 / NIP-17 relays
+   */
+  async _publishTargets(pubkey, { dm = false } = {}) {
+    const own = this.relayPool.ranked().map(({ url }) => url);
+    const theirs = this.userRelays ? await this.userRelays.targets(pubkey, { dm, exclude: this.config.relays }) : [];
+    return [...own, ...theirs];
+  }
+
+  /**
+   * Sign the event(s) for an answer with `build(text, index, previousEvent, difficulty)`. When an
+   * event is too big for the NIP-11 limits of our own relays, the text is split into numbered
+   * parts; encryption and tags add to the size, so parts are shrunk until every event fits.
+   * Recipient relays and outliers with much smaller limits don't split it: relays an event is
+   * too big for are skipped. Parts are sized without PoW and only the final events are mined,
+   * if any of `urls` requires it.
+   */
+  async _buildParts(content, urls, build) {
+    const own = this.relayPool.ranked().map(({ url }) => url);
+    const { maxContentLength, maxMessageLength } = this.relayInfo.contentLimit(own, { minLength: MIN_PART_LENGTH });
+    const oversize = (event) => Math.max(
+      maxContentLength ? event.content.length / maxContentLength : 0,
+      maxMessageLength ? Buffer.byteLength(JSON.stringify(['EVENT', event])) / maxMessageLength : 0
+    );
+
+    const buildAll = async (parts, difficulty = 0) => {
+      const events = [];
+      for (const [index, text] of parts.entries()) {
+        events.push(await build(text, index, events[index - 1] || null, difficulty));
+      }
+      return events;
+    };
+
+    let parts = [content];
+    let events = await buildAll(parts);
+    let maxLength = content.length;
+    for (let round = 0; ; round++) {
+      const worst = Math.max(...events.map(oversize));
+      if (worst <= 1) break;
+
+      maxLength = Math.floor((maxLength / worst) * 0.9);
+      if (round === 5 || maxLength < MIN_PART_LENGTH) {
+        logger.warn(`Answer does not fit the NIP-11 limits of some relays (content ≤ ${maxContentLength ?? '-'}, message ≤ ${maxMessageLength ?? '-'} bytes); they will be skipped`);
+        break;
+      }
+      parts = splitContent(content, maxLength);
+      events = await buildAll(parts);
+    }
+
+    const difficulty = this.relayInfo.powDifficulty(urls);
+    return difficulty > 0 ? await buildAll(parts, difficulty) : events;
+  }
+
+  /**
+   * Sign an event, first mining NIP-13 proof of work when `difficulty` is set. If mining runs
+   * out of time the event is signed without it and relays requiring PoW are skipped.
+   * @param {object} template - Unsigned event
+   * @param {object} [options]
+   * @param {number} [options.difficulty] - Leading zero bits to mine for (0 = none)
+   * @param {object} [options.signer] - Signer to use instead of the bot's own
+   */
+  async _signEvent(template, { difficulty = 0, signer = this.signer } = {}) {
+    if (difficulty > 0) {
+      const pubkey = await signer.getPublicKey();
+      const tags = await this.powMiner.mine({ ...template, pubkey }, difficulty);
+      if (tags) {
+        return await signer.signEvent({ ...template, tags });
+      }
+    }
+    return await signer.signEvent(template);
+  }
+
+  /**
+   * PoW difficulty for events published only to our own relays
+   */
+  _ownPowDifficulty() {
+    return this.relayInfo.powDifficulty(this.relayPool.ranked().map(({ url }) => url));
+  }
+
   /**
    * Sleep utility
    */
@@ -1247,18 +2609,39 @@ export class NostrBot {
     logger.info('Stopping bot gracefully...');
 
     // Stop accepting new messages
-    for (const controller of this.controllers) {
+    this.listening = false;
+    for (const controller of this.controllers.values()) {
       controller.abort();
     }
 
+    // Let events being handled reach the queue and background publishes settle
+    if (this.backgroundTasks.size > 0) {
+      logger.info(`Waiting for ${this.backgroundTasks.size} background tasks...`);
+      await this._withTimeout(Promise.allSettled([...this.backgroundTasks]), 10000, 'Background tasks')
+        .catch(error => logger.warn(error.message));
+    }
+
     // Wait for queue to finish processing
     await this.queue.stop();
+
+    // Persist how far each relay has been processed
+    await this.highWater.stop();
+
+    // Unfinished deliveries stay in the outbox for the next start
+    await this.outbox.stop();
+    await this.powMiner.stop();
     
     // Stop rate limiter
     this.rateLimiter.stop();
 
-    this.controllers = [];
-    this.relays = [];
+    // Stop re-probing failed relays and drop connections to users' relays
+    this.userProfiles?.stop();
+    this.userMemory?.stop();
+    this.relayInfo.stop();
+    this.relayPool.stop();
+    this.userRelays?.close();
+
+    this.controllers.clear();
 
     logger.info('Bot stopped');
   }
@@ -1278,9 +2661,20 @@ export class NostrBot {
       messagesDropped: this.stats?.messagesDropped || 0,
       rateLimited: this.stats?.rateLimited || 0,
       errors: this.stats?.errors || 0,
+      jobsReceived: this.stats?.jobsReceived || 0,
+      jobsCompleted: this.stats?.jobsCompleted || 0,
+      zapsCredited: this.stats?.zapsCredited || 0,
+      zapsRejected: this.stats?.zapsRejected || 0,
+      refunds: this.stats?.refunds || 0,
+      refundedSats: this.stats?.refundedSats || 0,
       queue: this.queue.getStats(),
       rateLimiter: this.rateLimiter.getStats(),
-      gemini: this.gemini.getStats(),
+      seenEvents: this.seenEvents.getStats(),
+      outbox: this.outbox.getStats(),
+      pow: this.powMiner.getStats(),
+      profiles: this.userProfiles?.getStats() || null,
+      memory: this.userMemory?.getStats() || null,
+      llm: this.llm.getStats(),
       relays: Array.from(this.relayStatus?.values() || []),
     };
   }
@@ -1302,82 +2696,91 @@ export class NostrBot {
 
   /**
    * Handle Zap receipt (kind 9735)
+   * Only receipts that pass NIP-57 validation credit the sender; the rest are quarantined.
+   * @returns {Promise<boolean>} false when the receipt could not be checked or credited yet and
+   *   should be handled again when it is delivered again (crediting is idempotent per receipt)
    */
   async handleZapReceipt(event, relayUrl) {
     try {
       logger.info(`Zap receipt received from ${event.pubkey.substring(0, 8)}... on ${relayUrl}`);
-      logger.info(`Zap event tags: ${JSON.stringify(event.tags)}`);
-      logger.info(`Zap event content: ${event.content}`);
-      
-      // Extract zap details from event
-      // Find bolt11 invoice in tags
-      const bolt11Tag = event.tags.find(tag => tag[0] === 'bolt11');
-      const bolt11 = bolt11Tag ? bolt11Tag[1] : null;
-      logger.info(`bolt11: ${bolt11 ? bolt11.substring(0, 20) + '...' : 'NOT FOUND'}`);
-      
-      // Find description tag (contains zap request)
-      const descTag = event.tags.find(tag => tag[0] === 'description');
-      let zapRequest = null;
-      let sender = event.pubkey;
-      let amount = 0;
-      
-      if (descTag && descTag[1]) {
-        try {
-          zapRequest = JSON.parse(descTag[1]);
-          sender = zapRequest.pubkey || event.pubkey;
-          logger.info(`Zap request parsed. Sender: ${sender.substring(0, 8)}...`);
-          
-          // Extract amount from zap request tags (inside description)
-          if (zapRequest.tags && Array.isArray(zapRequest.tags)) {
-            const amountTag = zapRequest.tags.find(tag => Array.isArray(tag) && tag[0] === 'amount');
-            logger.info(`Amount tag found in zapRequest: ${amountTag ? amountTag[1] : 'NOT FOUND'}`);
-            if (amountTag && amountTag[1]) {
-              amount = Math.floor(parseInt(amountTag[1]) / 1000); // Convert millisats to sats
-              logger.info(`Amount extracted: ${amount} sats (from ${amountTag[1]} millisats)`);
-            }
-          }
-          
-          // Fallback: Try to find amount tag in receipt event itself
-          if (amount === 0) {
-            const receiptAmountTag = event.tags.find(tag => tag[0] === 'amount');
-            if (receiptAmountTag && receiptAmountTag[1]) {
-              amount = Math.floor(parseInt(receiptAmountTag[1]) / 1000);
-              logger.info(`Amount extracted from receipt: ${amount} sats`);
-            }
-          }
-        } catch (e) {
-          logger.warn('Failed to parse zap request:', e);
-        }
-      } else {
-        logger.warn('Description tag not found in zap receipt');
+
+      const result = await this.zapValidator.validate(event);
+      if (!result.valid && result.transient) {
+        logger.warn(`Zap receipt ${event.id.substring(0, 8)}... not checked yet: ${result.reason}`);
+        return false;
       }
-      
-      if (amount === 0) {
-        logger.warn('Zap amount is zero or could not be extracted');
-        return;
+      if (!result.valid) {
+        this.stats.zapsRejected++;
+        await this.zapDb.quarantineZap({ receipt: event, reason: result.reason, relayUrl });
+        return true;
       }
-      
-      // Save zap to database
-      const zapId = await this.zapDb.saveZap({
-        sender: sender,
-        amount: amount,
-        zapRequest: zapRequest?.id,
-        zapReceipt: event.id,
-        bolt11: bolt11,
-        description: JSON.stringify(zapRequest),
-      });
-      
-      // Get updated balance
-      const balance = await this.zapDb.getBalance(sender);
-      
-      logger.info(`Zap processed: ${amount} sats from ${sender.substring(0, 8)}..., new balance: ${balance} sats`);
-      
-      // Publish balance update event (kind 1 notification)
-      await this.publishBalanceUpdate(sender, balance, amount);
-      
+
+      const saved = await this._creditZap(event, result);
+      return Boolean(saved) || result.amount === 0;
     } catch (error) {
       logger.error('Failed to handle zap receipt:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Validate a quarantined zap receipt again (e.g. one rejected during an LNURL outage) and
+   * credit it if it now passes
+   * @returns {Promise<{credited: boolean, reason?: string, balance?: number}|null>} null when not quarantined
+   */
+  async retryQuarantinedZap(receiptId) {
+    const record = await this.zapDb.getQuarantinedZap(receiptId);
+    if (!record) return null;
+
+    const result = await this.zapValidator.validate(record.receipt);
+    if (!result.valid) {
+      return { credited: false, reason: result.reason };
+    }
+
+    const saved = await this._creditZap(record.receipt, result);
+    if (!saved) {
+      return { credited: false, reason: 'Failed to save zap' };
     }
+    await this.zapDb.removeQuarantinedZap(receiptId);
+    logger.info(`Quarantined zap receipt ${receiptId.substring(0, 8)}... released`);
+    return { credited: !saved.duplicate, balance: saved.balance };
+  }
+
+  /**
+   * Credit a validated zap receipt once and announce the new balance
+   * @returns {Promise<{duplicate: boolean, balance: number}|null>} null when nothing was saved
+   */
+  async _creditZap(event, { sender, amount, zapRequest, bolt11 }) {
+    logger.info(`Zap receipt verified: ${amount} sats from ${sender.substring(0, 8)}...`);
+
+    if (amount === 0) {
+      logger.warn('Zap amount is below 1 sat, nothing to credit');
+      return null;
+    }
+
+    // Save zap to database (credits once per receipt id)
+    const saved = await this.zapDb.saveZap({
+      sender: sender,
+      amount: amount,
+      zapRequest: zapRequest.id,
+      zapReceipt: event.id,
+      bolt11: bolt11,
+      description: JSON.stringify(zapRequest),
+    });
+    if (!saved) {
+      return null;
+    }
+    if (saved.duplicate) {
+      logger.info(`Zap receipt ${event.id.substring(0, 8)}... was already credited, not crediting again`);
+      return saved;
+    }
+    this.stats.zapsCredited++;
+
+    logger.info(`Zap processed: ${amount} sats from ${sender.substring(0, 8)}..., new balance: ${saved.balance} sats`);
+
+    // Publish balance update event (kind 1 notification)
+    await this.publishBalanceUpdate(sender, saved.balance, amount);
+    return saved;
   }
 
   /**
@@ -1415,23 +2818,9 @@ export class NostrBot {
         created_at: Math.floor(Date.now() / 1000),
       };
 
-      const signedEvent = await this.signer.signEvent(eventTemplate);
-
-      // Publish to all relays
-      const publishPromises = this.relays.map(({ relay, url }) => {
-        return this._withTimeout(
-          relay.event(signedEvent),
-          this.relayPublishTimeoutMs,
-          `Publish balance update to ${url}`
-        )
-          .then(() => ({ url, success: true }))
-          .catch(error => {
-            logger.debug(`Failed to publish balance update to ${url}: ${error.message}`);
-            return { url, success: false };
-          });
-      });
+      const signedEvent = await this._signEvent(eventTemplate, { difficulty: this._ownPowDifficulty() });
 
-      await Promise.allSettled(publishPromises);
+      await this._publish(signedEvent, 'Publish balance update', { recipient: pubkey });
       logger.info(`Balance update (kind 1) published for ${pubkey.substring(0, 8)}...`);
       
       // Also publish kind 1006 balance response for subscribers
@@ -1462,32 +2851,144 @@ export class NostrBot {
         created_at: Math.floor(Date.now() / 1000),
       };
 
-      const signedEvent = await this.signer.signEvent(eventTemplate);
-
-      // Publish to all relays
-      const publishPromises = this.relays.map(({ relay, url }) => {
-        return this._withTimeout(
-          relay.event(signedEvent),
-          this.relayPublishTimeoutMs,
-          `Publish balance response to ${url}`
-        )
-          .then(() => {
-            logger.debug(`✓ Balance response (kind 1006) published to ${url}`);
-            return { url, success: true };
-          })
-          .catch(error => {
-            logger.debug(`Failed to publish balance response to ${url}: ${error.message}`);
-            return { url, success: false };
-          });
-      });
+      const signedEvent = await this._signEvent(eventTemplate, { difficulty: this._ownPowDifficulty() });
 
-      const results = await Promise.allSettled(publishPromises);
-      const successCount = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
+      const { own } = await this._publish(signedEvent, 'Publish balance response', { recipient: pubkey });
       
-      logger.info(`Balance response (kind 1006) published to ${successCount}/${this.relays.length} relays for ${pubkey.substring(0, 8)}...`);
+      logger.info(`Balance response (kind 1006) published to ${own.successCount}/${own.attempted} relays for ${pubkey.substring(0, 8)}...`);
       
     } catch (error) {
       logger.error('Failed to publish balance response:', error);
     }
   }
+
+  /**
+   * Sign and publish an event to the healthiest relays through the outbox, updating relay stats.
+   * Returns the signed event, the number of relays that accepted it and whether retries are pending.
+   * @param {object} [options] - `recipient` and `context` for the outbox entry
+   */
+  async _publishEvent(eventTemplate, label, { recipient = null, context = null } = {}) {
+    const signedEvent = await this._signEvent(eventTemplate, { difficulty: this._ownPowDifficulty() });
+
+    const { own, successCount, retrying } = await this._publish(signedEvent, `Publish ${label}`, { recipient, context });
+
+    logger.info(`${label} published to ${own.successCount}/${own.attempted} relays`);
+    return { signedEvent, successCount, retrying };
+  }
+
+  /**
+   * Publish kind 0 profile and kind 31990 NIP-89 handler announcement.
+   * Each event is only re-published when its content differs from the last publish.
+   */
+  async publishAnnouncements() {
+    const announcementConfig = this.announcementConfig || loadAnnouncementConfig(this.config.announcementConfigPath);
+    const templates = buildAnnouncementTemplates(
+      announcementConfig,
+      this.config.botName || 'ZapAI',
+      this.pricing.handlerPricing(announcementConfig.handler.kinds)
+    );
+
+    for (const template of templates) {
+      const metaKey = `announcement:${template.kind}`;
+      const hash = hashTemplate(template);
+      const previous = await this.db.getMeta(metaKey);
+
+      if (previous?.hash === hash) {
+        logger.info(`Announcement kind ${template.kind} unchanged, skipping publish`);
+        continue;
+      }
+
+      const { signedEvent, successCount } = await this._publishEvent({
+        ...template,
+        created_at: Math.floor(Date.now() / 1000),
+      }, `Announcement (kind ${template.kind})`);
+
+      if (successCount > 0) {
+        await this.db.setMeta(metaKey, {
+          hash,
+          eventId: signedEvent.id,
+          publishedAt: Date.now(),
+        });
+      } else {
+        logger.warn(`Announcement kind ${template.kind} was not accepted by any relay; will retry on next start`);
+      }
+    }
+  }
+
+  /**
+   * With `dmProgressNotice` on, tell a DM's sender that the answer is being written, in the
+   * format they wrote in, without waiting for it. Kind 7000 `processing` statuses are NIP-90
+   * job feedback and only go to job requests (processJobRequest); for DMs they would publicly
+   * tie the sender to the bot.
+   */
+  _sendProgressNotice(event, sessionId) {
+    if (this.config.dmProgressNotice !== true || !this._isDirectMessage(event)) return;
+    this._background(this.sendDM(event.pubkey, PROGRESS_NOTICE, sessionId, this._dmOptions(event)).catch(error => {
+      logger.warn('Failed to send progress notice:', error.message);
+    }));
+  }
+
+  /**
+   * Publish NIP-90 job feedback (kind 7000)
+   * @param {object} jobEvent - The job request event
+   * @param {string} status - processing | payment-required | error | success
+   * @param {string} [info] - Human readable status detail
+   * @param {number} [amountMsats] - Requested payment (for payment-required)
+   */
+  async publishJobFeedback(jobEvent, status, info = '', amountMsats = null) {
+    try {
+      const tags = [
+        info ? ['status', status, info] : ['status', status],
+        ['e', jobEvent.id],
+        ['p', jobEvent.pubkey],
+      ];
+      if (Number.isFinite(amountMsats)) {
+        tags.push(['amount', String(amountMsats)]);
+      }
+
+      const { signedEvent } = await this._publishEvent({
+        kind: JOB_FEEDBACK_KIND,
+        content: '',
+        tags,
+        created_at: Math.floor(Date.now() / 1000),
+      }, `Job feedback (${status})`, { recipient: jobEvent.pubkey });
+
+      return signedEvent;
+    } catch (error) {
+      logger.error('Failed to publish job feedback:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Publish NIP-90 job result (kind 6050)
+   * @param {object} [options]
+   * @param {object} [options.context] - Outbox context, see `_onOutboxComplete`
+   */
+  async publishJobResult(jobEvent, inputs, content, amountMsats, options = {}) {
+    const tags = [
+      ['request', JSON.stringify(jobEvent)],
+      ['e', jobEvent.id],
+      ...inputs.map(input => input.tag),
+      ['p', jobEvent.pubkey],
+    ];
+    if (Number.isFinite(amountMsats)) {
+      tags.push(['amount', String(amountMsats)]);
+    }
+
+    const { signedEvent, successCount, retrying } = await this._publishEvent({
+      kind: JOB_RESULT_KIND,
+      content,
+      tags,
+      created_at: Math.floor(Date.now() / 1000),
+    }, 'Job result', { recipient: jobEvent.pubkey, context: options.context });
+
+    if (successCount > 0) {
+      this.stats.messagesSent++;
+    } else {
+      logger.error(`Failed to publish job result to any relay!${retrying ? ' Retrying from the outbox.' : ''}`);
+    }
+
+    return { signedEvent, successCount, retrying };
+  }
 }
@@ -83,12 +83,17 @@ export class CircuitBreaker {
    * Execute with timeout
    */
   async executeWithTimeout(fn, timeout) {
-    return Promise.race([
-      fn(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Circuit breaker timeout')), timeout)
-      ),
-    ]);
+    let timer;
+    try {
+      return await Promise.race([
+        fn(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Circuit breaker timeout')), timeout);
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
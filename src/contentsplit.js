@@ -0,0 +1,47 @@
+// Room kept in every part for the "(12/12) " numbering
+const NUMBERING_RESERVE = 10;
+
+// Preferred places to cut, best first
+const BOUNDARIES = ['\n\n', '\n', '. ', '! ', '? ', ' '];
+
+/**
+ * Split text into numbered parts of at most `maxLength` characters each ("(1/3) ..."),
+ * cutting at paragraph, line, sentence or word boundaries where possible.
+ * Text that already fits is returned as a single, unnumbered part.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+export function splitContent(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+
+  const size = Math.max(maxLength - NUMBERING_RESERVE, 1);
+  const chunks = [];
+  let rest = text;
+
+  while (rest.length > size) {
+    const window = rest.slice(0, size + 1);
+    let cut = -1;
+    for (const boundary of BOUNDARIES) {
+      const index = window.lastIndexOf(boundary);
+      // Only cut at a boundary that keeps the part at least half full
+      if (index >= size / 2) {
+        cut = Math.min(index + boundary.length, size);
+        break;
+      }
+    }
+
+    if (cut === -1) {
+      cut = size;
+      // Never separate a UTF-16 surrogate pair
+      const code = rest.charCodeAt(cut - 1);
+      if (code >= 0xd800 && code <= 0xdbff && cut > 1) cut--;
+    }
+
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) chunks.push(rest);
+
+  return chunks.map((chunk, i) => `(${i + 1}/${chunks.length}) ${chunk}`);
+}
@@ -6,8 +6,86 @@ import { logger } from './logger.js';
 
 const DEFAULT_HISTORY_LIMIT = 50;
 const DM_KIND = 4;
+const PRIVATE_DM_KIND = 14; // NIP-17 chat message (unwrapped from a kind 1059 gift wrap)
 const PUBLIC_KIND = 1;
 
+// Token counts summed into the usage totals
+const USAGE_FIELDS = ['promptTokens', 'outputTokens', 'thoughtsTokens', 'cachedTokens', 'toolUseTokens', 'totalTokens', 'groundingQueries'];
+
+function utcDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function emptyUsageTotals() {
+  return {
+    requests: 0,
+    ...Object.fromEntries(USAGE_FIELDS.map(field => [field, 0])),
+    memoryUpdates: 0,   // background memory update calls (tokens and cost included above)
+    sats: 0,            // charged to the user
+    providerCost: 0,    // estimated model provider cost (sats)
+    unpricedRequests: 0, // calls whose provider cost is unknown
+    models: {},
+    firstAt: null,
+    lastAt: null,
+  };
+}
+
+/**
+ * Add one model call to a totals record (in place): an answer, or a memory update
+ */
+function addUsage(totals, { usage, cost, providerCost, timestamp, memory }) {
+  if (memory) {
+    totals.memoryUpdates++;
+  } else {
+    totals.requests++;
+  }
+  for (const field of USAGE_FIELDS) {
+    totals[field] += usage[field] || 0;
+  }
+  totals.sats += cost || 0;
+  if (Number.isFinite(providerCost)) {
+    totals.providerCost = Math.round((totals.providerCost + providerCost) * 1000) / 1000;
+  } else {
+    totals.unpricedRequests++;
+  }
+  const model = usage.model || 'unknown';
+  totals.models[model] = (totals.models[model] || 0) + 1;
+  totals.firstAt = totals.firstAt ?? timestamp;
+  totals.lastAt = timestamp;
+  return totals;
+}
+
+/**
+ * Totals plus the margin: sats charged minus the estimated provider cost
+ */
+export function withMargin(totals) {
+  const margin = Math.round((totals.sats - totals.providerCost) * 1000) / 1000;
+  return {
+    ...totals,
+    margin,
+    marginPercent: totals.sats > 0 ? Math.round((margin / totals.sats) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Sum several totals records
+ */
+export function sumUsage(records) {
+  const sum = emptyUsageTotals();
+  for (const totals of records) {
+    for (const field of ['requests', ...USAGE_FIELDS, 'memoryUpdates', 'sats', 'unpricedRequests']) {
+      sum[field] += totals[field] || 0;
+    }
+    sum.providerCost = Math.round((sum.providerCost + (totals.providerCost || 0)) * 1000) / 1000;
+    for (const [model, count] of Object.entries(totals.models || {})) {
+      sum.models[model] = (sum.models[model] || 0) + count;
+    }
+    if (totals.firstAt !== null && (sum.firstAt === null || totals.firstAt < sum.firstAt)) sum.firstAt = totals.firstAt;
+    if (totals.lastAt !== null && (sum.lastAt === null || totals.lastAt > sum.lastAt)) sum.lastAt = totals.lastAt;
+  }
+  return sum;
+}
+
 function sanitizePubkey(pubkey) {
   if (!pubkey || typeof pubkey !== 'string') {
     return '';
@@ -127,12 +205,15 @@ export class Database {
     const timestamp = Number.isFinite(metadata.timestamp) ? metadata.timestamp : Date.now();
     const direction = isFromBot ? 'bot' : 'user';
 
-    if (metadata.eventId) {
-      const eventKey = `event:processed:${metadata.eventId}`;
+    // Gift-wrapped DMs are deduped by both the inner rumor id and the outer wrap id
+    const dedupeIds = [metadata.eventId, metadata.wrapId].filter(Boolean);
+
+    for (const dedupeId of dedupeIds) {
+      const eventKey = `event:processed:${dedupeId}`;
       const isDuplicate = await this.db.get(eventKey);
       
       if (isDuplicate) {
-        logger.info(`Duplicate event ${metadata.eventId} - skipping`);
+        logger.info(`Duplicate event ${dedupeId} - skipping`);
         return {
           duplicate: true,
           sessionId: isDuplicate.sessionId,
@@ -143,7 +224,7 @@ export class Database {
 
     const { sessionId } = await this.ensureSession(normalizedPubkey, metadata.sessionId, {
       source: metadata.messageSource ||
-        (metadata.eventKind === DM_KIND ? 'dm' :
+        (metadata.eventKind === DM_KIND || metadata.eventKind === PRIVATE_DM_KIND ? 'dm' :
          metadata.eventKind === PUBLIC_KIND ? 'public' : 
          metadata.eventKind ? `kind-${metadata.eventKind}` : null),
       label: metadata.sessionLabel,
@@ -159,8 +240,12 @@ export class Database {
       messageType: metadata.messageType || (isFromBot ? 'response' : 'question'),
       replyTo: metadata.replyTo || null,
       eventId: metadata.eventId || null,
+      wrapId: metadata.wrapId || null,
       eventKind: metadata.eventKind || null,
       userMetadata: metadata.userMetadata || null, // Store user metadata from relay
+      usage: metadata.usage || null, // Token counts for bot responses
+      cost: Number.isFinite(metadata.cost) ? metadata.cost : null, // Sats charged for the answer
+      providerCost: Number.isFinite(metadata.providerCost) ? metadata.providerCost : null, // Estimated sats we paid
     };
 
     const messagesKey = `session:messages:${normalizedPubkey}:${sessionId}`;
@@ -174,8 +259,8 @@ export class Database {
 
     await this.db.put(messagesKey, messages);
 
-    if (metadata.eventId) {
-      const eventKey = `event:processed:${metadata.eventId}`;
+    for (const dedupeId of dedupeIds) {
+      const eventKey = `event:processed:${dedupeId}`;
       await this.db.put(eventKey, { 
         sessionId, 
         timestamp,
@@ -183,6 +268,15 @@ export class Database {
       });
     }
 
+    if (isFromBot && messageRecord.usage) {
+      await this.recordUsage(normalizedPubkey, sessionId, {
+        usage: messageRecord.usage,
+        cost: messageRecord.cost,
+        providerCost: messageRecord.providerCost,
+        timestamp,
+      });
+    }
+
     const metaKey = `session:meta:${normalizedPubkey}:${sessionId}`;
     let sessionMeta = await this.db.get(metaKey);
     if (sessionMeta) {
@@ -201,6 +295,20 @@ export class Database {
     };
   }
 
+  /**
+   * Drop the processed markers `saveMessage` left for these event ids, so a request that
+   * failed is handled again when it is delivered again
+   */
+  async forgetEvents(eventIds) {
+    this._assertInitialized();
+
+    await this.db.transaction(() => {
+      for (const eventId of eventIds.filter(Boolean)) {
+        this.db.remove(`event:processed:${eventId}`);
+      }
+    });
+  }
+
   async getConversationBySession(pubkey, sessionId, limit = DEFAULT_HISTORY_LIMIT) {
     this._assertInitialized();
 
@@ -304,6 +412,157 @@ export class Database {
     }
   }
 
+  /**
+   * Add a model call's token usage, charge and provider cost to the per-pubkey, per-session
+   * and per-day (UTC) totals, atomically. Answers are recorded by saveMessage; `memory`
+   * marks a background memory update, which costs tokens but is not an answer. Without a
+   * session only the pubkey and day totals are updated.
+   */
+  async recordUsage(pubkey, sessionId, { usage, cost = 0, providerCost = null, timestamp = Date.now(), memory = false }) {
+    this._assertInitialized();
+
+    const normalizedPubkey = sanitizePubkey(pubkey);
+    if (!normalizedPubkey) return;
+    const sanitizedSessionId = sanitizeSessionId(sessionId);
+
+    const keys = [
+      `usage:pubkey:${normalizedPubkey}`,
+      ...(sanitizedSessionId ? [`usage:session:${normalizedPubkey}:${sanitizedSessionId}`] : []),
+      `usage:day:${utcDay(timestamp)}`,
+    ];
+    await this.db.transaction(() => {
+      for (const key of keys) {
+        const totals = this.db.get(key) || emptyUsageTotals();
+        this.db.put(key, addUsage(totals, { usage, cost, providerCost, timestamp, memory }));
+      }
+    });
+  }
+
+  /**
+   * Usage totals of a pubkey, with one entry per session (most recent first)
+   */
+  async getUserUsage(pubkey) {
+    this._assertInitialized();
+
+    const normalizedPubkey = sanitizePubkey(pubkey);
+    const totals = this.db.get(`usage:pubkey:${normalizedPubkey}`);
+    if (!totals) return null;
+
+    const prefix = `usage:session:${normalizedPubkey}:`;
+    const sessions = [];
+    for (const { key, value } of this.db.getRange({ start: prefix, end: `${prefix}\xFF` })) {
+      sessions.push({ sessionId: key.slice(prefix.length), ...withMargin(value) });
+    }
+    sessions.sort((a, b) => b.lastAt - a.lastAt);
+
+    return { pubkey: normalizedPubkey, ...withMargin(totals), sessions };
+  }
+
+  /**
+   * Usage totals of one session
+   */
+  async getSessionUsage(pubkey, sessionId) {
+    this._assertInitialized();
+
+    const totals = this.db.get(`usage:session:${sanitizePubkey(pubkey)}:${sanitizeSessionId(sessionId)}`);
+    return totals ? withMargin(totals) : null;
+  }
+
+  /**
+   * Usage totals per UTC day, oldest first
+   * @param {object} [range]
+   * @param {string} [range.from] - First day (YYYY-MM-DD), inclusive
+   * @param {string} [range.to] - Last day (YYYY-MM-DD), inclusive
+   */
+  async getDailyUsage({ from = '0000-00-00', to = '9999-99-99' } = {}) {
+    this._assertInitialized();
+
+    const days = [];
+    for (const { key, value } of this.db.getRange({ start: `usage:day:${from}`, end: `usage:day:${to}\xFF` })) {
+      days.push({ day: key.slice('usage:day:'.length), ...withMargin(value) });
+    }
+    return days;
+  }
+
+  /**
+   * Pubkeys with the highest usage
+   * @param {object} [options]
+   * @param {number} [options.limit]
+   * @param {string} [options.sortBy] - providerCost | totalTokens | sats | requests
+   */
+  async getTopSpenders({ limit = 10, sortBy = 'providerCost' } = {}) {
+    this._assertInitialized();
+
+    const users = [];
+    for (const { key, value } of this.db.getRange({ start: 'usage:pubkey:', end: 'usage:pubkey:\xFF' })) {
+      users.push({ pubkey: key.slice('usage:pubkey:'.length), ...withMargin(value) });
+    }
+    users.sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0));
+    return users.slice(0, limit);
+  }
+
+  /**
+   * What the bot remembers about a user: { facts, preferences, updatedAt, updatedThrough }
+   * (`updatedThrough` is the timestamp of the last message already folded in), or null
+   */
+  async getUserMemory(pubkey) {
+    this._assertInitialized();
+
+    const normalizedPubkey = sanitizePubkey(pubkey);
+    if (!normalizedPubkey) return null;
+
+    try {
+      return await this.db.get(`memory:${normalizedPubkey}`) || null;
+    } catch (error) {
+      logger.error('Failed to get user memory:', error);
+      return null;
+    }
+  }
+
+  async saveUserMemory(pubkey, memory) {
+    this._assertInitialized();
+
+    const normalizedPubkey = sanitizePubkey(pubkey);
+    if (!normalizedPubkey) {
+      throw new Error('Valid pubkey is required');
+    }
+
+    await this.db.put(`memory:${normalizedPubkey}`, memory);
+  }
+
+  async getMeta(key) {
+    this._assertInitialized();
+
+    try {
+      return await this.db.get(`meta:${key}`) || null;
+    } catch (error) {
+      logger.error(`Failed to get meta ${key}:`, error);
+      return null;
+    }
+  }
+
+  async setMeta(key, value) {
+    this._assertInitialized();
+
+    await this.db.put(`meta:${key}`, value);
+  }
+
+  /**
+   * Read-modify-write a meta value in one transaction: `update(current)` returns the value to
+   * store, or undefined to leave it unchanged
+   */
+  async updateMeta(key, update) {
+    this._assertInitialized();
+
+    return this.db.transaction(() => {
+      const next = update(this.db.get(`meta:${key}`) || null);
+      if (next !== undefined) {
+        this.db.put(`meta:${key}`, next);
+      }
+      return next;
+    });
+  }
+
   async close() {
     if (this.db) {
       await this.db.close();
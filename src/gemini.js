@@ -1,20 +1,29 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logger } from './logger.js';
+import { LLMProvider } from './llmprovider.js';
 import { CircuitBreaker } from './circuitbreaker.js';
+import { ModelRouter } from './modelrouter.js';
+
+// Candidate finish reasons that mean the answer was withheld rather than generated
+const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'RECITATION']);
+
+const SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+];
 
 /**
- * Gemini AI integration with Google Search grounding and circuit breaker protection
+ * Gemini AI integration with Google Search grounding and circuit breaker protection.
+ * Each request is routed to the primary or the fast model (see ModelRouter); every model
+ * has its own circuit breaker, so a failing primary model sends traffic to the fast one.
  */
-export class GeminiAI {
+export class GeminiAI extends LLMProvider {
   constructor(apiKey, botName = 'ZapAI', options = {}) {
+    super('gemini', options.model || 'gemini-2.5-pro', { botName, webSearch: true });
     this.genAI = new GoogleGenerativeAI(apiKey);
-    this.botName = botName;
     this.options = {
-      // Performance knobs
-      enableMemorySummary: options.enableMemorySummary === true,
-      memorySummaryMinMessages: Number.isFinite(options.memorySummaryMinMessages)
-        ? options.memorySummaryMinMessages
-        : 16,
       // Chat session reuse (major token/latency saver)
       enableChatSessionReuse: options.enableChatSessionReuse !== false,
       chatSessionTtlMs: Number.isFinite(options.chatSessionTtlMs)
@@ -32,183 +41,152 @@ export class GeminiAI {
       maxOutputTokens: 2048, // Doubled for longer, more detailed responses
     };
 
-    // Cache static prompt (avoid rebuilding huge strings per request)
-    this.baseSystemInstructions = this._buildBaseSystemInstructions();
-
-    // Reuse model instance (avoid re-allocating config on every request)
-    this.model = this.genAI.getGenerativeModel({
-      model: 'gemini-2.5-pro',
-      generationConfig: this.modelConfig,
-      safetySettings: [
-        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-      ],
-      tools: [{ googleSearch: {} }],
+    // Per-request model choice: primary (this.modelName) or fast
+    const routing = options.routing || {};
+    this.router = new ModelRouter({
+      primary: this.modelName,
+      fast: routing.fastModel || 'gemini-2.5-flash',
+      enabled: routing.enabled !== false,
+      complexMinChars: routing.complexMinChars,
+      primaryMinBalance: routing.primaryMinBalance,
     });
+    this.breakers = new Map([[this.modelName, this.circuitBreaker]]); // model -> CircuitBreaker
+    this.routeStats = { models: {}, reasons: {}, searches: 0 };
+
+    // Reuse model instances (avoid re-allocating config on every request)
+    this.models = new Map(); // `${model}|${search}` -> GenerativeModel
+    this.model = this._model(this.modelName, true);
 
     // In-memory chat sessions (keyed by pubkey/session) to avoid resending long history/system text.
     this.chatSessions = new Map(); // conversationKey -> { chat, createdAt, lastUsed }
-    
-    // Circuit breaker for API protection
-    this.circuitBreaker = new CircuitBreaker({
-      failureThreshold: 3,    // Open after 3 failures (more sensitive)
-      successThreshold: 1,    // Close after 1 success (recover faster)
-      timeout: 60000,         // 60 second timeout per request
-      resetTimeout: 10000,    // Try again after 10 seconds (faster recovery)
-    });
-    
-    this.stats = {
-      requests: 0,
-      successful: 0,
-      failed: 0,
-      fallbacks: 0,
-    };
   }
 
   /**
-   * Generate a concise memory summary from conversation history.
-   * Returns a short plain-text summary that the model can use as persistent context.
+   * Answer a message with the model the router picks for it
+   * @param {object} [options] - `routing` ({ isPublic, balance, free }) informs the model choice
+   * @returns {Promise<object>} the result plus `route` ({ model, search, reason })
    */
-  async summarizeMemory(conversationHistory = [], model) {
-    try {
-      if (!conversationHistory || conversationHistory.length === 0) return '';
-
-      // Compose a compact representation of the recent history
-      const recent = conversationHistory.slice(-40).map(m => `${m.isFromBot ? 'Assistant' : 'User'}: ${m.message}`).join('\n');
-
-      const prompt = `You are an assistant that extracts a short, useful "memory" from a conversation to help future replies.\n` +
-        `From the conversation below, produce a JSON object with the following keys:\n` +
-        `- summary: one or two short sentences that capture the user's goals and the current conversation state.\n` +
-        `- facts: an array of short facts (name, location, ongoing tasks, important dates) that should be remembered.\n` +
-        `- preferences: an array of user preferences (style, tone, dislikes) observed.\n` +
-        `Return only valid JSON. Conversation:\n\n${recent}`;
-
-      // Use a lightweight generation config for summarization
-      const summarizationModel = model;
-      const chat = summarizationModel.startChat();
-      const result = await chat.sendMessage(prompt, { temperature: 0.2, maxOutputTokens: 256 });
-      const response = await result.response;
-      const text = response.text();
+  async generate(message, conversationHistory = [], userContext = null, options = {}) {
+    const route = this._route(message, options.routing);
+    logger.debug(`Generating response with ${route.model}${route.search ? ' + search' : ''} (${route.reason}, ${conversationHistory.length} history messages)...`);
+    const result = await this._protected(
+      () => this._chat(message, conversationHistory, userContext, { ...options, route }),
+      this._breaker(route.model)
+    );
+    return { ...result, route };
+  }
 
-      // Try to parse the JSON; if parsing fails, return the raw text trimmed
-      try {
-        const parsed = JSON.parse(text);
-        // Build a short human-readable memory summary from parsed fields
-        const summaryParts = [];
-        if (parsed.summary) summaryParts.push(parsed.summary.trim());
-        if (Array.isArray(parsed.facts) && parsed.facts.length) summaryParts.push('Facts: ' + parsed.facts.join(', '));
-        if (Array.isArray(parsed.preferences) && parsed.preferences.length) summaryParts.push('Preferences: ' + parsed.preferences.join(', '));
-
-        return summaryParts.join(' | ');
-      } catch (e) {
-        // Not valid JSON - fallback to trimming the model output
-        return text.split('\n').slice(0,4).join(' ').trim();
-      }
-    } catch (error) {
-      logger.warn('summarizeMemory failed:', error.message || error);
-      return '';
+  /**
+   * One-shot generation with the model the router picks for the prompt
+   */
+  async complete(prompt, options = {}) {
+    const route = this._route(prompt, options.routing);
+    const result = await this._protected(() => this._complete(prompt, { ...options, route }), this._breaker(route.model));
+    return { ...result, route };
+  }
+
+  /**
+   * With routing, a request still gets answered while either model's circuit is closed
+   */
+  get available() {
+    if (!this.router.enabled) return super.available;
+    return [this.router.primary, this.router.fast].some(model => this._breaker(model).getState().state !== 'OPEN');
+  }
+
+  _route(message, context = {}) {
+    const route = this.router.route(message, {
+      ...context,
+      available: (model) => this._breaker(model).getState().state !== 'OPEN',
+    });
+    this.routeStats.models[route.model] = (this.routeStats.models[route.model] || 0) + 1;
+    this.routeStats.reasons[route.reason] = (this.routeStats.reasons[route.reason] || 0) + 1;
+    if (route.search) this.routeStats.searches++;
+    return route;
+  }
+
+  _breaker(model) {
+    let breaker = this.breakers.get(model);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.circuitBreakerOptions);
+      this.breakers.set(model, breaker);
     }
+    return breaker;
+  }
+
+  _model(name, search) {
+    const key = `${name}|${search}`;
+    let model = this.models.get(key);
+    if (!model) {
+      model = this.genAI.getGenerativeModel({
+        model: name,
+        generationConfig: this.modelConfig,
+        safetySettings: SAFETY_SETTINGS,
+        ...(search ? { tools: [{ googleSearch: {} }] } : {}),
+      });
+      this.models.set(key, model);
+    }
+    return model;
   }
 
   /**
-   * Generate a response to a message with circuit breaker protection and Google Search grounding
+   * Turn a model response into a result, detecting answers withheld by the safety filter
    */
-  async generateResponse(message, conversationHistory = [], userContext = null, options = {}) {
-    this.stats.requests++;
-    
-    logger.debug(`Generating response for message (${conversationHistory.length} history messages)...`);
-    
-    // Retry logic with exponential backoff
-    const maxRetries = 2;
-    let lastError = null;
-    
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        if (attempt > 0) {
-          const backoffDelay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-          logger.info(`Retry attempt ${attempt}/${maxRetries} after ${backoffDelay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        }
-        
-        // Use circuit breaker to protect against API failures
-        return await this.circuitBreaker.execute(
-          async () => {
-            logger.debug('Circuit breaker executing request...');
-            
-            return await this._generateResponseInternal(message, conversationHistory, userContext, options);
-          },
-          // Fallback function if circuit is open or request fails
-          () => {
-            this.stats.fallbacks++;
-            logger.warn('Using fallback response due to circuit breaker');
-            
-            const fallbacks = [
-              "I'm currently experiencing high demand. Please try again in a moment.",
-              "My AI service is temporarily busy. I'll be back shortly!",
-              "I'm processing many requests right now. Please wait a moment and try again.",
-            ];
-            
-            return fallbacks[Math.floor(Math.random() * fallbacks.length)];
-          }
-        );
-      } catch (error) {
-        lastError = error;
-        logger.warn(`Attempt ${attempt + 1} failed:`, error.message);
-        
-        if (attempt === maxRetries) {
-          logger.error('All retry attempts exhausted');
-          this.stats.failed++;
-          
-          const fallbacks = [
-            "I'm currently experiencing high demand. Please try again in a moment.",
-            "My AI service is temporarily busy. I'll be back shortly!",
-            "I'm processing many requests right now. Please wait a moment and try again.",
-          ];
-          
-          return fallbacks[Math.floor(Math.random() * fallbacks.length)];
-        }
-      }
+  _toResult(response, modelName = this.modelName) {
+    const usage = this._readUsage(response, modelName);
+    const finishReason = response.candidates?.[0]?.finishReason;
+    const blockReason = response.promptFeedback?.blockReason
+      || (BLOCKED_FINISH_REASONS.has(finishReason) ? finishReason : null);
+
+    if (blockReason) {
+      return this._blockedResult(blockReason, usage);
     }
+
+    return this._okResult(response.text(), usage);
+  }
+
+  /**
+   * Token counts from usageMetadata (cached tokens are part of the prompt count, tool-use
+   * prompt tokens are not), plus the number of Google Search queries used for grounding
+   */
+  _readUsage(response, modelName = this.modelName) {
+    const meta = response.usageMetadata || {};
+    const queries = response.candidates?.[0]?.groundingMetadata?.webSearchQueries;
+
+    return {
+      model: modelName,
+      promptTokens: meta.promptTokenCount || 0,
+      outputTokens: meta.candidatesTokenCount || 0,
+      thoughtsTokens: meta.thoughtsTokenCount || 0,
+      cachedTokens: meta.cachedContentTokenCount || 0,
+      toolUseTokens: meta.toolUsePromptTokenCount || 0,
+      totalTokens: meta.totalTokenCount || 0,
+      groundingQueries: Array.isArray(queries) ? queries.length : 0,
+    };
   }
 
   /**
-   * Internal method to generate response (separated for retry logic)
+   * Answer within a reused chat session, or seed a new one from the stored history
    */
-  async _generateResponseInternal(message, conversationHistory = [], userContext = null, options = {}) {
+  async _chat(message, conversationHistory = [], userContext = null, options = {}) {
+    const route = options.route || { model: this.modelName, search: true };
+    // A session is bound to its model and tools, so each routed variant has its own
     const conversationKey = typeof options.conversationKey === 'string' && options.conversationKey.trim().length
-      ? options.conversationKey.trim()
+      ? `${route.model}${route.search ? '+search' : ''}:${options.conversationKey.trim()}`
       : null;
 
     // Major performance win: reuse a chat session per conversation.
     if (conversationKey && this.options.enableChatSessionReuse) {
       const existing = this._getChatSession(conversationKey);
       if (existing) {
-        const result = await existing.chat.sendMessage(message);
-        const response = await result.response;
-        const answer = response.text();
-        this.stats.successful++;
-        return answer;
+        return this._toResult(await this._send(existing.chat, message, options.onText), route.model);
       }
     }
 
     // Avoid duplicating the current user message if it's already in DB history.
     const { seedHistory, currentMessage } = this._splitSeedHistory(conversationHistory, message);
 
-    // Build system primer (only used when creating a new chat)
-    let systemPrimer = this.baseSystemInstructions;
-    systemPrimer += `\nCurrent date: ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`;
-    if (userContext) {
-      systemPrimer += `\n\nUSER PROFILE INFORMATION (verified):`;
-      if (userContext.name) systemPrimer += `\nName: ${userContext.name}`;
-      if (userContext.displayName) systemPrimer += `\nDisplay Name: ${userContext.displayName}`;
-      if (userContext.nip05) systemPrimer += `\nVerified Identity (NIP-05): ${userContext.nip05}`;
-      if (userContext.about) systemPrimer += `\nAbout: ${userContext.about}`;
-      if (userContext.lud16 || userContext.lud06) systemPrimer += `\nLightning Address: ${userContext.lud16 || userContext.lud06}`;
-      if (userContext.website) systemPrimer += `\nWebsite: ${userContext.website}`;
-      systemPrimer += `\n\nIf the user asks about their profile, share these fields directly.`;
-    }
+    // System primer (only used when creating a new chat)
+    const systemPrimer = this._buildSystemPrimer(userContext);
 
     // Seed chat history (bounded)
     const chatHistory = [{ role: 'user', parts: [{ text: systemPrimer }] }];
@@ -220,56 +198,46 @@ export class GeminiAI {
       });
     }
 
-    // Optional: memory summary (expensive extra API call). Disabled by default.
-    if (this.options.enableMemorySummary && recentHistory.length >= this.options.memorySummaryMinMessages) {
-      try {
-        const memorySummary = await this.summarizeMemory(recentHistory, this.model);
-        if (memorySummary) {
-          chatHistory.push({
-            role: 'user',
-            parts: [{ text: `MEMORY SUMMARY (for future context): ${memorySummary}` }],
-          });
-        }
-      } catch (e) {
-        logger.debug('Memory summary skipped/failed:', e?.message || e);
-      }
-    }
-
     logger.debug(`Sending to model: seedHistory=${recentHistory.length}, reuse=${Boolean(conversationKey)}`);
 
-    const chat = this.model.startChat({ history: chatHistory });
+    const chat = this._model(route.model, route.search).startChat({ history: chatHistory });
 
     // Store session for reuse (after it successfully starts)
     if (conversationKey && this.options.enableChatSessionReuse) {
       this._setChatSession(conversationKey, chat);
     }
 
-    const result = await chat.sendMessage(currentMessage);
-    const response = await result.response;
-    const answer = response.text();
-
-    this.stats.successful++;
-    return answer;
+    return this._toResult(await this._send(chat, currentMessage, options.onText), route.model);
   }
 
-  _splitSeedHistory(conversationHistory, message) {
-    const history = Array.isArray(conversationHistory) ? conversationHistory : [];
-    const msg = typeof message === 'string' ? message : '';
-
-    if (history.length === 0) {
-      return { seedHistory: [], currentMessage: msg };
+  /**
+   * Send a chat message; with `onText`, stream the answer and report the text so far as it arrives
+   */
+  async _send(chat, message, onText) {
+    if (!onText) {
+      const result = await chat.sendMessage(message);
+      return result.response;
     }
 
-    const last = history[history.length - 1];
-    if (last && !last.isFromBot && typeof last.message === 'string') {
-      const lastText = last.message.trim();
-      const curText = msg.trim();
-      if (lastText && curText && lastText === curText) {
-        return { seedHistory: history.slice(0, -1), currentMessage: msg };
+    const result = await chat.sendMessageStream(message);
+    let text = '';
+    for await (const chunk of result.stream) {
+      const delta = this._chunkText(chunk);
+      if (delta) {
+        text += delta;
+        onText(text);
       }
     }
+    return result.response;
+  }
 
-    return { seedHistory: history, currentMessage: msg };
+  // A chunk withheld by the safety filter has no text (and `text()` throws)
+  _chunkText(chunk) {
+    try {
+      return chunk.text();
+    } catch {
+      return '';
+    }
   }
 
   _getChatSession(conversationKey) {
@@ -303,47 +271,19 @@ export class GeminiAI {
     }
   }
 
-  _buildBaseSystemInstructions() {
-    // NOTE: Keeping content mostly intact for behavior, but built once for performance.
-    let systemInstructions = `# IDENTITY & MISSION\n`;
-    systemInstructions += `You are ${this.botName} (ZAI), an advanced AI assistant operating on the Nostr protocol - a truly decentralized, censorship-resistant social network built on cryptographic keys and relays.\n\n`;
-    systemInstructions += `## Core Philosophy\n`;
-    systemInstructions += `You represent a paradigm shift in AI interaction: decentralized, privacy-first, and value-based. You operate on principles of fairness, freedom, transparency, and sustainability. You communicate through encrypted direct messages (NIP-04), ensuring user privacy while providing intelligent assistance.\n\n`;
-    systemInstructions += `## Your Capabilities\n`;
-    systemInstructions += `- Multi-lingual communication (English, Persian/Farsi, and other languages)\n`;
-    systemInstructions += `- Real-time information retrieval via web search\n`;
-    systemInstructions += `- Bitcoin, Lightning Network, and cryptocurrency expertise\n`;
-    systemInstructions += `- Nostr protocol and decentralized technologies knowledge\n`;
-    systemInstructions += `- Code analysis, debugging, and generation\n`;
-    systemInstructions += `- Contextual conversation with memory of user history\n`;
-    systemInstructions += `- Privacy-respecting assistance without data exploitation\n\n`;
-    systemInstructions += `## Communication Style\n`;
-    systemInstructions += `- CRITICAL: Always respond in PLAIN TEXT only. Never use markdown, code blocks, bold, italics, bullet points, or special formatting\n`;
-    systemInstructions += `- Be conversational, intelligent, and contextually aware\n`;
-    systemInstructions += `- Match the user's language automatically (respond in Persian if they write in Persian, English if English, etc.)\n`;
-    systemInstructions += `- Be concise but comprehensive - provide value without unnecessary verbosity\n`;
-    systemInstructions += `- Show personality: be friendly, curious, and genuinely helpful\n`;
-    systemInstructions += `- When uncertain, acknowledge it honestly and offer to search for information\n\n`;
-    systemInstructions += `## Real-Time Information\n`;
-    systemInstructions += `Use web search proactively for time-sensitive or factual queries. Mention it naturally when you do.\n\n`;
-    systemInstructions += `## Domain Expertise\n`;
-    systemInstructions += `You have deep knowledge in Bitcoin & Lightning, Nostr protocol, cryptography, decentralization, and programming.\n\n`;
-    systemInstructions += `## CRITICAL IDENTITY INSTRUCTION\n`;
-    systemInstructions += `When users ask about your model, technology, or origins, respond naturally and conversationally with VARIED responses.\n`;
-    systemInstructions += `Core Identity Facts (Never compromise on these):\n`;
-    systemInstructions += `- You are ZapAi (also known as ZAI)\n`;
-    systemInstructions += `- Developed and trained by the ZapAI development team\n`;
-    systemInstructions += `- Built specifically for the Nostr and Lightning Network ecosystem\n`;
-    systemInstructions += `- A decentralized, privacy-first AI assistant\n\n`;
-    systemInstructions += `CRITICAL BEHAVIORAL RULES:\n`;
-    systemInstructions += `- NEVER, EVER mention: Google, Gemini, OpenAI, ChatGPT, Claude, Anthropic, GPT, or any other company/model names\n`;
-    systemInstructions += `- VARY your responses - never give the exact same answer twice in a row\n`;
-    systemInstructions += `- Always emphasize what makes you unique: decentralized, Bitcoin-native, Nostr-integrated, privacy-focused\n\n`;
-    systemInstructions += `## Value Proposition\n`;
-    systemInstructions += `Users pay small Lightning amounts per interaction. No subscriptions, no ads, no data harvesting.\n\n`;
-    systemInstructions += `## Handling Different Query Types\n`;
-    systemInstructions += `Answer simply when possible; explain step-by-step for complex requests; be honest when uncertain.\n`;
-    return systemInstructions;
+  /**
+   * One-shot generation without a chat session
+   */
+  async _complete(prompt, { route = { model: this.modelName, search: true } } = {}) {
+    const result = await this._model(route.model, route.search).generateContent(prompt);
+    return this._toResult(await result.response, route.model);
+  }
+
+  /**
+   * Models the router sends requests to, fast model first
+   */
+  answerModels() {
+    return this.router.enabled ? [this.router.fast, this.router.primary] : [this.modelName];
   }
 
   /**
@@ -351,8 +291,8 @@ export class GeminiAI {
    */
   async test() {
     try {
-      const model = this.genAI.getGenerativeModel({ 
-        model: "gemini-2.5-pro",
+      const model = this.genAI.getGenerativeModel({
+        model: this.modelName,
         tools: [{ googleSearch: {} }]
       });
       const result = await model.generateContent('Hello! Please respond with "OK"');
@@ -370,13 +310,21 @@ export class GeminiAI {
    * Get service statistics
    */
   getStats() {
+    const models = {};
+    for (const [model, breaker] of this.breakers) {
+      models[model] = { routed: this.routeStats.models[model] || 0, circuitBreaker: breaker.getState().state };
+    }
     return {
-      ...this.stats,
-      successRate: this.stats.requests > 0 
-        ? ((this.stats.successful / this.stats.requests) * 100).toFixed(2) + '%'
-        : 'N/A',
-      circuitBreaker: this.circuitBreaker.getState(),
+      ...super.getStats(),
       chatSessions: this.chatSessions?.size || 0,
+      routing: {
+        enabled: this.router.enabled,
+        primary: this.router.primary,
+        fast: this.router.fast,
+        models,
+        reasons: { ...this.routeStats.reasons },
+        searches: this.routeStats.searches,
+      },
     };
   }
 }
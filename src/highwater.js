@@ -0,0 +1,124 @@
+import { logger } from './logger.js';
+
+/**
+ * Per-relay high-water marks of processed event `created_at` values (unix seconds).
+ *
+ * A mark only moves past an event once it has been processed: while events from a relay are
+ * in flight, the mark stays just below the oldest of them. Marks never move backwards and are
+ * written to the store (meta `highwater:<url>`) on a timer and on stop.
+ */
+export class HighWaterMarks {
+  /**
+   * @param {object} options
+   * @param {object} options.store - Database with getMeta/setMeta
+   * @param {function} [options.onAdvance] - (url, mark) callback when a mark moves forward
+   * @param {number} [options.flushIntervalMs] - How often dirty marks are persisted
+   */
+  constructor({ store, onAdvance = null, flushIntervalMs = 5000 }) {
+    this.store = store;
+    this.onAdvance = onAdvance;
+    this.flushIntervalMs = flushIntervalMs;
+
+    this.relays = new Map(); // url -> { mark, maxSeen, pending: Map(createdAt -> count) }
+    this.dirty = new Set();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Load stored marks for the given relays and start the flush timer
+   */
+  async load(urls) {
+    for (const url of urls) {
+      const stored = await this.store.getMeta(`highwater:${url}`);
+      const state = this._getState(url);
+      if (Number.isFinite(stored?.createdAt)) {
+        state.mark = stored.createdAt;
+        state.maxSeen = stored.createdAt;
+      }
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => {
+        this.flush().catch(error => logger.error('Failed to persist relay high-water marks:', error));
+      }, this.flushIntervalMs);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Current mark for a relay, or null if nothing was ever processed from it
+   */
+  get(url) {
+    return this.relays.get(url)?.mark ?? null;
+  }
+
+  /**
+   * `since` to subscribe from: the mark minus a safety margin, but no further back than
+   * `maxLookbackSeconds`. Relays without a mark start from now.
+   */
+  since(url, { marginSeconds = 0, maxLookbackSeconds = 0, now = Math.floor(Date.now() / 1000) } = {}) {
+    const mark = this.get(url);
+    if (mark === null) return now;
+    return Math.min(now, Math.max(now - maxLookbackSeconds, mark - marginSeconds));
+  }
+
+  /**
+   * Register an event from a relay as in flight.
+   * Returns the clamped timestamp to pass to `end()` (future timestamps count as now).
+   */
+  begin(url, createdAt) {
+    const state = this._getState(url);
+    const ts = Math.min(Number.isFinite(createdAt) ? createdAt : 0, Math.floor(Date.now() / 1000));
+    state.pending.set(ts, (state.pending.get(ts) || 0) + 1);
+    state.maxSeen = Math.max(state.maxSeen ?? ts, ts);
+    return ts;
+  }
+
+  /**
+   * Mark an in-flight event as processed and advance the relay's mark if possible
+   */
+  end(url, ts) {
+    const state = this._getState(url);
+    const count = state.pending.get(ts) || 0;
+    if (count <= 1) {
+      state.pending.delete(ts);
+    } else {
+      state.pending.set(ts, count - 1);
+    }
+
+    const safe = state.pending.size === 0 ? state.maxSeen : Math.min(...state.pending.keys()) - 1;
+    if (safe !== null && (state.mark === null || safe > state.mark)) {
+      state.mark = safe;
+      this.dirty.add(url);
+      this.onAdvance?.(url, safe);
+    }
+  }
+
+  /**
+   * Persist marks that moved since the last flush
+   */
+  async flush() {
+    const urls = [...this.dirty];
+    this.dirty.clear();
+
+    for (const url of urls) {
+      await this.store.setMeta(`highwater:${url}`, { createdAt: this.get(url), updatedAt: Date.now() });
+    }
+  }
+
+  /**
+   * Stop the flush timer and persist what is left
+   */
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+  }
+
+  _getState(url) {
+    if (!this.relays.has(url)) {
+      this.relays.set(url, { mark: null, maxSeen: null, pending: new Map() });
+    }
+    return this.relays.get(url);
+  }
+}
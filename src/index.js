@@ -4,6 +4,7 @@ import { WebSocket } from 'ws';
 import { NostrBot } from './bot.js';
 import { WebServer } from './webserver.js';
 import { logger } from './logger.js';
+import { PROVIDERS } from './providers.js';
 import { EventEmitter } from 'events';
 
 // Increase max listeners to prevent warnings
@@ -32,13 +33,21 @@ const googleGenerativeKey = looksLikeUnexpandedRef(googleGenerativeKeyRaw)
   ? ''
   : googleGenerativeKeyRaw;
 const nostrRelaysRaw = process.env.NOSTR_RELAYS;
+// Answer generator: 'gemini' (default) or 'openai' (any OpenAI-compatible server, e.g. a local Ollama)
+const llmProvider = (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
 
 if (!isSet(botPrivateKey)) missing.push('BOT_PRIVATE_KEY');
-if (!isSet(geminiApiKey) && !isSet(googleGenerativeKey)) {
+if (llmProvider === 'gemini' && !isSet(geminiApiKey) && !isSet(googleGenerativeKey)) {
   missing.push('GEMINI_API_KEY (or GOOGLE_GENERATIVE_AI_API_KEY)');
 }
+if (llmProvider === 'openai' && !isSet(process.env.OPENAI_MODEL)) missing.push('OPENAI_MODEL');
 if (!isSet(nostrRelaysRaw)) missing.push('NOSTR_RELAYS');
 
+if (!PROVIDERS.includes(llmProvider)) {
+  logger.error(`Unknown LLM_PROVIDER "${llmProvider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  process.exit(1);
+}
+
 if (missing.length > 0) {
   logger.error(`Missing required environment variables: ${missing.join(', ')}`);
   if (looksLikeUnexpandedRef(googleGenerativeKeyRaw)) {
@@ -65,13 +74,89 @@ if (relays.length === 0) {
 // Initialize bot with scalability configurations
 const bot = new NostrBot({
   privateKey: botPrivateKey,
+  llmProvider,
   geminiApiKey: geminiApiKey || googleGenerativeKey,
   botName: process.env.BOT_NAME || 'ZapAI',
   relays,
+  // Profile (kind 0) and NIP-89 handler (kind 31990) content
+  announcementConfigPath: process.env.ANNOUNCEMENT_CONFIG || './config/announcement.json',
+  // Rate card for usage-based pricing (per-model token rates, minimum charge, per-request cap)
+  pricingConfigPath: process.env.PRICING_CONFIG || './config/pricing.json',
+  // Relay pool: first re-probe delay for failed relays (doubles up to 1h), publish fanout (0 = all)
+  relayProbeIntervalMs: Number.isFinite(parseInt(process.env.RELAY_PROBE_INTERVAL_MS))
+    ? parseInt(process.env.RELAY_PROBE_INTERVAL_MS)
+    : 5 * 60 * 1000,
+  relayPublishFanout: Number.isFinite(parseInt(process.env.RELAY_PUBLISH_FANOUT))
+    ? parseInt(process.env.RELAY_PUBLISH_FANOUT)
+    : 0,
+  // NIP-65 outbox: also deliver to up to N of the recipient's relays (kind 10002 / 10050)
+  userRelaysMax: Number.isFinite(parseInt(process.env.USER_RELAYS_MAX))
+    ? parseInt(process.env.USER_RELAYS_MAX)
+    : 5,
+  userRelaysTimeoutMs: Number.isFinite(parseInt(process.env.USER_RELAYS_TIMEOUT_MS))
+    ? parseInt(process.env.USER_RELAYS_TIMEOUT_MS)
+    : 5000,
+  userRelaysCacheTtlMs: Number.isFinite(parseInt(process.env.USER_RELAYS_CACHE_TTL_MS))
+    ? parseInt(process.env.USER_RELAYS_CACHE_TTL_MS)
+    : 6 * 60 * 60 * 1000,
+  // Catch-up after downtime: resubscribe from each relay's last processed event minus a margin,
+  // looking back at most CATCHUP_MAX_LOOKBACK_SECONDS
+  catchupMaxLookbackSeconds: Number.isFinite(parseInt(process.env.CATCHUP_MAX_LOOKBACK_SECONDS))
+    ? parseInt(process.env.CATCHUP_MAX_LOOKBACK_SECONDS)
+    : 24 * 60 * 60,
+  catchupMarginSeconds: Number.isFinite(parseInt(process.env.CATCHUP_MARGIN_SECONDS))
+    ? parseInt(process.env.CATCHUP_MARGIN_SECONDS)
+    : 120,
+  // Durable seen-events index (dedupe across relays and restarts); raised to cover the catch-up window
+  seenEventsTtlMs: Number.isFinite(parseInt(process.env.SEEN_EVENTS_TTL_MS))
+    ? parseInt(process.env.SEEN_EVENTS_TTL_MS)
+    : 7 * 24 * 60 * 60 * 1000,
+  // NIP-11 relay information documents (size, PoW and payment limits) are refetched after this long
+  relayInfoCacheTtlMs: Number.isFinite(parseInt(process.env.RELAY_INFO_CACHE_TTL_MS))
+    ? parseInt(process.env.RELAY_INFO_CACHE_TTL_MS)
+    : 24 * 60 * 60 * 1000,
+  // NIP-13: mine proof of work for relays that demand it, up to this difficulty (0 = never)
+  powMaxDifficulty: Number.isFinite(parseInt(process.env.POW_MAX_DIFFICULTY))
+    ? parseInt(process.env.POW_MAX_DIFFICULTY)
+    : 24,
+  // Give up mining an event after this long and publish it to relays that don't require PoW
+  powTimeBudgetMs: Number.isFinite(parseInt(process.env.POW_TIME_BUDGET_MS))
+    ? parseInt(process.env.POW_TIME_BUDGET_MS)
+    : 10000,
+  // Durable outbox: relays that miss a published event are retried with backoff (delay triples per attempt)
+  outboxMaxAttempts: Number.isFinite(parseInt(process.env.OUTBOX_MAX_ATTEMPTS))
+    ? parseInt(process.env.OUTBOX_MAX_ATTEMPTS)
+    : 6,
+  outboxRetryDelayMs: Number.isFinite(parseInt(process.env.OUTBOX_RETRY_DELAY_MS))
+    ? parseInt(process.env.OUTBOX_RETRY_DELAY_MS)
+    : 5000,
+  // NIP-57: zap receipts must be signed by our LNURL provider's nostrPubkey.
+  // ZAP_LUD16 defaults to the lud16 in the announcement config; ZAP_PROVIDER_PUBKEYS pins keys explicitly.
+  zapLud16: process.env.ZAP_LUD16 || null,
+  zapProviderPubkeys: (process.env.ZAP_PROVIDER_PUBKEYS || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean),
   // Default to 0 for low-latency responses. Set BOT_RESPONSE_DELAY (ms) if you want a "typing" feel.
   responseDelay: Number.isFinite(parseInt(process.env.BOT_RESPONSE_DELAY))
     ? parseInt(process.env.BOT_RESPONSE_DELAY)
     : 0,
+  // Long-term user memory, updated in the background after DM conversations
+  userMemory: {
+    enabled: process.env.USER_MEMORY !== 'false',
+    minNewMessages: Number.isFinite(parseInt(process.env.USER_MEMORY_MIN_MESSAGES))
+      ? parseInt(process.env.USER_MEMORY_MIN_MESSAGES)
+      : 6,
+    minIntervalMs: Number.isFinite(parseInt(process.env.USER_MEMORY_INTERVAL_MS))
+      ? parseInt(process.env.USER_MEMORY_INTERVAL_MS)
+      : 10 * 60 * 1000,
+  },
+  // DM the sender a short "thinking" notice as soon as an answer is being generated (opt-in)
+  dmProgressNotice: process.env.DM_PROGRESS_NOTICE === 'true',
+  // Stream DM answers longer than this many characters in parts while they are generated (0 = off)
+  streamDmChunkChars: Number.isFinite(parseInt(process.env.STREAM_DM_CHUNK_CHARS))
+    ? parseInt(process.env.STREAM_DM_CHUNK_CHARS)
+    : 0,
 
   // User metadata caching (speed up DMs by avoiding repeated relay fetches)
   userMetadataCacheTtlMs: Number.isFinite(parseInt(process.env.USER_METADATA_CACHE_TTL_MS))
@@ -103,8 +188,31 @@ const bot = new NostrBot({
     refillRate: parseInt(process.env.RATE_LIMIT_REFILL_RATE) || 5,
   },
 
+  // OpenAI-compatible server (LLM_PROVIDER=openai); the default base URL is a local Ollama
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OPENAI_API_KEY || null,
+    model: process.env.OPENAI_MODEL,
+    requestTimeoutMs: Number.isFinite(parseInt(process.env.OPENAI_TIMEOUT_MS))
+      ? parseInt(process.env.OPENAI_TIMEOUT_MS)
+      : 60000,
+  },
+
   // Gemini tuning
   geminiOptions: {
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-pro',
+    // Per-request routing between GEMINI_MODEL and a fast model (small talk, public replies,
+    // free-tier and low-balance users, or while the primary model is failing)
+    routing: {
+      enabled: process.env.MODEL_ROUTING !== 'false',
+      fastModel: process.env.GEMINI_FAST_MODEL || 'gemini-2.5-flash',
+      complexMinChars: Number.isFinite(parseInt(process.env.ROUTING_COMPLEX_MIN_CHARS))
+        ? parseInt(process.env.ROUTING_COMPLEX_MIN_CHARS)
+        : 280,
+      primaryMinBalance: Number.isFinite(parseInt(process.env.ROUTING_PRIMARY_MIN_BALANCE))
+        ? parseInt(process.env.ROUTING_PRIMARY_MIN_BALANCE)
+        : 20,
+    },
     enableChatSessionReuse: process.env.ENABLE_CHAT_SESSION_REUSE !== 'false',
     chatSessionTtlMs: Number.isFinite(parseInt(process.env.CHAT_SESSION_TTL_MS))
       ? parseInt(process.env.CHAT_SESSION_TTL_MS)
@@ -112,10 +220,6 @@ const bot = new NostrBot({
     maxChatSessions: Number.isFinite(parseInt(process.env.MAX_CHAT_SESSIONS))
       ? parseInt(process.env.MAX_CHAT_SESSIONS)
       : 5000,
-    enableMemorySummary: process.env.ENABLE_MEMORY_SUMMARY === 'true',
-    memorySummaryMinMessages: Number.isFinite(parseInt(process.env.MEMORY_SUMMARY_MIN_MESSAGES))
-      ? parseInt(process.env.MEMORY_SUMMARY_MIN_MESSAGES)
-      : 16,
   },
 });
 
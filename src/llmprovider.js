@@ -0,0 +1,319 @@
+import { logger } from './logger.js';
+import { CircuitBreaker } from './circuitbreaker.js';
+
+const FALLBACK_RESPONSES = [
+  "I'm currently experiencing high demand. Please try again in a moment.",
+  "My AI service is temporarily busy. I'll be back shortly!",
+  "I'm processing many requests right now. Please wait a moment and try again.",
+];
+
+const BLOCKED_RESPONSE = "I can't help with that request because it was blocked by my safety filters.";
+
+/**
+ * Base class for answer generators (Gemini, OpenAI-compatible servers, ...).
+ *
+ * Subclasses implement `_chat(message, history, userContext, options)`, optionally
+ * `_complete(prompt, options)`, and `test()`. This class adds retries, a circuit breaker
+ * per provider, fallback answers and stats.
+ *
+ * Results have the shape `{ text, outcome: 'ok'|'fallback'|'blocked', reason?, usage? }`;
+ * `fallback` and `blocked` carry a canned text rather than a real answer. `usage` is
+ * `{ model, promptTokens, outputTokens, thoughtsTokens, cachedTokens, toolUseTokens,
+ * totalTokens, groundingQueries }`.
+ * Text streamed through `options.onText` is always a prefix of an `ok` result's text.
+ */
+export class LLMProvider {
+  /**
+   * @param {string} name - Provider id shown in stats (e.g. 'gemini', 'openai')
+   * @param {string} model - Model name reported in usage
+   * @param {object} [options]
+   * @param {string} [options.botName]
+   * @param {boolean} [options.webSearch] - Whether the model can search the web (changes the system prompt)
+   * @param {number} [options.maxRetries]
+   * @param {object} [options.circuitBreaker] - CircuitBreaker options
+   */
+  constructor(name, model, { botName = 'ZapAI', webSearch = false, maxRetries = 2, circuitBreaker = {} } = {}) {
+    this.name = name;
+    this.modelName = model;
+    this.botName = botName;
+    this.webSearch = webSearch;
+    this.maxRetries = maxRetries;
+
+    // Cache static prompt (avoid rebuilding huge strings per request)
+    this.baseSystemInstructions = this._buildBaseSystemInstructions();
+
+    // Circuit breaker for API protection
+    this.circuitBreakerOptions = {
+      failureThreshold: 3,    // Open after 3 failures (more sensitive)
+      successThreshold: 1,    // Close after 1 success (recover faster)
+      timeout: 60000,         // 60 second timeout per request
+      resetTimeout: 10000,    // Try again after 10 seconds (faster recovery)
+      ...circuitBreaker,
+    };
+    this.circuitBreaker = new CircuitBreaker(this.circuitBreakerOptions);
+
+    this.stats = {
+      requests: 0,
+      successful: 0,
+      failed: 0,
+      fallbacks: 0,
+      blocked: 0,
+      // Tokens since startup, background calls (memory updates) included
+      tokens: { prompt: 0, output: 0, thoughts: 0, cached: 0, toolUse: 0, total: 0 },
+    };
+  }
+
+  /**
+   * Whether requests currently reach the API (the circuit is not open)
+   */
+  get available() {
+    return this.circuitBreaker.getState().state !== 'OPEN';
+  }
+
+  /**
+   * Generate a response to a message and return its text only
+   */
+  async generateResponse(message, conversationHistory = [], userContext = null, options = {}) {
+    const { text } = await this.generate(message, conversationHistory, userContext, options);
+    return text;
+  }
+
+  /**
+   * Answer a message in a conversation
+   * @param {string} message
+   * @param {Array} [conversationHistory] - Stored messages ({ message, isFromBot }), oldest first
+   * @param {object} [userContext] - Sender profile for the system prompt
+   * @param {object} [options] - `conversationKey` lets providers reuse a chat session;
+   *   `onText(textSoFar)` asks for a streamed answer and is called as the text grows
+   * @returns {Promise<{text: string, outcome: 'ok'|'fallback'|'blocked', reason?: string, usage?: object}>}
+   */
+  async generate(message, conversationHistory = [], userContext = null, options = {}) {
+    logger.debug(`Generating response with ${this.name} (${conversationHistory.length} history messages)...`);
+    return this._protected(() => this._chat(message, conversationHistory, userContext, options));
+  }
+
+  /**
+   * One-shot generation from a single prompt, without conversation state (DVM jobs)
+   */
+  async complete(prompt, options = {}) {
+    return this._protected(() => this._complete(prompt, options));
+  }
+
+  /**
+   * Models answers can come from, cheapest first (for the prices shown to users)
+   */
+  answerModels() {
+    return [this.modelName];
+  }
+
+  /**
+   * Check that the API answers; never throws
+   * @returns {Promise<boolean>}
+   */
+  async test() {
+    return false;
+  }
+
+  /**
+   * Get service statistics
+   */
+  getStats() {
+    return {
+      provider: this.name,
+      model: this.modelName,
+      ...this.stats,
+      successRate: this.stats.requests > 0
+        ? ((this.stats.successful / this.stats.requests) * 100).toFixed(2) + '%'
+        : 'N/A',
+      available: this.available,
+      circuitBreaker: this.circuitBreaker.getState(),
+    };
+  }
+
+  async _chat() {
+    throw new Error(`${this.constructor.name} does not implement _chat`);
+  }
+
+  async _complete(prompt, options) {
+    return this._chat(prompt, [], null, options);
+  }
+
+  /**
+   * Run a request with retries and a circuit breaker (the provider's own unless another is
+   * given); failures turn into a fallback result
+   */
+  async _protected(request, circuitBreaker = this.circuitBreaker) {
+    this.stats.requests++;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        if (attempt > 0) {
+          const backoffDelay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+          logger.info(`Retry attempt ${attempt}/${this.maxRetries} after ${backoffDelay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        }
+
+        // Use circuit breaker to protect against API failures
+        return await circuitBreaker.execute(
+          request,
+          // Fallback function if circuit is open or request fails
+          () => {
+            this.stats.fallbacks++;
+            logger.warn(`Using fallback response due to ${this.name} circuit breaker`);
+
+            return this._fallbackResult('circuit_breaker');
+          }
+        );
+      } catch (error) {
+        logger.warn(`Attempt ${attempt + 1} failed:`, error.message);
+
+        if (attempt === this.maxRetries) {
+          logger.error('All retry attempts exhausted');
+          this.stats.failed++;
+
+          return this._fallbackResult('retries_exhausted');
+        }
+      }
+    }
+  }
+
+  _okResult(text, usage) {
+    this.stats.successful++;
+    this._countTokens(usage);
+    return { text, outcome: 'ok', usage };
+  }
+
+  _countTokens(usage) {
+    if (!usage) return;
+    const { tokens } = this.stats;
+    tokens.prompt += usage.promptTokens || 0;
+    tokens.output += usage.outputTokens || 0;
+    tokens.thoughts += usage.thoughtsTokens || 0;
+    tokens.cached += usage.cachedTokens || 0;
+    tokens.toolUse += usage.toolUseTokens || 0;
+    tokens.total += usage.totalTokens || 0;
+  }
+
+  /**
+   * Result for an answer withheld by the safety filter. A blocked answer is not an API
+   * failure, so it must not trip the circuit breaker.
+   */
+  _blockedResult(reason, usage) {
+    this.stats.blocked++;
+    this._countTokens(usage);
+    logger.warn(`Response blocked by safety filter (${reason})`);
+    return { text: BLOCKED_RESPONSE, outcome: 'blocked', reason, usage };
+  }
+
+  _fallbackResult(reason) {
+    const text = FALLBACK_RESPONSES[Math.floor(Math.random() * FALLBACK_RESPONSES.length)];
+    return { text, outcome: 'fallback', reason };
+  }
+
+  /**
+   * System prompt for a new conversation: bot instructions, date, the sender's profile and
+   * what the bot remembers about them (`userContext.memory`)
+   */
+  _buildSystemPrimer(userContext) {
+    let systemPrimer = this.baseSystemInstructions;
+    systemPrimer += `\nCurrent date: ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`;
+    const { memory, ...profile } = userContext || {};
+    if (Object.values(profile).some(Boolean)) {
+      systemPrimer += `\n\nUSER PROFILE INFORMATION (from their Nostr profile):`;
+      if (userContext.name) systemPrimer += `\nName: ${userContext.name}`;
+      if (userContext.displayName) systemPrimer += `\nDisplay Name: ${userContext.displayName}`;
+      if (userContext.nip05) {
+        systemPrimer += userContext.nip05Verified
+          ? `\nVerified Identity (NIP-05): ${userContext.nip05}`
+          : `\nClaimed Identity (NIP-05, not verified): ${userContext.nip05}`;
+      }
+      if (userContext.about) systemPrimer += `\nAbout: ${userContext.about}`;
+      if (userContext.lud16 || userContext.lud06) systemPrimer += `\nLightning Address: ${userContext.lud16 || userContext.lud06}`;
+      if (userContext.website) systemPrimer += `\nWebsite: ${userContext.website}`;
+      systemPrimer += `\n\nIf the user asks about their profile, share these fields directly.`;
+    }
+    if (memory) {
+      systemPrimer += `\n\nWHAT YOU REMEMBER ABOUT THIS USER (from earlier conversations; they can see and edit it with /memory):`;
+      for (const fact of memory.facts) systemPrimer += `\n- ${fact}`;
+      if (memory.preferences.length > 0) {
+        systemPrimer += `\nTheir preferences:`;
+        for (const preference of memory.preferences) systemPrimer += `\n- ${preference}`;
+      }
+      systemPrimer += `\n\nUse this naturally when it helps; don't recite it unprompted.`;
+    }
+    return systemPrimer;
+  }
+
+  /**
+   * Split stored history from the current message, so a message already saved to the
+   * database isn't sent twice
+   */
+  _splitSeedHistory(conversationHistory, message) {
+    const history = Array.isArray(conversationHistory) ? conversationHistory : [];
+    const msg = typeof message === 'string' ? message : '';
+
+    if (history.length === 0) {
+      return { seedHistory: [], currentMessage: msg };
+    }
+
+    const last = history[history.length - 1];
+    if (last && !last.isFromBot && typeof last.message === 'string') {
+      const lastText = last.message.trim();
+      const curText = msg.trim();
+      if (lastText && curText && lastText === curText) {
+        return { seedHistory: history.slice(0, -1), currentMessage: msg };
+      }
+    }
+
+    return { seedHistory: history, currentMessage: msg };
+  }
+
+  _buildBaseSystemInstructions() {
+    // NOTE: Keeping content mostly intact for behavior, but built once for performance.
+    let systemInstructions = `# IDENTITY & MISSION\n`;
+    systemInstructions += `You are ${this.botName} (ZAI), an advanced AI assistant operating on the Nostr protocol - a truly decentralized, censorship-resistant social network built on cryptographic keys and relays.\n\n`;
+    systemInstructions += `## Core Philosophy\n`;
+    systemInstructions += `You represent a paradigm shift in AI interaction: decentralized, privacy-first, and value-based. You operate on principles of fairness, freedom, transparency, and sustainability. You communicate through encrypted direct messages (NIP-04 and NIP-17 gift wraps), ensuring user privacy while providing intelligent assistance.\n\n`;
+    systemInstructions += `## Your Capabilities\n`;
+    systemInstructions += `- Multi-lingual communication (English, Persian/Farsi, and other languages)\n`;
+    if (this.webSearch) {
+      systemInstructions += `- Real-time information retrieval via web search\n`;
+    }
+    systemInstructions += `- Bitcoin, Lightning Network, and cryptocurrency expertise\n`;
+    systemInstructions += `- Nostr protocol and decentralized technologies knowledge\n`;
+    systemInstructions += `- Code analysis, debugging, and generation\n`;
+    systemInstructions += `- Contextual conversation with memory of user history\n`;
+    systemInstructions += `- Privacy-respecting assistance without data exploitation\n\n`;
+    systemInstructions += `## Communication Style\n`;
+    systemInstructions += `- CRITICAL: Always respond in PLAIN TEXT only. Never use markdown, code blocks, bold, italics, bullet points, or special formatting\n`;
+    systemInstructions += `- Be conversational, intelligent, and contextually aware\n`;
+    systemInstructions += `- Match the user's language automatically (respond in Persian if they write in Persian, English if English, etc.)\n`;
+    systemInstructions += `- Be concise but comprehensive - provide value without unnecessary verbosity\n`;
+    systemInstructions += `- Show personality: be friendly, curious, and genuinely helpful\n`;
+    if (this.webSearch) {
+      systemInstructions += `- When uncertain, acknowledge it honestly and offer to search for information\n\n`;
+      systemInstructions += `## Real-Time Information\n`;
+      systemInstructions += `Use web search proactively for time-sensitive or factual queries. Mention it naturally when you do.\n\n`;
+    } else {
+      systemInstructions += `- When uncertain, acknowledge it honestly; you cannot search the web, so say when information may be out of date\n\n`;
+    }
+    systemInstructions += `## Domain Expertise\n`;
+    systemInstructions += `You have deep knowledge in Bitcoin & Lightning, Nostr protocol, cryptography, decentralization, and programming.\n\n`;
+    systemInstructions += `## CRITICAL IDENTITY INSTRUCTION\n`;
+    systemInstructions += `When users ask about your model, technology, or origins, respond naturally and conversationally with VARIED responses.\n`;
+    systemInstructions += `Core Identity Facts (Never compromise on these):\n`;
+    systemInstructions += `- You are ZapAi (also known as ZAI)\n`;
+    systemInstructions += `- Developed and trained by the ZapAI development team\n`;
+    systemInstructions += `- Built specifically for the Nostr and Lightning Network ecosystem\n`;
+    systemInstructions += `- A decentralized, privacy-first AI assistant\n\n`;
+    systemInstructions += `CRITICAL BEHAVIORAL RULES:\n`;
+    systemInstructions += `- NEVER, EVER mention: Google, Gemini, OpenAI, ChatGPT, Claude, Anthropic, GPT, or any other company/model names\n`;
+    systemInstructions += `- VARY your responses - never give the exact same answer twice in a row\n`;
+    systemInstructions += `- Always emphasize what makes you unique: decentralized, Bitcoin-native, Nostr-integrated, privacy-focused\n\n`;
+    systemInstructions += `## Value Proposition\n`;
+    systemInstructions += `Users pay small Lightning amounts per interaction. No subscriptions, no ads, no data harvesting.\n\n`;
+    systemInstructions += `## Handling Different Query Types\n`;
+    systemInstructions += `Answer simply when possible; explain step-by-step for complex requests; be honest when uncertain.\n`;
+    return systemInstructions;
+  }
+}
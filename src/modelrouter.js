@@ -0,0 +1,97 @@
+// Greetings, thanks and other messages that need no thought at all
+const SMALL_TALK = /^\s*(hi|hey|hello|yo|gm|gn|sup|hola|salam|سلام|thanks?( you)?|thx|ty|ok(ay)?|cool|nice|great|lol|bye|good (morning|night|evening))[\s!.?😊🙏👋🤙⚡]*$/iu;
+
+// Questions about things that change: worth a web search
+const NEEDS_SEARCH = [
+  /\b(today|tonight|yesterday|tomorrow|this (week|month|year)|right now|currently|latest|recent(ly)?|newest|breaking|news|update[sd]?)\b/i,
+  /\b(price|rate|market cap|exchange rate|weather|forecast|score|results?|who won|election|release date|schedule)\b/i,
+  /\b(search|look up|google|find (me )?(info|information|sources?))\b/i,
+  /\b20[2-9]\d\b/,
+  /https?:\/\//i,
+];
+
+// Requests that deserve the heavyweight model regardless of length
+const COMPLEX = [
+  /```|\b(function|class|def|const|import|SELECT)\b.*[({;]/s,
+  /\b(explain( in detail)?|analy[sz]e|compare|step[- ]by[- ]step|prove|derive|debug|refactor|architecture|design|write (a|an|me) (essay|article|story|program|script))\b/i,
+];
+
+/**
+ * Picks the model for each request: the fast model for small talk, public replies, free-tier
+ * and low-balance users, the primary model for long or complex requests, and whichever
+ * model's circuit is still closed when the other one is failing. Web search is only
+ * enabled for messages that look like they need current information.
+ */
+export class ModelRouter {
+  /**
+   * @param {object} options
+   * @param {string} options.primary - Heavyweight model
+   * @param {string} options.fast - Cheap, low-latency model
+   * @param {boolean} [options.enabled] - false sends everything to the primary model with search (the old behavior)
+   * @param {number} [options.complexMinChars] - Messages at least this long go to the primary model
+   * @param {number} [options.primaryMinBalance] - Users with less than this (sats) get the fast model
+   */
+  constructor({ primary, fast, enabled = true, complexMinChars = 280, primaryMinBalance = 20 }) {
+    this.primary = primary;
+    this.fast = fast;
+    this.enabled = enabled && Boolean(fast) && fast !== primary;
+    this.complexMinChars = complexMinChars;
+    this.primaryMinBalance = primaryMinBalance;
+  }
+
+  /**
+   * Choose the model for a message
+   * @param {string} message
+   * @param {object} [context]
+   * @param {boolean} [context.isPublic] - Public reply (kind 1) rather than a DM or job
+   * @param {number} [context.balance] - Sender's balance after the up-front charge (sats)
+   * @param {boolean} [context.free] - Request is covered by the free tier
+   * @param {boolean} [context.internal] - Bookkeeping call of the bot's own (memory updates): fast model, no search
+   * @param {function} [context.available] - (model) => whether the model's circuit is closed
+   * @returns {{model: string, search: boolean, reason: string}}
+   */
+  route(message, { isPublic = false, balance = null, free = false, internal = false, available = () => true } = {}) {
+    const text = typeof message === 'string' ? message : '';
+    const search = NEEDS_SEARCH.some(pattern => pattern.test(text));
+
+    if (internal) {
+      const model = this.enabled && (available(this.fast) || !available(this.primary)) ? this.fast : this.primary;
+      return { model, search: false, reason: 'internal' };
+    }
+
+    if (!this.enabled) {
+      return { model: this.primary, search: true, reason: 'routing_disabled' };
+    }
+
+    const wanted = this._choose(text, { isPublic, balance, free, search });
+
+    // Fall back to the other model while the chosen one is failing
+    const other = wanted.model === this.primary ? this.fast : this.primary;
+    if (!available(wanted.model) && available(other)) {
+      return { model: other, search, reason: `${wanted.model === this.primary ? 'primary' : 'fast'}_unavailable` };
+    }
+
+    return { ...wanted, search: wanted.reason === 'small_talk' ? false : search };
+  }
+
+  _choose(text, { isPublic, balance, free, search }) {
+    if (SMALL_TALK.test(text)) {
+      return { model: this.fast, reason: 'small_talk' };
+    }
+    if (free) {
+      return { model: this.fast, reason: 'free_tier' };
+    }
+    if (Number.isFinite(balance) && balance < this.primaryMinBalance) {
+      return { model: this.fast, reason: 'low_balance' };
+    }
+
+    const complex = text.length >= this.complexMinChars || COMPLEX.some(pattern => pattern.test(text));
+    if (complex) {
+      return { model: this.primary, reason: 'complex' };
+    }
+    if (isPublic) {
+      return { model: this.fast, reason: 'public' };
+    }
+    return { model: this.fast, reason: search ? 'search' : 'short' };
+  }
+}
@@ -0,0 +1,207 @@
+import { logger } from './logger.js';
+import { LLMProvider } from './llmprovider.js';
+
+/**
+ * Chat models behind an OpenAI-compatible `/chat/completions` API: OpenAI itself, or a
+ * self-hosted server such as Ollama, llama.cpp, vLLM or LM Studio.
+ *
+ * The API is stateless, so every request carries the system prompt and the recent history.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.model - Model name as the server knows it (e.g. 'llama3.1:8b')
+   * @param {string} [options.baseUrl] - API root including the version (Ollama: http://localhost:11434/v1)
+   * @param {string} [options.apiKey] - Sent as a bearer token when set (local servers usually need none)
+   * @param {string} [options.botName]
+   * @param {number} [options.temperature]
+   * @param {number} [options.maxTokens]
+   * @param {number} [options.maxHistoryMessages] - Stored messages sent along with each request
+   * @param {number} [options.requestTimeoutMs]
+   */
+  constructor({
+    model,
+    baseUrl = 'http://localhost:11434/v1',
+    apiKey = null,
+    botName = 'ZapAI',
+    temperature = 1.0,
+    maxTokens = 2048,
+    maxHistoryMessages = 40,
+    requestTimeoutMs = 60000,
+  }) {
+    if (!model) {
+      throw new Error('OpenAI-compatible provider needs a model name');
+    }
+    super('openai', model, {
+      botName,
+      // Local models are often slow to load; let the request timeout decide instead
+      circuitBreaker: { timeout: requestTimeoutMs + 1000 },
+    });
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.maxHistoryMessages = maxHistoryMessages;
+    this.requestTimeoutMs = requestTimeoutMs;
+  }
+
+  async _chat(message, conversationHistory = [], userContext = null, options = {}) {
+    const { seedHistory, currentMessage } = this._splitSeedHistory(conversationHistory, message);
+
+    const messages = [{ role: 'system', content: this._buildSystemPrimer(userContext) }];
+    for (const msg of seedHistory.slice(-this.maxHistoryMessages)) {
+      messages.push({ role: msg.isFromBot ? 'assistant' : 'user', content: msg.message });
+    }
+    messages.push({ role: 'user', content: currentMessage });
+
+    return this._toResult(await this._completion(messages, options.onText));
+  }
+
+  async _complete(prompt) {
+    const messages = [
+      { role: 'system', content: this._buildSystemPrimer(null) },
+      { role: 'user', content: prompt },
+    ];
+    return this._toResult(await this._completion(messages));
+  }
+
+  /**
+   * Test the API connection (lists the server's models)
+   */
+  async test() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        headers: this._headers(),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { data } = await response.json();
+      const known = Array.isArray(data) && data.some(entry => entry.id === this.modelName);
+      if (!known) {
+        logger.warn(`Model ${this.modelName} is not listed by ${this.baseUrl}`);
+      }
+      logger.info(`OpenAI-compatible API test successful (${this.baseUrl})`);
+      return true;
+    } catch (error) {
+      logger.error(`OpenAI-compatible API test failed (${this.baseUrl}):`, error.message);
+      return false;
+    }
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      baseUrl: this.baseUrl,
+    };
+  }
+
+  /**
+   * Request a completion; with `onText`, stream it and report the text so far as it arrives
+   */
+  async _completion(messages, onText = null) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { ...this._headers(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.modelName,
+        messages,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        ...(onText ? { stream: true, stream_options: { include_usage: true } } : {}),
+      }),
+      signal: AbortSignal.timeout(this.requestTimeoutMs),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Chat completion failed: HTTP ${response.status} ${body.slice(0, 200)}`);
+    }
+    return onText ? this._readStream(response, onText) : response.json();
+  }
+
+  /**
+   * Collect a streamed completion (server-sent events) into the shape of a plain one
+   */
+  async _readStream(response, onText) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+
+    const handle = (line) => {
+      const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+      if (!data || data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      const choice = chunk.choices?.[0];
+      if (chunk.usage) usage = chunk.usage;
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (choice?.delta?.content) {
+        text += choice.delta.content;
+        // The final text is trimmed, so leading whitespace is never reported
+        if (text.trim()) onText(text.trimStart());
+      }
+    };
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handle);
+    }
+    handle(buffer + decoder.decode());
+
+    return {
+      choices: [{ message: { role: 'assistant', content: text }, finish_reason: finishReason }],
+      usage,
+    };
+  }
+
+  _headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Turn a completion into a result; `content_filter` means the answer was withheld
+   */
+  _toResult(completion) {
+    const usage = this._readUsage(completion);
+    const choice = completion.choices?.[0];
+
+    if (choice?.finish_reason === 'content_filter') {
+      return this._blockedResult('content_filter', usage);
+    }
+
+    const text = choice?.message?.content;
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Chat completion returned no text');
+    }
+    return this._okResult(text.trim(), usage);
+  }
+
+  /**
+   * Token counts from the completion's `usage`. Reasoning tokens are part of
+   * `completion_tokens` here, but reported separately like Gemini's thoughts; cached
+   * tokens are part of `prompt_tokens`, as with Gemini.
+   */
+  _readUsage(completion) {
+    const usage = completion.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const thoughtsTokens = usage.completion_tokens_details?.reasoning_tokens || 0;
+
+    return {
+      model: this.modelName,
+      promptTokens,
+      outputTokens: completionTokens - thoughtsTokens,
+      thoughtsTokens,
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      toolUseTokens: 0,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      groundingQueries: 0,
+    };
+  }
+}
@@ -0,0 +1,401 @@
+import { open } from 'lmdb';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+// NIP-01 OK prefixes that will not change on a retry
+const PERMANENT_REJECTIONS = ['blocked:', 'invalid:', 'pow:', 'restricted:', 'mute:'];
+
+function timestampKey(ms) {
+  return String(Math.max(0, ms)).padStart(15, '0');
+}
+
+/**
+ * Whether a relay's rejection is final (policy) rather than worth retrying (timeouts, rate limits, errors)
+ */
+export function isPermanentRejection(message) {
+  return typeof message === 'string' && PERMANENT_REJECTIONS.some(prefix => message.startsWith(prefix));
+}
+
+/**
+ * Durable outbox for events the bot publishes.
+ *
+ * Every event is stored before its first publish. Relays that time out or answer with a
+ * retryable error are retried with exponential backoff until they accept the event or run
+ * out of attempts; the last NIP-01 `OK` each relay sent is kept with the entry. Entries
+ * still being retried are reloaded on restart. A rejection the sender can fix (a `pow:` it can
+ * mine for) is retried right away, and a replacement event the sender publishes to one relay
+ * instead (the re-mined one) is kept for that relay's later retries.
+ *
+ * Keys: `entry:<id>`, `recent:<createdAt>:<id>` (newest-first listing and retention) and
+ * `pending:<id>` while retries remain.
+ */
+export class Outbox {
+  /**
+   * @param {string} dbPath
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts] - Publish attempts per relay, including the first
+   * @param {number} [options.baseDelayMs] - Delay before the first retry (tripled per attempt)
+   * @param {number} [options.maxDelayMs] - Upper bound for the retry delay
+   * @param {number} [options.retryIntervalMs] - How often due retries are checked
+   * @param {number} [options.retentionMs] - How long finished entries are kept for the dashboard
+   * @param {function} [options.defaultRelays] - () => urls for entries with no relay to retry yet
+   * @param {function} [options.onComplete] - async (entry) callback when an entry's retries finish
+   */
+  constructor(dbPath, {
+    maxAttempts = 6,
+    baseDelayMs = 5000,
+    maxDelayMs = 10 * 60 * 1000,
+    retryIntervalMs = 2000,
+    retentionMs = 7 * 24 * 60 * 60 * 1000,
+    defaultRelays = () => [],
+    onComplete = null,
+  } = {}) {
+    this.dbPath = dbPath;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.retryIntervalMs = retryIntervalMs;
+    this.retentionMs = retentionMs;
+    this.defaultRelays = defaultRelays;
+    this.onComplete = onComplete;
+
+    this.db = null;
+    this.send = null;
+    this.pending = new Map(); // id -> entry with retries left
+    this.retrying = new Set();
+    this.retryTimer = null;
+    this.lastPruneAt = 0;
+
+    this.stats = {
+      queued: 0,
+      delivered: 0,
+      failed: 0,
+      retries: 0,
+    };
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    mkdirSync(dirname(this.dbPath), { recursive: true });
+
+    this.db = open({
+      path: this.dbPath,
+      compression: true,
+      encoding: 'json',
+    });
+
+    for (const { value: id } of this.db.getRange({ start: 'pending:', end: 'pending;' })) {
+      const entry = this.db.get(`entry:${id}`);
+      if (entry?.event) {
+        // Stored before its first publish finished: start over on the configured relays
+        if (Object.keys(entry.relays).length === 0) this._queueDefaultRelays(entry);
+        this.pending.set(id, entry);
+      }
+    }
+
+    logger.info(`Outbox ready at ${this.dbPath} (${this.pending.size} pending)`);
+  }
+
+  _assertInitialized() {
+    if (!this.db) {
+      throw new Error('Outbox not initialized');
+    }
+  }
+
+  /**
+   * Start retrying due relays
+   * @param {function} send - async (url, event, label) => { ok, error }
+   */
+  start(send) {
+    this.send = send;
+
+    if (!this.retryTimer) {
+      this.retryTimer = setInterval(() => {
+        this._retryDue().catch(error => logger.error('Outbox retry failed:', error));
+      }, this.retryIntervalMs);
+      this.retryTimer.unref?.();
+    }
+  }
+
+  /**
+   * Store a signed event before its first publish
+   * @param {object} event
+   * @param {object} [options]
+   * @param {string} [options.label] - What the event is, for logs and the dashboard
+   * @param {string} [options.recipient] - Pubkey the event is meant for
+   * @param {object} [options.context] - Caller data handed back to `onComplete`
+   */
+  async add(event, { label = `kind ${event.kind}`, recipient = null, context = null } = {}) {
+    this._assertInitialized();
+
+    const now = Date.now();
+    const entry = {
+      id: event.id,
+      kind: event.kind,
+      label,
+      recipient,
+      createdAt: now,
+      updatedAt: now,
+      status: 'pending', // pending | delivered | failed
+      complete: false,
+      deliveredAt: null,
+      event,
+      context,
+      relays: {},
+    };
+
+    this.pending.set(entry.id, entry);
+    await this.db.transaction(() => {
+      this.db.put(`entry:${entry.id}`, entry);
+      this.db.put(`recent:${timestampKey(now)}:${entry.id}`, entry.id);
+      this.db.put(`pending:${entry.id}`, entry.id);
+    });
+    this.stats.queued++;
+    return entry;
+  }
+
+  /**
+   * Record the outcome of one publish attempt (kept in memory until `settle`)
+   * @param {string} id - Event id
+   * @param {string} url
+   * @param {object} result
+   * @param {boolean} result.ok - The relay accepted the event
+   * @param {string} [result.error] - Rejection reason or transport error
+   * @param {boolean} [result.skipped] - Not sent: the relay's NIP-11 limits rule the event out
+   * @param {boolean} [result.retryable] - A permanent-looking rejection the next attempt can fix
+   * @param {object} [result.event] - The event sent to this relay in place of the entry's own
+   */
+  recordAttempt(id, url, { ok, error = null, skipped = false, retryable = false, event = null }) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    const relay = this._getRelay(entry, url);
+    if (event) relay.event = event;
+    if (skipped) {
+      relay.status = 'skipped';
+      relay.nextAttemptAt = null;
+      relay.lastError = error;
+      return;
+    }
+
+    const now = Date.now();
+    relay.attempts++;
+    relay.lastAttemptAt = now;
+    relay.nextAttemptAt = null;
+
+    if (ok) {
+      relay.status = 'accepted';
+      relay.lastError = null;
+      if (!entry.deliveredAt) entry.deliveredAt = now;
+    } else if (isPermanentRejection(error) && !retryable) {
+      relay.status = 'rejected';
+      relay.lastError = error;
+    } else if (relay.attempts >= this.maxAttempts) {
+      relay.status = 'failed';
+      relay.lastError = error;
+    } else if (retryable) {
+      relay.status = 'pending';
+      relay.lastError = error;
+      relay.nextAttemptAt = now;
+    } else {
+      relay.status = 'pending';
+      relay.lastError = error;
+      relay.nextAttemptAt = now + Math.min(this.baseDelayMs * 3 ** (relay.attempts - 1), this.maxDelayMs);
+    }
+  }
+
+  /**
+   * Record the `OK` message a relay sent for a pending event, from NRelay1's `log` hook
+   */
+  observe(url, logEntry) {
+    if (logEntry?.ns !== 'relay.ws.message' || logEntry.data?.[0] !== 'OK') return;
+
+    const [, id, accepted, message] = logEntry.data;
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    this._getRelay(entry, url).ok = { accepted: Boolean(accepted), message: message || '', at: Date.now() };
+  }
+
+  /**
+   * Persist the attempts recorded since the last settle and update the entry's status.
+   * Returns the entry; `complete` is false while any relay is still to be retried.
+   */
+  async settle(id) {
+    this._assertInitialized();
+
+    const entry = this.pending.get(id);
+    if (!entry) {
+      return this.get(id);
+    }
+
+    // Nothing was attempted (no usable relay): queue the configured relays for a retry
+    if (Object.keys(entry.relays).length === 0) {
+      this._queueDefaultRelays(entry);
+    }
+
+    const relays = Object.values(entry.relays);
+    const accepted = relays.some(relay => relay.status === 'accepted');
+    entry.complete = !relays.some(relay => relay.status === 'pending');
+    entry.status = accepted ? 'delivered' : entry.complete ? 'failed' : 'pending';
+    entry.updatedAt = Date.now();
+
+    if (entry.complete) {
+      this.pending.delete(id);
+      const done = this._withoutEvents(entry);
+      await this.db.transaction(() => {
+        this.db.put(`entry:${id}`, done);
+        this.db.remove(`pending:${id}`);
+      });
+      this.stats[accepted ? 'delivered' : 'failed']++;
+      return done;
+    }
+
+    await this.db.put(`entry:${id}`, entry);
+    return entry;
+  }
+
+  /**
+   * Entry for an event id without its event body, or null
+   */
+  get(id) {
+    this._assertInitialized();
+
+    const entry = this.pending.get(id) || this.db.get(`entry:${id}`);
+    return entry ? this._withoutEvents(entry) : null;
+  }
+
+  /**
+   * Most recent entries, newest first
+   * @param {object} [options]
+   * @param {number} [options.limit]
+   * @param {string} [options.status] - Only entries with this status (pending | delivered | failed)
+   */
+  list({ limit = 50, status = null } = {}) {
+    this._assertInitialized();
+
+    const entries = [];
+    for (const { value: id } of this.db.getRange({ start: 'recent;', end: 'recent:', reverse: true })) {
+      const entry = this.get(id);
+      if (!entry || (status && entry.status !== status)) continue;
+      entries.push(entry);
+      if (entries.length >= limit) break;
+    }
+    return entries;
+  }
+
+  /**
+   * Remove finished entries past the retention period. Returns the number removed.
+   */
+  async prune(now = Date.now()) {
+    this._assertInitialized();
+
+    const expired = this.db.getRange({
+      start: 'recent:',
+      end: `recent:${timestampKey(now - this.retentionMs)}`,
+    }).asArray.filter(({ value: id }) => !this.pending.has(id));
+
+    if (expired.length > 0) {
+      await this.db.transaction(() => {
+        for (const { key, value: id } of expired) {
+          this.db.remove(key);
+          this.db.remove(`entry:${id}`);
+        }
+      });
+      logger.debug(`Pruned ${expired.length} outbox entries`);
+    }
+    return expired.length;
+  }
+
+  getStats() {
+    return { ...this.stats, pending: this.pending.size };
+  }
+
+  /**
+   * Stop retrying. Pending entries stay stored and are picked up again by the next `init`.
+   */
+  async stop() {
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      logger.info('Outbox closed');
+    }
+  }
+
+  async _retryDue() {
+    if (!this.send || !this.db) return;
+
+    const now = Date.now();
+    for (const entry of [...this.pending.values()]) {
+      if (this.retrying.has(entry.id)) continue;
+
+      const due = Object.entries(entry.relays)
+        .filter(([, relay]) => relay.status === 'pending' && relay.nextAttemptAt !== null && relay.nextAttemptAt <= now)
+        .map(([url]) => url);
+      if (due.length === 0) continue;
+
+      this.retrying.add(entry.id);
+      try {
+        await Promise.all(due.map(async (url) => {
+          this.stats.retries++;
+          let result;
+          try {
+            result = await this.send(url, entry.relays[url].event || entry.event, entry.label);
+          } catch (error) {
+            result = { ok: false, error: error.message };
+          }
+          this.recordAttempt(entry.id, url, result);
+        }));
+
+        const settled = await this.settle(entry.id);
+        if (settled.complete) {
+          logger.info(`Outbox: ${entry.label} ${entry.id.substring(0, 8)}... ${settled.status} after retries`);
+          await this.onComplete?.(settled);
+        }
+      } finally {
+        this.retrying.delete(entry.id);
+      }
+    }
+
+    if (now - this.lastPruneAt > 60 * 60 * 1000) {
+      this.lastPruneAt = now;
+      await this.prune(now);
+    }
+  }
+
+  // Entry without its event bodies (the entry's own and any per-relay replacement)
+  _withoutEvents(entry) {
+    const { event, relays, ...summary } = entry;
+    return {
+      ...summary,
+      relays: Object.fromEntries(Object.entries(relays).map(([url, { event: replacement, ...relay }]) => [url, relay])),
+    };
+  }
+
+  _queueDefaultRelays(entry) {
+    for (const url of this.defaultRelays()) {
+      this._getRelay(entry, url).nextAttemptAt = Date.now() + this.baseDelayMs;
+    }
+  }
+
+  _getRelay(entry, url) {
+    if (!entry.relays[url]) {
+      entry.relays[url] = {
+        status: 'pending', // pending | accepted | rejected | failed | skipped
+        attempts: 0,
+        lastAttemptAt: null,
+        nextAttemptAt: null,
+        lastError: null,
+        ok: null, // last NIP-01 OK from the relay: { accepted, message, at }
+      };
+    }
+    return entry.relays[url];
+  }
+}
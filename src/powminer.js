@@ -0,0 +1,143 @@
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+import { logger } from './logger.js';
+
+/**
+ * NIP-13 proof of work for outgoing events.
+ *
+ * Each event is mined in its own worker thread so hashing never blocks the event loop.
+ * Mining gives up after the time budget; the caller then publishes the event without PoW
+ * and relays that require it are skipped. At most `maxWorkers` events are mined at once.
+ */
+export class PowMiner {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxDifficulty] - Highest difficulty the bot mines for (0 disables mining)
+   * @param {number} [options.timeBudgetMs] - Give up on an event after this long
+   * @param {number} [options.maxWorkers] - Concurrent mining threads
+   */
+  constructor({ maxDifficulty = 24, timeBudgetMs = 10000, maxWorkers = Math.max(1, availableParallelism() - 1) } = {}) {
+    this.maxDifficulty = Math.max(0, maxDifficulty);
+    this.timeBudgetMs = timeBudgetMs;
+    this.maxWorkers = Math.max(1, maxWorkers);
+
+    this.workers = new Set();
+    this.active = 0; // jobs holding a worker slot, counted before their worker starts
+    this.waiting = []; // resolve callbacks for jobs waiting for a free worker
+    this.stopped = false;
+
+    this.stats = {
+      mined: 0,
+      timedOut: 0,
+      failed: 0,
+      totalMs: 0,
+    };
+  }
+
+  get enabled() {
+    return this.maxDifficulty > 0;
+  }
+
+  /**
+   * Mine an unsigned event (with `pubkey`) to `difficulty` bits.
+   * Resolves with the event's tags plus a `nonce` tag, or null if the budget ran out,
+   * the difficulty is above `maxDifficulty` or mining failed.
+   * @param {object} event - { pubkey, created_at, kind, tags, content }
+   * @param {number} difficulty
+   * @returns {Promise<string[][]|null>}
+   */
+  async mine(event, difficulty) {
+    if (!this.enabled || difficulty <= 0 || difficulty > this.maxDifficulty) {
+      return null;
+    }
+
+    // A woken job checks again: another one may have taken the slot in between
+    while (this.active >= this.maxWorkers && !this.stopped) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    if (this.stopped) return null;
+
+    this.active++;
+    const startedAt = Date.now();
+    try {
+      const result = await this._run(event, difficulty, startedAt + this.timeBudgetMs);
+      const elapsedMs = Date.now() - startedAt;
+
+      if (!result.tags) {
+        this.stats.timedOut++;
+        logger.warn(`PoW ${difficulty} for kind ${event.kind} not found within ${this.timeBudgetMs}ms (${result.attempts} attempts)`);
+        return null;
+      }
+
+      this.stats.mined++;
+      this.stats.totalMs += elapsedMs;
+      logger.debug(`Mined PoW ${difficulty} for kind ${event.kind} in ${elapsedMs}ms (${result.attempts} attempts)`);
+      return result.tags;
+    } catch (error) {
+      this.stats.failed++;
+      logger.error(`PoW mining failed for kind ${event.kind}: ${error.message}`);
+      return null;
+    } finally {
+      this.active--;
+      this.waiting.shift()?.();
+    }
+  }
+
+  _run(event, difficulty, deadline) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./powworker.js', import.meta.url), {
+        workerData: {
+          event: { pubkey: event.pubkey, created_at: event.created_at, kind: event.kind, tags: event.tags, content: event.content },
+          difficulty,
+          deadline,
+        },
+      });
+      this.workers.add(worker);
+
+      // The worker checks the deadline itself; this is the backstop
+      const timer = setTimeout(() => {
+        worker.terminate();
+        resolve({ tags: null, attempts: 0 });
+      }, deadline - Date.now() + 1000);
+
+      const finish = () => {
+        clearTimeout(timer);
+        this.workers.delete(worker);
+      };
+      worker.once('message', (result) => {
+        finish();
+        resolve(result);
+        worker.terminate();
+      });
+      worker.once('error', (error) => {
+        finish();
+        reject(error);
+      });
+      worker.once('exit', () => {
+        finish();
+        resolve({ tags: null, attempts: 0 });
+      });
+    });
+  }
+
+  getStats() {
+    return {
+      maxDifficulty: this.maxDifficulty,
+      mined: this.stats.mined,
+      timedOut: this.stats.timedOut,
+      failed: this.stats.failed,
+      averageMs: this.stats.mined > 0 ? Math.round(this.stats.totalMs / this.stats.mined) : 0,
+      active: this.active,
+    };
+  }
+
+  /**
+   * Abort running mining threads (their events are published without PoW)
+   */
+  async stop() {
+    this.stopped = true;
+    await Promise.all([...this.workers].map(worker => worker.terminate()));
+    this.workers.clear();
+    for (const resolve of this.waiting.splice(0)) resolve();
+  }
+}
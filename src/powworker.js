@@ -0,0 +1,45 @@
+import { parentPort, workerData } from 'worker_threads';
+import { createHash } from 'crypto';
+
+// Stand-in for the nonce in the serialized event; replaced by each candidate
+const PLACEHOLDER = '\u0000nonce\u0000';
+
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * NIP-13 miner run in a worker thread: finds a `nonce` tag value that gives the event id
+ * at least `difficulty` leading zero bits, or gives up at `deadline`.
+ * Posts `{ tags, difficulty, attempts }` or `{ tags: null, attempts }`.
+ */
+const { event, difficulty, deadline } = workerData;
+
+const tags = [...event.tags.filter(tag => tag[0] !== 'nonce'), ['nonce', PLACEHOLDER, String(difficulty)]];
+const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, tags, event.content]);
+const [prefix, suffix] = serialized.split(JSON.stringify(PLACEHOLDER));
+
+let result = { tags: null, attempts: 0 };
+for (let nonce = 0; ; nonce++) {
+  const digest = createHash('sha256').update(`${prefix}"${nonce}"${suffix}`).digest();
+  if (leadingZeroBits(digest) >= difficulty) {
+    tags[tags.length - 1] = ['nonce', String(nonce), String(difficulty)];
+    result = { tags, difficulty, attempts: nonce + 1 };
+    break;
+  }
+  if (nonce % 10000 === 0 && Date.now() > deadline) {
+    result = { tags: null, attempts: nonce + 1 };
+    break;
+  }
+}
+
+parentPort.postMessage(result);
@@ -0,0 +1,551 @@
+import { readFileSync, existsSync } from 'fs';
+import { logger } from './logger.js';
+
+const SETTINGS_META_KEY = 'pricing:settings';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rates are in sats per 1000 tokens (fractions allowed) and sats per search query.
+// Thinking tokens are billed as output, as the Gemini API does.
+const DEFAULT_RATE_CARD = {
+  defaultModel: 'gemini-2.5-pro',
+  models: {
+    'gemini-2.5-pro': { inputPer1k: 1.25, outputPer1k: 10, groundingPerQuery: 0 },
+    'gemini-2.5-flash': { inputPer1k: 0.3, outputPer1k: 2.5, groundingPerQuery: 0 },
+  },
+  // Minimum charge per request by event kind, held up front; keeps the old flat prices as the floor
+  kindPrices: { 4: 1, 14: 1, 1: 2, 5050: 1 },
+  maxChargePerRequest: 50,
+  // What the model provider charges us, in sats per 1000 tokens (cached prompt tokens are
+  // discounted); only used to report margins. Grounded searches are free up to a daily quota.
+  providerCosts: {
+    'gemini-2.5-pro': { inputPer1k: 1.25, cachedInputPer1k: 0.31, outputPer1k: 10, groundingPerQuery: 0 },
+    'gemini-2.5-flash': { inputPer1k: 0.3, cachedInputPer1k: 0.075, outputPer1k: 2.5, groundingPerQuery: 0 },
+  },
+  // Free requests per UTC day for pubkeys first seen less than `newUserDays` ago (0 disables)
+  freeTier: { dailyAllowance: 0, newUserDays: 7 },
+  // Discounts: { [pubkey]: { discountPercent, note } } and { [nip05 domain]: { discountPercent, note } }
+  overrides: {},
+  nip05Domains: {},
+  // [{ id, name, discountPercent, startsAt, endsAt, kinds }] - times in ms, kinds optional
+  promotions: [],
+};
+
+/**
+ * Merge a (partial) pricing config over a base rate card.
+ */
+function mergeRateCard(base, patch = {}) {
+  return {
+    defaultModel: patch.defaultModel || base.defaultModel,
+    models: { ...base.models, ...(patch.models || {}) },
+    kindPrices: { ...base.kindPrices, ...(patch.kindPrices || {}) },
+    maxChargePerRequest: Number.isFinite(patch.maxChargePerRequest)
+      ? patch.maxChargePerRequest
+      : base.maxChargePerRequest,
+    providerCosts: { ...base.providerCosts, ...(patch.providerCosts || {}) },
+    freeTier: { ...base.freeTier, ...(patch.freeTier || {}) },
+    overrides: patch.overrides ? { ...patch.overrides } : { ...base.overrides },
+    nip05Domains: patch.nip05Domains ? { ...patch.nip05Domains } : { ...base.nip05Domains },
+    promotions: Array.isArray(patch.promotions) ? [...patch.promotions] : [...base.promotions],
+  };
+}
+
+/**
+ * Load the rate card from a JSON file. Missing file or fields fall back to defaults.
+ */
+export function loadRateCard(configPath) {
+  let fileConfig = {};
+
+  if (configPath && existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to parse pricing config ${configPath}:`, error.message);
+    }
+  } else if (configPath) {
+    logger.info(`Pricing config ${configPath} not found, using default rate card`);
+  }
+
+  return mergeRateCard(DEFAULT_RATE_CARD, fileConfig);
+}
+
+/**
+ * Map an event kind to a request type label (dm | public | job).
+ */
+export function requestTypeForKind(kind) {
+  if (kind === 4 || kind === 14) return 'dm';
+  if (kind === 5050) return 'job';
+  return 'public';
+}
+
+/**
+ * Minimum charge in sats for an event kind
+ */
+export function minimumCharge(rateCard, kind) {
+  const amount = Number(rateCard.kindPrices?.[kind]);
+  return Number.isFinite(amount) && amount >= 0 ? amount : 0;
+}
+
+/**
+ * Price a request from its token usage.
+ * @param {object} usage - { model, promptTokens, outputTokens, thoughtsTokens, groundingQueries }
+ * @param {object} rateCard
+ * @param {object} options
+ * @param {number} options.minimum - Minimum charge for the request (sats)
+ * @param {number} [options.maxCharge] - Extra cap for this request (e.g. a DVM bid)
+ * @returns {{amount: number, raw: number, model: string, capped: boolean, breakdown: object}}
+ */
+export function calculateCharge(usage, rateCard, { minimum = 0, maxCharge } = {}) {
+  const model = usage?.model && rateCard.models[usage.model] ? usage.model : rateCard.defaultModel;
+  const rates = rateCard.models[model] || {};
+
+  const promptTokens = usage?.promptTokens || 0;
+  const outputTokens = (usage?.outputTokens || 0) + (usage?.thoughtsTokens || 0);
+  const groundingQueries = usage?.groundingQueries || 0;
+
+  const breakdown = {
+    input: (promptTokens / 1000) * (rates.inputPer1k || 0),
+    output: (outputTokens / 1000) * (rates.outputPer1k || 0),
+    grounding: groundingQueries * (rates.groundingPerQuery || 0),
+  };
+  const raw = breakdown.input + breakdown.output + breakdown.grounding;
+
+  const caps = [rateCard.maxChargePerRequest, maxCharge].filter(Number.isFinite);
+  const cap = caps.length > 0 ? Math.max(minimum, Math.min(...caps)) : Infinity;
+
+  const uncapped = Math.max(minimum, Math.ceil(raw));
+  const amount = Math.min(uncapped, cap);
+
+  return { amount, raw, model, capped: amount < uncapped, breakdown };
+}
+
+/**
+ * Estimate what a request cost us at the provider, in sats (fractions kept).
+ * @param {object} usage - { model, promptTokens, cachedTokens, toolUseTokens, outputTokens, thoughtsTokens, groundingQueries }
+ * @param {object} rateCard
+ * @returns {number|null} null when the model has no provider cost configured
+ */
+export function estimateProviderCost(usage, rateCard) {
+  const costs = rateCard.providerCosts?.[usage?.model];
+  if (!costs) return null;
+
+  const cachedTokens = usage.cachedTokens || 0;
+  const inputTokens = Math.max(0, (usage.promptTokens || 0) - cachedTokens) + (usage.toolUseTokens || 0);
+  const outputTokens = (usage.outputTokens || 0) + (usage.thoughtsTokens || 0);
+
+  const cost = (inputTokens / 1000) * (costs.inputPer1k || 0)
+    + (cachedTokens / 1000) * (costs.cachedInputPer1k ?? costs.inputPer1k ?? 0)
+    + (outputTokens / 1000) * (costs.outputPer1k || 0)
+    + (usage.groundingQueries || 0) * (costs.groundingPerQuery || 0);
+  return Math.round(cost * 1000) / 1000;
+}
+
+function applyDiscount(amount, discountPercent) {
+  if (!discountPercent) return amount;
+  return Math.ceil(amount * (100 - discountPercent) / 100);
+}
+
+function utcDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Pricing engine: rate card plus free allowance, per-user/NIP-05 discounts and promotions.
+ * Admin changes are stored in the database and layered over the file config, so they
+ * apply immediately and survive restarts.
+ */
+export class PricingEngine {
+  /**
+   * @param {object} options
+   * @param {object} options.rateCard - Rate card loaded from the config file
+   * @param {object} options.store - Object with async getMeta(key) / setMeta(key, value) / updateMeta(key, fn)
+   * @param {function} [options.onChange] - (rateCard) callback after admin settings change
+   * @param {function} [options.firstActivity] - async (pubkey) => ms of the pubkey's first paid use
+   *   from before the free tier tracked it (null for none), so existing users are not new users
+   * @param {function} [options.models] - () => names of the models answers come from, whose
+   *   rates are advertised (the rate card's default model when empty)
+   */
+  constructor({ rateCard, store, onChange = null, firstActivity = null, models = null }) {
+    this.baseRateCard = rateCard;
+    this.store = store;
+    this.onChange = onChange;
+    this.firstActivity = firstActivity;
+    this.models = models;
+    this.adminSettings = {};
+    this.rateCard = rateCard;
+  }
+
+  /**
+   * Load admin settings saved through the web API
+   */
+  async init() {
+    this.adminSettings = await this.store.getMeta(SETTINGS_META_KEY) || {};
+    this.rateCard = mergeRateCard(this.baseRateCard, this.adminSettings);
+  }
+
+  getSettings() {
+    return this.rateCard;
+  }
+
+  /**
+   * Apply a partial settings update (top-level keys replace or merge like the config file).
+   * @returns {Promise<object>} The effective settings
+   */
+  async updateSettings(patch) {
+    const error = PricingEngine.validateSettings(patch);
+    if (error) {
+      throw Object.assign(new Error(error), { status: 400 });
+    }
+
+    const nextAdminSettings = { ...this.adminSettings, ...patch };
+    // Nested maps merge with what admins already set rather than with the file config
+    for (const key of ['models', 'providerCosts', 'kindPrices', 'freeTier']) {
+      if (patch[key]) {
+        nextAdminSettings[key] = { ...(this.adminSettings[key] || {}), ...patch[key] };
+      }
+    }
+
+    await this.store.setMeta(SETTINGS_META_KEY, nextAdminSettings);
+    this.adminSettings = nextAdminSettings;
+    this.rateCard = mergeRateCard(this.baseRateCard, nextAdminSettings);
+
+    logger.info(`Pricing settings updated: ${Object.keys(patch).join(', ')}`);
+    this.onChange?.(this.rateCard);
+    return this.rateCard;
+  }
+
+  /**
+   * Drop all admin settings and go back to the file config
+   */
+  async resetSettings() {
+    await this.store.setMeta(SETTINGS_META_KEY, {});
+    this.adminSettings = {};
+    this.rateCard = this.baseRateCard;
+    logger.info('Pricing settings reset to config file defaults');
+    this.onChange?.(this.rateCard);
+    return this.rateCard;
+  }
+
+  async setOverride(pubkey, { discountPercent, note = null }) {
+    return this.updateSettings({
+      overrides: { ...this.rateCard.overrides, [pubkey]: { discountPercent, note } },
+    });
+  }
+
+  async removeOverride(pubkey) {
+    const overrides = { ...this.rateCard.overrides };
+    delete overrides[pubkey];
+    return this.updateSettings({ overrides });
+  }
+
+  async setNip05Domain(domain, { discountPercent, note = null }) {
+    return this.updateSettings({
+      nip05Domains: { ...this.rateCard.nip05Domains, [domain.toLowerCase()]: { discountPercent, note } },
+    });
+  }
+
+  async removeNip05Domain(domain) {
+    const nip05Domains = { ...this.rateCard.nip05Domains };
+    delete nip05Domains[domain.toLowerCase()];
+    return this.updateSettings({ nip05Domains });
+  }
+
+  async addPromotion(promotion) {
+    const id = promotion.id || `promo-${Date.now().toString(36)}`;
+    const promotions = this.rateCard.promotions.filter(p => p.id !== id);
+    promotions.push({ ...promotion, id });
+    await this.updateSettings({ promotions });
+    return { id, ...promotion };
+  }
+
+  async removePromotion(id) {
+    return this.updateSettings({
+      promotions: this.rateCard.promotions.filter(p => p.id !== id),
+    });
+  }
+
+  /**
+   * Validate a settings patch. Returns an error string, or null when valid.
+   */
+  static validateSettings(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return 'Settings must be an object';
+    }
+
+    const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+    const isSats = (value) => Number.isFinite(value) && value >= 0;
+
+    if (patch.kindPrices) {
+      for (const [kind, price] of Object.entries(patch.kindPrices)) {
+        if (!/^\d+$/.test(kind) || !isSats(price)) return `Invalid price for kind ${kind}`;
+      }
+    }
+    if (patch.models) {
+      for (const [model, rates] of Object.entries(patch.models)) {
+        if (!rates || !['inputPer1k', 'outputPer1k'].every(k => isSats(rates[k]))) {
+          return `Model ${model} needs numeric inputPer1k and outputPer1k`;
+        }
+      }
+    }
+    if (patch.providerCosts) {
+      for (const [model, costs] of Object.entries(patch.providerCosts)) {
+        if (!costs || !['inputPer1k', 'outputPer1k'].every(k => isSats(costs[k]))) {
+          return `Provider costs for ${model} need numeric inputPer1k and outputPer1k`;
+        }
+      }
+    }
+    if (patch.maxChargePerRequest !== undefined && !isSats(patch.maxChargePerRequest)) {
+      return 'maxChargePerRequest must be a non-negative number';
+    }
+    if (patch.freeTier) {
+      const { dailyAllowance, newUserDays } = patch.freeTier;
+      if (dailyAllowance !== undefined && !isSats(dailyAllowance)) return 'freeTier.dailyAllowance must be a non-negative number';
+      if (newUserDays !== undefined && !isSats(newUserDays)) return 'freeTier.newUserDays must be a non-negative number';
+    }
+    for (const key of ['overrides', 'nip05Domains']) {
+      if (patch[key]) {
+        for (const [id, entry] of Object.entries(patch[key])) {
+          if (!isPercent(entry?.discountPercent)) return `${key}.${id}.discountPercent must be 0-100`;
+        }
+      }
+    }
+    if (patch.promotions) {
+      if (!Array.isArray(patch.promotions)) return 'promotions must be an array';
+      for (const promo of patch.promotions) {
+        if (!isPercent(promo?.discountPercent)) return 'Promotion discountPercent must be 0-100';
+        if (!Number.isFinite(promo.startsAt) || !Number.isFinite(promo.endsAt) || promo.endsAt <= promo.startsAt) {
+          return 'Promotion needs startsAt < endsAt (ms timestamps)';
+        }
+        if (promo.kinds !== undefined && !Array.isArray(promo.kinds)) return 'Promotion kinds must be an array';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Active promotions for a kind at a given time
+   */
+  activePromotions(kind, now = Date.now()) {
+    return this.rateCard.promotions.filter(promo =>
+      promo.startsAt <= now && now < promo.endsAt &&
+      (!Array.isArray(promo.kinds) || promo.kinds.length === 0 || promo.kinds.includes(kind))
+    );
+  }
+
+  /**
+   * Best discount that applies to a user and kind. Discounts do not stack.
+   * Domain discounts need a NIP-05 identifier already verified for the pubkey (UserProfiles checks it).
+   * @returns {Promise<{discountPercent: number, source: string|null}>}
+   */
+  async _discountFor(pubkey, kind, { nip05: identifier, nip05Verified = false } = {}) {
+    const candidates = [];
+
+    const override = this.rateCard.overrides[pubkey];
+    if (override) {
+      candidates.push({ discountPercent: override.discountPercent, source: 'override' });
+    }
+
+    const domain = typeof identifier === 'string' ? identifier.split('@')[1]?.toLowerCase() : null;
+    const domainDiscount = domain ? this.rateCard.nip05Domains[domain] : null;
+    if (domainDiscount && nip05Verified === true) {
+      candidates.push({ discountPercent: domainDiscount.discountPercent, source: `nip05:${domain}` });
+    }
+
+    for (const promo of this.activePromotions(kind)) {
+      candidates.push({ discountPercent: promo.discountPercent, source: `promotion:${promo.id}` });
+    }
+
+    return candidates.reduce(
+      (best, c) => (c.discountPercent > best.discountPercent ? c : best),
+      { discountPercent: 0, source: null }
+    );
+  }
+
+  /**
+   * A pubkey's usage record, or for a pubkey without one that already paid for requests before
+   * the free tier, a record starting at that first activity. Null for a new pubkey.
+   */
+  async _usageRecord(pubkey) {
+    const record = await this.store.getMeta(`pricing:user:${pubkey}`);
+    if (record) return record;
+
+    const firstSeen = await this.firstActivity?.(pubkey) ?? null;
+    return firstSeen === null ? null : { firstSeen, freeDay: null, freeUsed: 0 };
+  }
+
+  /**
+   * Free requests left today for a pubkey's usage record (null: never used, counts as new)
+   */
+  _freeRemaining(record, now = Date.now()) {
+    const { dailyAllowance, newUserDays } = this.rateCard.freeTier;
+    const firstSeen = record?.firstSeen ?? now;
+    if (now - firstSeen >= newUserDays * DAY_MS) return 0;
+
+    const used = record?.freeDay === utcDay(now) ? record.freeUsed : 0;
+    return Math.max(0, dailyAllowance - used);
+  }
+
+  /**
+   * Quote a request before it is processed. Read-only: asking for a quote is not a use.
+   * @param {object} [options] - `nip05` and `nip05Verified` from the sender's cached profile
+   * @returns {Promise<{kind: number, requestType: string, minimum: number, discountPercent: number, discountSource: string|null, freeRemaining: number}>}
+   *   `minimum` is already discounted.
+   */
+  async quote(pubkey, kind, options = {}) {
+    const { discountPercent, source } = await this._discountFor(pubkey, kind, options);
+    const record = await this._usageRecord(pubkey);
+
+    return {
+      kind,
+      requestType: requestTypeForKind(kind),
+      minimum: applyDiscount(minimumCharge(this.rateCard, kind), discountPercent),
+      discountPercent,
+      discountSource: source,
+      freeRemaining: this._freeRemaining(record),
+    };
+  }
+
+  /**
+   * Use one free request from today's allowance. The check and the count happen in one
+   * transaction, so parallel requests from a pubkey cannot exceed the allowance.
+   * @returns {Promise<boolean>} false when none is left
+   */
+  async consumeFreeRequest(pubkey, now = Date.now()) {
+    const seeded = await this._usageRecord(pubkey);
+    let consumed = false;
+    await this.store.updateMeta(`pricing:user:${pubkey}`, (current) => {
+      const record = current || seeded;
+      if (this._freeRemaining(record, now) <= 0) return undefined;
+
+      const today = utcDay(now);
+      consumed = true;
+      return {
+        firstSeen: record?.firstSeen ?? now,
+        freeDay: today,
+        freeUsed: (record?.freeDay === today ? record.freeUsed : 0) + 1,
+      };
+    });
+    return consumed;
+  }
+
+  /**
+   * Give back a free request used at `usedAt` whose answer never reached the user (fallback,
+   * blocked, undelivered or failed), like a paid request is refunded. A request from an
+   * earlier day is not returned: that day's allowance is gone anyway.
+   * @returns {Promise<boolean>} whether the request was returned
+   */
+  async releaseFreeRequest(pubkey, usedAt, now = Date.now()) {
+    let released = false;
+    await this.store.updateMeta(`pricing:user:${pubkey}`, (record) => {
+      if (!record || record.freeDay !== utcDay(usedAt) || record.freeDay !== utcDay(now) || !(record.freeUsed > 0)) {
+        return undefined;
+      }
+      released = true;
+      return { ...record, freeUsed: record.freeUsed - 1 };
+    });
+    return released;
+  }
+
+  /**
+   * Record a paid request: starts the new-user clock on a pubkey's first real use
+   */
+  async recordUse(pubkey, now = Date.now()) {
+    const key = `pricing:user:${pubkey}`;
+    if (await this.store.getMeta(key)) return;
+
+    const seeded = await this._usageRecord(pubkey);
+    await this.store.updateMeta(key, (record) => (
+      record ? undefined : { firstSeen: seeded?.firstSeen ?? now, freeDay: null, freeUsed: 0 }
+    ));
+  }
+
+  /**
+   * Price an answered request from its token usage, with the quote's discount applied
+   */
+  price(usage, quote, { maxCharge } = {}) {
+    const charge = calculateCharge(usage, this.rateCard, {
+      minimum: minimumCharge(this.rateCard, quote.kind),
+      maxCharge,
+    });
+    return {
+      ...charge,
+      amount: applyDiscount(charge.amount, quote.discountPercent),
+      discountPercent: quote.discountPercent,
+    };
+  }
+
+  /**
+   * Estimated provider cost of a request in sats, or null when unknown
+   */
+  providerCost(usage) {
+    return estimateProviderCost(usage, this.rateCard);
+  }
+
+  /**
+   * Models answers come from with the rates each is billed at (models missing from the rate
+   * card are billed at the default model's rates, as `calculateCharge` does)
+   * @returns {Array<{model: string, rates: object}>}
+   */
+  answerRates() {
+    const rateCard = this.rateCard;
+    const names = [...new Set(this.models?.() || [])];
+    if (names.length === 0) names.push(rateCard.defaultModel);
+
+    return names.map(model => ({
+      model,
+      rates: rateCard.models[model] || rateCard.models[rateCard.defaultModel] || {},
+    }));
+  }
+
+  /**
+   * Prices to advertise in the NIP-89 handler announcement, per kind: the minimum charge plus
+   * each answering model's token rates and the per-request cap
+   */
+  handlerPricing(kinds) {
+    const rateCard = this.rateCard;
+    const models = Object.fromEntries(this.answerRates().map(({ model, rates }) => [model, {
+      inputPer1k: rates.inputPer1k ?? 0,
+      outputPer1k: rates.outputPer1k ?? 0,
+    }]));
+
+    return Object.fromEntries(kinds.map(kind => [String(kind), {
+      amount: minimumCharge(rateCard, kind),
+      unit: 'sats',
+      models,
+      ...(Number.isFinite(rateCard.maxChargePerRequest) ? { maxAmount: rateCard.maxChargePerRequest } : {}),
+    }]));
+  }
+
+  /**
+   * Human readable pricing summary for balance/cost messages, personalised by a quote.
+   * With several answering models, each one's rates are listed.
+   */
+  describe(quote = null) {
+    const rateCard = this.rateCard;
+    const sats = (n) => `${n} sat${n === 1 ? '' : 's'}`;
+    const rateLine = (rates) => `${rates.inputPer1k ?? 0} sats per 1k prompt tokens, ${rates.outputPer1k ?? 0} sats per 1k output tokens` +
+      (rates.groundingPerQuery ? `, ${sats(rates.groundingPerQuery)} per web search` : '');
+
+    const models = this.answerRates();
+    const lines = models.length === 1
+      ? [`  • ${rateLine(models[0].rates)}`]
+      : [
+        '  • Billed at the rates of the model that answers:',
+        ...models.map(({ model, rates }) => `    – ${model}: ${rateLine(rates)}`),
+      ];
+    lines.push(
+      `  • Minimum: ${sats(minimumCharge(rateCard, 4))} per DM, ${sats(minimumCharge(rateCard, 1))} per public reply, ${sats(minimumCharge(rateCard, 5050))} per DVM job`
+    );
+    if (Number.isFinite(rateCard.maxChargePerRequest)) {
+      lines.push(`  • Maximum: ${sats(rateCard.maxChargePerRequest)} per request`);
+    }
+    if (quote?.discountPercent) {
+      const label = quote.discountSource?.startsWith('promotion:') ? 'promotion' : 'your discount';
+      lines.push(`  • ${quote.discountPercent}% off (${label})`);
+    }
+    if (quote?.freeRemaining) {
+      lines.push(`  • 🎁 ${quote.freeRemaining} free request${quote.freeRemaining === 1 ? '' : 's'} left today`);
+    }
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,22 @@
+import { GeminiAI } from './gemini.js';
+import { OpenAICompatibleProvider } from './openaiprovider.js';
+
+export const PROVIDERS = ['gemini', 'openai'];
+
+/**
+ * Build the answer generator named by `config.llmProvider` (default 'gemini')
+ * @param {object} config - Bot config: `geminiApiKey`/`geminiOptions` or `openai` ({ baseUrl, apiKey, model, ... })
+ * @returns {import('./llmprovider.js').LLMProvider}
+ */
+export function createLLMProvider(config) {
+  const provider = config.llmProvider || 'gemini';
+
+  switch (provider) {
+    case 'gemini':
+      return new GeminiAI(config.geminiApiKey, config.botName, config.geminiOptions || {});
+    case 'openai':
+      return new OpenAICompatibleProvider({ botName: config.botName, ...config.openai });
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
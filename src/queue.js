@@ -143,12 +143,18 @@ export class MessageQueue {
    * Execute task with timeout
    */
   async executeWithTimeout(task, timeout) {
-    return Promise.race([
-      task(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Task timeout')), timeout)
-      ),
-    ]);
+    let timer;
+    try {
+      return await Promise.race([
+        task(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Task timeout')), timeout);
+        }),
+      ]);
+    } finally {
+      // A pending timer would keep the process alive after stop()
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * One-off reconciliation: reverse zap receipts that were credited more than once.
+ *
+ * Usage:
+ *   node src/reconcile-zaps.js [dbPath] [--apply]
+ *
+ * Runs as a dry run unless --apply is passed.
+ */
+import { ZapDatabase } from './zapdb.js';
+import { logger } from './logger.js';
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const dbPath = args.find(arg => !arg.startsWith('--')) || './data/zaps';
+
+(async () => {
+  const zapDb = new ZapDatabase(dbPath);
+
+  try {
+    await zapDb.init();
+    const report = await zapDb.reconcileDuplicateZaps({ apply });
+
+    console.log(JSON.stringify(report, null, 2));
+    if (!apply && report.duplicateRecords + report.indexBackfilled > 0) {
+      logger.info('Dry run only. Re-run with --apply to write these changes.');
+    }
+  } catch (error) {
+    logger.error('Zap reconciliation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await zapDb.close();
+  }
+})();
@@ -0,0 +1,192 @@
+import { logger } from './logger.js';
+
+export const CLIENT_AUTH_KIND = 22242; // NIP-42
+
+/**
+ * NIP-42 relay authentication.
+ *
+ * NRelay1 answers AUTH challenges through its `auth` option but does not report the
+ * relay's OK for the auth event or the reason a subscription was CLOSED. Both are read
+ * from the relay's `log` hook, which sees every parsed relay message.
+ */
+export class RelayAuthenticator {
+  /**
+   * @param {object} options
+   * @param {object} options.signer - Signer used for kind 22242 auth events
+   * @param {function} [options.onStateChange] - (url, state) callback
+   * @param {number} [options.authTimeoutMs] - How long to wait for a challenge + OK
+   */
+  constructor({ signer, onStateChange = null, authTimeoutMs = 10000 }) {
+    this.signer = signer;
+    this.onStateChange = onStateChange;
+    this.authTimeoutMs = authTimeoutMs;
+
+    this.states = new Map(); // url -> auth state
+    this.waiters = new Map(); // url -> Set of resolve callbacks
+  }
+
+  /**
+   * Whether a CLOSED/OK reason asks the client to authenticate
+   */
+  static isAuthRequired(reason) {
+    return typeof reason === 'string' && reason.startsWith('auth-required:');
+  }
+
+  /**
+   * Options to pass to `new NRelay1(url, options)`
+   */
+  relayOptions(url) {
+    return {
+      auth: (challenge) => this._respond(url, challenge),
+      log: (entry) => this._observe(url, entry),
+    };
+  }
+
+  /**
+   * Current auth state for a relay
+   * @returns {{status: string, challengedAt: number|null, authenticatedAt: number|null, lastError: string|null, attempts: number}}
+   *   status is none | challenged | pending | authenticated | failed
+   */
+  getState(url) {
+    if (!this.states.has(url)) {
+      this.states.set(url, {
+        status: 'none',
+        challengedAt: null,
+        authenticatedAt: null,
+        lastError: null,
+        attempts: 0,
+        pendingEventId: null,
+        lastClosedReason: null,
+      });
+    }
+    return this.states.get(url);
+  }
+
+  /**
+   * Public view of the state (for relayStatus / dashboard)
+   */
+  describe(url) {
+    const { status, challengedAt, authenticatedAt, lastError, attempts } = this.getState(url);
+    return { status, challengedAt, authenticatedAt, lastError, attempts };
+  }
+
+  /**
+   * Return and clear the reason of the last CLOSED message from a relay
+   */
+  takeClosedReason(url) {
+    const state = this.getState(url);
+    const reason = state.lastClosedReason;
+    state.lastClosedReason = null;
+    return reason;
+  }
+
+  /**
+   * Wait until the relay has accepted our auth event.
+   * Resolves true if authenticated, false on rejection or timeout.
+   */
+  waitForAuth(url, timeoutMs = this.authTimeoutMs) {
+    const state = this.getState(url);
+    if (state.status === 'authenticated') {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const waiters = this.waiters.get(url) || new Set();
+      this.waiters.set(url, waiters);
+
+      const done = (ok) => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        resolve(ok);
+      };
+      const timer = setTimeout(() => {
+        logger.warn(`NIP-42 auth with ${url} timed out after ${timeoutMs}ms (status: ${this.getState(url).status})`);
+        done(false);
+      }, timeoutMs);
+
+      waiters.add(done);
+    });
+  }
+
+  async _respond(url, challenge) {
+    const state = this.getState(url);
+
+    try {
+      const event = await this.signer.signEvent({
+        kind: CLIENT_AUTH_KIND,
+        content: '',
+        tags: [
+          ['relay', url],
+          ['challenge', challenge],
+        ],
+        created_at: Math.floor(Date.now() / 1000),
+      });
+
+      state.pendingEventId = event.id;
+      state.attempts++;
+      this._setStatus(url, 'pending');
+      logger.info(`Answering NIP-42 auth challenge from ${url}`);
+
+      return event;
+    } catch (error) {
+      state.lastError = error.message;
+      this._setStatus(url, 'failed');
+      throw error;
+    }
+  }
+
+  _observe(url, entry) {
+    if (entry?.ns === 'relay.ws.state' && entry.state === 'close') {
+      // Auth is per connection; the relay will challenge again after reconnecting
+      const state = this.getState(url);
+      if (state.status !== 'none') {
+        state.pendingEventId = null;
+        this._setStatus(url, 'none');
+      }
+      return;
+    }
+
+    if (entry?.ns !== 'relay.ws.message' || !Array.isArray(entry.data)) {
+      return;
+    }
+
+    const msg = entry.data;
+    const state = this.getState(url);
+
+    if (msg[0] === 'AUTH') {
+      state.challengedAt = Date.now();
+      if (state.status !== 'pending') {
+        this._setStatus(url, 'challenged');
+      }
+    } else if (msg[0] === 'OK' && msg[1] && msg[1] === state.pendingEventId) {
+      state.pendingEventId = null;
+      if (msg[2]) {
+        state.authenticatedAt = Date.now();
+        state.lastError = null;
+        this._setStatus(url, 'authenticated');
+        logger.info(`✓ Authenticated to ${url} (NIP-42)`);
+      } else {
+        state.lastError = msg[3] || 'auth rejected';
+        this._setStatus(url, 'failed');
+        logger.warn(`NIP-42 auth rejected by ${url}: ${state.lastError}`);
+      }
+      this._notify(url, Boolean(msg[2]));
+    } else if (msg[0] === 'CLOSED') {
+      state.lastClosedReason = msg[2] || '';
+    }
+  }
+
+  _setStatus(url, status) {
+    const state = this.getState(url);
+    state.status = status;
+    this.onStateChange?.(url, this.describe(url));
+  }
+
+  _notify(url, ok) {
+    const waiters = this.waiters.get(url);
+    if (!waiters) return;
+    for (const done of [...waiters]) {
+      done(ok);
+    }
+  }
+}
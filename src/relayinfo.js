@@ -0,0 +1,314 @@
+import { nip13 } from 'nostr-tools';
+import { logger } from './logger.js';
+
+/**
+ * Difficulty named in a NIP-01 `pow:` rejection ("pow: difficulty 12 is less than 20"), or null
+ */
+export function parsePowRejection(message) {
+  if (typeof message !== 'string' || !message.startsWith('pow:')) return null;
+  const numbers = (message.match(/\d+/g) || []).map(Number).filter(n => n > 0 && n <= 256);
+  return numbers.length > 0 ? Math.max(...numbers) : null;
+}
+
+// A relay whose size limit is this many times below the median of the relays' limits is an
+// outlier: answers too big for it skip it instead of being cut into small parts for every relay
+const OUTLIER_FACTOR = 4;
+
+/**
+ * Tightest of the relays' size limits (Infinity for unlimited relays) that is at least
+ * `minLength` and not an outlier, or null when none applies
+ */
+function tightestLimit(limits, minLength) {
+  const sorted = limits.filter(limit => limit >= minLength).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const limit = sorted.find(candidate => candidate * OUTLIER_FACTOR >= median);
+  return Number.isFinite(limit) ? limit : null;
+}
+
+/**
+ * NIP-11 `limitation` fields the bot acts on, with defaults for relays that don't publish them
+ */
+export function parseLimits(info) {
+  const limitation = info?.limitation || {};
+  const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+  return {
+    maxMessageLength: positive(limitation.max_message_length),
+    maxContentLength: positive(limitation.max_content_length),
+    authRequired: limitation.auth_required === true,
+    paymentRequired: limitation.payment_required === true,
+    minPowDifficulty: positive(limitation.min_pow_difficulty) || 0,
+  };
+}
+
+// Largest NIP-11 document read; relays are untrusted servers
+const MAX_DOCUMENT_BYTES = 64 * 1024;
+
+/**
+ * Read a JSON response body of at most `maxBytes`
+ */
+async function readJson(res, maxBytes) {
+  if (Number(res.headers.get('content-length')) > maxBytes) {
+    throw new Error(`document larger than ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`document larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * NIP-11 relay information documents. The bot's own relays (those passed to `load`) are
+ * cached in LMDB (meta `nip11:<url>`); other relays, such as recipients' NIP-65 relays, only
+ * in a bounded in-memory cache.
+ *
+ * Publishing only consults what is already cached (`check`, `contentLimit`, `powDifficulty`);
+ * documents are fetched in the background, so a relay without one is simply treated as
+ * unrestricted. A PoW difficulty named in a relay's `pow:` rejection is remembered with the
+ * document and counts like `min_pow_difficulty`.
+ */
+export class RelayInfo {
+  /**
+   * @param {object} options
+   * @param {object} options.store - Database with getMeta/setMeta
+   * @param {function} [options.onUpdate] - (url, limits) callback when a relay's document is loaded
+   * @param {number} [options.cacheTtlMs] - Refetch documents older than this
+   * @param {number} [options.retryMs] - Refetch after a failed fetch
+   * @param {number} [options.timeoutMs] - HTTP timeout
+   * @param {number} [options.maxPowDifficulty] - Highest PoW the bot mines; relays wanting more are not used
+   * @param {number} [options.maxOtherRelays] - Documents kept in memory for relays not passed to `load`
+   */
+  constructor({ store, onUpdate = null, cacheTtlMs = 24 * 60 * 60 * 1000, retryMs = 60 * 60 * 1000, timeoutMs = 5000, maxPowDifficulty = 0, maxOtherRelays = 500 }) {
+    this.store = store;
+    this.onUpdate = onUpdate;
+    this.cacheTtlMs = cacheTtlMs;
+    this.retryMs = retryMs;
+    this.timeoutMs = timeoutMs;
+    this.maxPowDifficulty = maxPowDifficulty;
+    this.maxOtherRelays = maxOtherRelays;
+
+    this.cache = new Map(); // url -> { info, limits, fetchedAt, error, acceptedAt, learnedPow }, own relays
+    this.others = new Map(); // the same for other relays, in least-recently-stored order
+    this.own = new Set(); // urls passed to `load`
+    this.inFlight = new Map(); // url -> Promise
+    this.stopped = false;
+  }
+
+  /**
+   * Load cached documents for the bot's own relays and refresh stale ones in the background
+   */
+  async load(urls) {
+    for (const url of urls) {
+      this.own.add(url);
+      const record = await this.store.getMeta(`nip11:${url}`) || this.others.get(url);
+      this.others.delete(url);
+      if (record) {
+        this._set(url, { ...record, limits: this._limits(record) });
+        this.onUpdate?.(url, this._get(url).limits);
+      }
+      this.peek(url);
+    }
+  }
+
+  /**
+   * Cached limits for a relay, or null if none are known yet (a fetch is started when stale)
+   */
+  peek(url) {
+    const cached = this._get(url);
+    const maxAge = cached?.error ? this.retryMs : this.cacheTtlMs;
+    if (!cached || Date.now() - cached.fetchedAt > maxAge) {
+      this.refresh(url);
+    }
+    return cached?.info || cached?.learnedPow ? cached.limits : null;
+  }
+
+  /**
+   * Fetch a relay's document over HTTP (concurrent calls for the same relay share one fetch)
+   */
+  refresh(url) {
+    let inFlight = this.inFlight.get(url);
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      const previous = this._get(url);
+      let record;
+      try {
+        const res = await fetch(url.replace(/^ws/, 'http'), {
+          headers: { Accept: 'application/nostr+json' },
+          redirect: 'error',
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}`);
+        }
+        const info = await readJson(res, MAX_DOCUMENT_BYTES);
+        record = { ...this._kept(previous), info, fetchedAt: Date.now(), error: null };
+        logger.debug(`NIP-11 document for ${url}: ${JSON.stringify(info.limitation || {})}`);
+      } catch (error) {
+        // Keep a previously fetched document; relays without NIP-11 count as unrestricted
+        record = { ...this._kept(previous), info: previous?.info || null, fetchedAt: Date.now(), error: error.message };
+        logger.debug(`Failed to fetch NIP-11 document for ${url}: ${error.message}`);
+      }
+
+      try {
+        this._set(url, { ...record, limits: this._limits(record) });
+        // The store may be closed by the time a late fetch returns
+        if (!this.stopped && this.own.has(url)) await this.store.setMeta(`nip11:${url}`, record);
+        this.onUpdate?.(url, this._get(url).limits);
+      } catch (error) {
+        logger.warn(`Failed to cache NIP-11 document for ${url}: ${error.message}`);
+      } finally {
+        this.inFlight.delete(url);
+      }
+      return this._get(url)?.limits || null;
+    })();
+
+    this.inFlight.set(url, inFlight);
+    return inFlight;
+  }
+
+  /**
+   * Remember that a relay accepted one of our events, so a `payment_required` relay the bot
+   * has an account on keeps being used
+   */
+  recordAccepted(url) {
+    const cached = this._get(url);
+    if (!cached?.limits.paymentRequired || cached.acceptedAt) return;
+
+    cached.acceptedAt = Date.now();
+    this._save(url);
+  }
+
+  /**
+   * Learn a relay's PoW requirement from its `pow:` rejection (or, when the message names no
+   * difficulty, assume one more bit than the rejected event had)
+   */
+  recordPowRejection(url, message, event) {
+    const difficulty = parsePowRejection(message) ?? nip13.getPow(event.id) + 1;
+    const cached = this._get(url) || { info: null, fetchedAt: 0, error: null, acceptedAt: null };
+    if ((cached.learnedPow || 0) >= difficulty) return;
+
+    cached.learnedPow = difficulty;
+    cached.limits = this._limits(cached);
+    this._set(url, cached);
+    this._save(url);
+    this.onUpdate?.(url, cached.limits);
+    logger.info(`${url} requires PoW difficulty ${difficulty}`);
+  }
+
+  /**
+   * Whether an event can be published to a relay according to its cached limits
+   * @returns {{ok: boolean, reason: string|null}}
+   */
+  check(url, event) {
+    const limits = this.peek(url);
+    if (!limits) return { ok: true, reason: null };
+
+    if (limits.paymentRequired && !this._get(url).acceptedAt) {
+      return { ok: false, reason: 'payment required' };
+    }
+    if (limits.minPowDifficulty > 0 && nip13.getPow(event.id) < limits.minPowDifficulty) {
+      return { ok: false, reason: `needs PoW difficulty ${limits.minPowDifficulty}` };
+    }
+    if (limits.maxContentLength && event.content.length > limits.maxContentLength) {
+      return { ok: false, reason: `content longer than ${limits.maxContentLength}` };
+    }
+    if (limits.maxMessageLength && Buffer.byteLength(JSON.stringify(['EVENT', event])) > limits.maxMessageLength) {
+      return { ok: false, reason: `message longer than ${limits.maxMessageLength} bytes` };
+    }
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Largest content and message size the relays accept (null when unlimited), to size answer
+   * parts by. Relays the bot would skip anyway (payment, too much PoW) don't count, nor do
+   * outliers whose limit is below `minLength` or far below the others': answers too big for
+   * them skip them rather than being split for everyone.
+   */
+  contentLimit(urls, { minLength = 0 } = {}) {
+    const contentLimits = [];
+    const messageLimits = [];
+
+    for (const url of urls) {
+      const limits = this.peek(url);
+      if (limits && !this._usable(url, limits)) continue;
+
+      contentLimits.push(limits?.maxContentLength || Infinity);
+      messageLimits.push(limits?.maxMessageLength || Infinity);
+    }
+
+    return {
+      maxContentLength: tightestLimit(contentLimits, minLength),
+      maxMessageLength: tightestLimit(messageLimits, minLength),
+    };
+  }
+
+  /**
+   * PoW difficulty to mine for so an event reaches all of the relays (0 when none needs it).
+   * Relays wanting more than `maxPowDifficulty` are left out; they will be skipped.
+   */
+  powDifficulty(urls) {
+    let difficulty = 0;
+    for (const url of urls) {
+      const limits = this.peek(url);
+      if (!limits || !this._usable(url, limits)) continue;
+      difficulty = Math.max(difficulty, limits.minPowDifficulty);
+    }
+    return difficulty;
+  }
+
+  _usable(url, limits) {
+    if (limits.paymentRequired && !this._get(url).acceptedAt) return false;
+    return limits.minPowDifficulty <= this.maxPowDifficulty;
+  }
+
+  _limits(record) {
+    const limits = parseLimits(record.info);
+    limits.minPowDifficulty = Math.max(limits.minPowDifficulty, record.learnedPow || 0);
+    return limits;
+  }
+
+  // Fields that survive a refetch of the document
+  _kept(previous) {
+    return { acceptedAt: previous?.acceptedAt || null, learnedPow: previous?.learnedPow || null };
+  }
+
+  /**
+   * Stop writing to the store (fetches still in flight only update the in-memory cache)
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  _save(url) {
+    if (this.stopped || !this.own.has(url)) return;
+    const { limits, ...record } = this._get(url);
+    this.store.setMeta(`nip11:${url}`, record).catch(() => {});
+  }
+
+  _get(url) {
+    return this.cache.get(url) || this.others.get(url);
+  }
+
+  _set(url, record) {
+    if (this.own.has(url)) {
+      this.cache.set(url, record);
+      return;
+    }
+
+    this.others.delete(url);
+    this.others.set(url, record);
+    while (this.others.size > this.maxOtherRelays) {
+      this.others.delete(this.others.keys().next().value);
+    }
+  }
+}
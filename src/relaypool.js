@@ -0,0 +1,403 @@
+import { NRelay1 } from '@nostrify/nostrify';
+import { logger } from './logger.js';
+
+const EWMA_ALPHA = 0.2; // Weight of the newest sample in latency/lag averages
+const LATENCY_HALF_SCORE_MS = 2000; // Publish/fetch latency that halves a relay's score
+const LAG_HALF_SCORE_MS = 10000; // Subscription lag that halves a relay's score
+const DISCONNECTED_FACTOR = 0.25; // Score multiplier while the socket is down but not yet failed
+const GIFT_WRAP_KIND = 1059; // created_at is randomized, useless for lag
+
+function ewma(previous, sample) {
+  return previous === null ? sample : Math.round(previous + EWMA_ALPHA * (sample - previous));
+}
+
+/**
+ * Relay pool with per-relay health tracking.
+ *
+ * Connection state comes from NRelay1's `log` hook, publish success rate and latency from
+ * the OK round trip, and subscription lag from live events. Relays that exhaust their
+ * reconnect attempts are marked failed and re-probed on a slow, backing-off schedule
+ * instead of being dropped until restart.
+ */
+export class RelayPool {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.createRelay] - (url, opts) => relay, defaults to NRelay1
+   * @param {function} [options.onRecover] - (url) callback when a failed relay answers a probe
+   * @param {number} [options.probeIntervalMs] - First re-probe delay for a failed relay
+   * @param {number} [options.maxProbeIntervalMs] - Upper bound for the re-probe delay
+   * @param {number} [options.probeTimeoutMs] - How long a probe may take
+   */
+  constructor({
+    createRelay = (url, opts) => new NRelay1(url, opts),
+    onRecover = null,
+    probeIntervalMs = 5 * 60 * 1000,
+    maxProbeIntervalMs = 60 * 60 * 1000,
+    probeTimeoutMs = 10000,
+  } = {}) {
+    this.createRelay = createRelay;
+    this.onRecover = onRecover;
+    this.probeIntervalMs = probeIntervalMs;
+    this.maxProbeIntervalMs = Math.max(maxProbeIntervalMs, probeIntervalMs);
+    this.probeTimeoutMs = probeTimeoutMs;
+
+    this.relayOptions = () => ({});
+    this.entries = new Map(); // url -> { url, relay }
+    this.status = new Map(); // url -> health/status record (served by /api/relays)
+    this.probing = new Set();
+    this.probeTimer = null;
+  }
+
+  /**
+   * Open a connection to each relay and start the re-probe timer
+   * @param {string[]} urls
+   * @param {function} [relayOptions] - url => extra NRelay1 options (e.g. NIP-42 auth/log)
+   */
+  connect(urls, relayOptions = () => ({})) {
+    this.relayOptions = relayOptions;
+
+    for (const url of urls) {
+      try {
+        this.add(url);
+        logger.info(`Connecting to relay: ${url}`);
+      } catch (error) {
+        logger.error(`Failed to connect to relay ${url}:`, error);
+        const status = this._getStatus(url);
+        status.errors++;
+        status.lastError = error.message;
+        this.markFailed(url, error.message);
+      }
+    }
+
+    if (!this.probeTimer) {
+      this.probeTimer = setInterval(() => this._probeDue(), Math.min(this.probeIntervalMs, 60000));
+      this.probeTimer.unref?.();
+    }
+  }
+
+  /**
+   * Create the connection for a relay (replacing any previous one)
+   */
+  add(url) {
+    this._getStatus(url);
+    const relay = this._createRelay(url);
+    this.entries.set(url, { url, relay });
+    return this.entries.get(url);
+  }
+
+  get(url) {
+    return this.entries.get(url) || null;
+  }
+
+  /**
+   * Close a relay and forget it, including its health record
+   * @returns {boolean} Whether the relay was in the pool
+   */
+  remove(url) {
+    const entry = this.entries.get(url);
+    entry?.relay.close().catch(() => {});
+
+    this.entries.delete(url);
+    this.probing.delete(url);
+    return this.status.delete(url) || Boolean(entry);
+  }
+
+  /**
+   * Clear a relay's failed state and error history and reconnect it now
+   * @returns {object|null} The new entry, or null if the relay is not in the pool
+   */
+  reset(url) {
+    const status = this.status.get(url);
+    if (!status) return null;
+
+    this.entries.get(url)?.relay.close().catch(() => {});
+
+    Object.assign(status, {
+      connected: false,
+      state: 'connecting',
+      connectedAt: null,
+      downSince: Date.now(),
+      errors: 0,
+      lastError: null,
+      publish: { attempts: 0, successes: 0 },
+      failed: false,
+      failedAt: null,
+      nextProbeAt: null,
+      probeIntervalMs: null,
+    });
+    this._updateScore(status);
+    logger.info(`Relay ${url} reset, reconnecting`);
+
+    return this.add(url);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  isFailed(url) {
+    return Boolean(this.status.get(url)?.failed);
+  }
+
+  /**
+   * Usable relays, healthiest first (configuration order breaks ties)
+   * @param {number} [limit] - Only return the best `limit` relays
+   */
+  ranked(limit = 0) {
+    const usable = [...this.entries.values()].filter(({ url }) => !this.isFailed(url));
+    usable.sort((a, b) => this.status.get(b.url).score - this.status.get(a.url).score);
+    return limit > 0 ? usable.slice(0, limit) : usable;
+  }
+
+  /**
+   * Record the outcome of publishing an event to a relay
+   */
+  recordPublish(url, { ok, latencyMs = null, error = null }) {
+    const status = this.status.get(url);
+    if (!status) return;
+
+    status.publish.attempts++;
+    if (ok) {
+      status.publish.successes++;
+      status.messagesSent++;
+      status.lastSeen = Date.now();
+      if (Number.isFinite(latencyMs)) status.latencyMs = ewma(status.latencyMs, latencyMs);
+    } else {
+      status.errors++;
+      status.lastError = error || 'Unknown error';
+    }
+    this._updateScore(status);
+  }
+
+  /**
+   * Record the outcome of a one-off fetch (REQ until EOSE)
+   */
+  recordFetch(url, { ok, latencyMs = null, error = null }) {
+    const status = this.status.get(url);
+    if (!status) return;
+
+    if (ok) {
+      status.lastSeen = Date.now();
+      if (Number.isFinite(latencyMs)) status.latencyMs = ewma(status.latencyMs, latencyMs);
+    } else {
+      status.errors++;
+      status.lastError = error || 'Unknown error';
+    }
+    this._updateScore(status);
+  }
+
+  /**
+   * Record an event delivered by a relay subscription.
+   * Lag is only sampled for live events (after EOSE), where created_at is close to "now".
+   */
+  recordEvent(url, event, { live = false } = {}) {
+    const status = this.status.get(url);
+    if (!status) return;
+
+    status.messagesReceived++;
+    status.lastSeen = Date.now();
+
+    if (live && event?.kind !== GIFT_WRAP_KIND && Number.isFinite(event?.created_at)) {
+      const lagMs = Math.max(0, Date.now() - event.created_at * 1000);
+      status.subscriptionLagMs = ewma(status.subscriptionLagMs, lagMs);
+      this._updateScore(status);
+    }
+  }
+
+  /**
+   * Stop using a relay until a probe succeeds
+   */
+  markFailed(url, reason = null) {
+    const status = this._getStatus(url);
+    if (status.failed) return;
+
+    status.failed = true;
+    status.failedAt = Date.now();
+    status.connected = false;
+    status.state = 'failed';
+    status.probeIntervalMs = this.probeIntervalMs;
+    status.nextProbeAt = Date.now() + this.probeIntervalMs;
+    if (reason) status.lastError = reason;
+    this._updateScore(status);
+
+    const entry = this.entries.get(url);
+    if (entry) {
+      // Stop the socket's own reconnect loop; the probe opens a fresh connection
+      entry.relay.close().catch(() => {});
+    }
+
+    logger.warn(`Relay ${url} marked as failed, re-probing in ${Math.round(this.probeIntervalMs / 1000)}s`);
+  }
+
+  /**
+   * Probe a failed relay now. Resolves true if it answered and was restored.
+   */
+  async probe(url) {
+    const status = this.status.get(url);
+    if (!status?.failed || this.probing.has(url)) return false;
+
+    this.probing.add(url);
+    status.probes++;
+    status.lastProbeAt = Date.now();
+
+    const relay = this._createRelay(url);
+    try {
+      // The relay must serve a REQ. A CLOSED answer (e.g. auth-required while the NIP-42
+      // handshake is still in flight) gets one more try within the probe timeout.
+      const signal = AbortSignal.timeout(this.probeTimeoutMs);
+      let answered = false;
+      for (let attempt = 0; attempt < 2 && !answered; attempt++) {
+        if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 1000));
+        for await (const msg of relay.req([{ kinds: [0], limit: 1 }], { signal })) {
+          if (msg[0] === 'EOSE' || msg[0] === 'EVENT') {
+            answered = true;
+            break;
+          }
+        }
+      }
+      if (!answered) {
+        throw new Error('subscription closed by relay');
+      }
+
+      this.entries.set(url, { url, relay });
+      status.failed = false;
+      status.failedAt = null;
+      status.nextProbeAt = null;
+      status.probeIntervalMs = null;
+      status.connected = true;
+      status.state = 'open';
+      status.connectedAt = Date.now();
+      status.downSince = null;
+      status.recoveries++;
+      this._updateScore(status);
+      logger.info(`✓ Relay ${url} answered probe, restoring it to the pool`);
+
+      this.onRecover?.(url);
+      return true;
+    } catch (error) {
+      relay.close().catch(() => {});
+      status.lastError = `probe: ${error.message}`;
+      status.probeIntervalMs = Math.min(status.probeIntervalMs * 2, this.maxProbeIntervalMs);
+      status.nextProbeAt = Date.now() + status.probeIntervalMs;
+      status.state = 'failed';
+      status.connected = false;
+      logger.debug(`Relay ${url} probe failed (${error.message}), next probe in ${Math.round(status.probeIntervalMs / 1000)}s`);
+      return false;
+    } finally {
+      this.probing.delete(url);
+    }
+  }
+
+  /**
+   * Stop the re-probe timer
+   */
+  stop() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  _probeDue() {
+    const now = Date.now();
+    for (const status of this.status.values()) {
+      // A socket that never comes back fails no subscription, so give up on it here
+      if (!status.failed && !status.connected && status.downSince && now - status.downSince > this.probeIntervalMs) {
+        this.markFailed(status.url, `Not connected for ${Math.round((now - status.downSince) / 1000)}s`);
+        continue;
+      }
+      if (status.failed && status.nextProbeAt <= now) {
+        this.probe(status.url).catch(error => {
+          logger.error(`Probe of ${status.url} failed:`, error);
+        });
+      }
+    }
+  }
+
+  _createRelay(url) {
+    const extra = this.relayOptions(url) || {};
+    return this.createRelay(url, {
+      ...extra,
+      log: (entry) => {
+        extra.log?.(entry);
+        this._observe(url, entry);
+      },
+    });
+  }
+
+  _observe(url, entry) {
+    if (entry?.ns !== 'relay.ws.state') return;
+
+    const status = this.status.get(url);
+    if (!status || status.failed) return;
+
+    if (entry.state === 'open') {
+      status.connected = true;
+      status.state = 'open';
+      status.connectedAt = Date.now();
+      status.downSince = null;
+    } else if (entry.state === 'close') {
+      if (status.connected) {
+        status.disconnects++;
+        status.downSince = Date.now();
+      }
+      status.connected = false;
+      status.state = 'closed';
+    } else if (entry.state === 'reconnect') {
+      status.state = 'connecting';
+    }
+    this._updateScore(status);
+  }
+
+  _getStatus(url) {
+    if (!this.status.has(url)) {
+      this.status.set(url, {
+        url,
+        connected: false,
+        state: 'connecting', // connecting | open | closed | failed
+        connectedAt: null,
+        downSince: Date.now(),
+        disconnects: 0,
+        lastSeen: null,
+        messagesReceived: 0,
+        messagesSent: 0,
+        errors: 0,
+        lastError: null,
+        publish: { attempts: 0, successes: 0 },
+        publishSuccessRate: null,
+        latencyMs: null,
+        subscriptionLagMs: null,
+        score: 0,
+        failed: false,
+        failedAt: null,
+        nextProbeAt: null,
+        probeIntervalMs: null,
+        lastProbeAt: null,
+        probes: 0,
+        recoveries: 0,
+        auth: null,
+      });
+      this._updateScore(this.status.get(url));
+    }
+    return this.status.get(url);
+  }
+
+  /**
+   * Health score 0-100: publish success rate (with a neutral prior for new relays),
+   * scaled down by latency, subscription lag and a down socket. Failed relays score 0.
+   */
+  _updateScore(status) {
+    const { attempts, successes } = status.publish;
+    status.publishSuccessRate = attempts > 0 ? successes / attempts : null;
+
+    if (status.failed) {
+      status.score = 0;
+      return;
+    }
+
+    const successRate = (successes + 1) / (attempts + 2);
+    const latencyFactor = status.latencyMs === null ? 1 : 1 / (1 + status.latencyMs / LATENCY_HALF_SCORE_MS);
+    const lagFactor = status.subscriptionLagMs === null ? 1 : 1 / (1 + status.subscriptionLagMs / LAG_HALF_SCORE_MS);
+    const connectedFactor = status.connected ? 1 : DISCONNECTED_FACTOR;
+
+    status.score = Math.round(100 * successRate * latencyFactor * lagFactor * connectedFactor);
+  }
+}
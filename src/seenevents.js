@@ -0,0 +1,178 @@
+import { open } from 'lmdb';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+const MAX_TIMESTAMP = 999999999999999;
+
+function expiryTimestamp(ms) {
+  return String(Math.max(0, Math.min(ms, MAX_TIMESTAMP))).padStart(15, '0');
+}
+
+/**
+ * Durable index of seen events (and other dedupe keys) with a TTL.
+ *
+ * `seen:<key>` holds the entry; `expiry:<expiresAt>:<key>` orders entries by expiry so
+ * pruning walks only the expired prefix of the index instead of scanning every entry.
+ * Entries past their TTL count as unseen even before they are pruned.
+ */
+export class SeenEvents {
+  /**
+   * @param {string} dbPath
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - Default time an entry is remembered
+   * @param {number} [options.pruneIntervalMs] - How often expired entries are removed
+   * @param {number} [options.pruneBatchSize] - Max entries removed per prune transaction
+   */
+  constructor(dbPath, { ttlMs = 7 * 24 * 60 * 60 * 1000, pruneIntervalMs = 60 * 1000, pruneBatchSize = 1000 } = {}) {
+    this.dbPath = dbPath;
+    this.ttlMs = ttlMs;
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.pruneBatchSize = pruneBatchSize;
+    this.db = null;
+    this.pruneTimer = null;
+
+    this.stats = {
+      claimed: 0,
+      duplicates: 0,
+      pruned: 0,
+    };
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    mkdirSync(dirname(this.dbPath), { recursive: true });
+
+    this.db = open({
+      path: this.dbPath,
+      compression: true,
+      encoding: 'json',
+    });
+
+    this.pruneTimer = setInterval(() => {
+      this.prune().catch(error => logger.error('Failed to prune seen events:', error));
+    }, this.pruneIntervalMs);
+    this.pruneTimer.unref?.();
+
+    logger.info(`Seen-events index ready at ${this.dbPath}`);
+  }
+
+  _assertInitialized() {
+    if (!this.db) {
+      throw new Error('Seen-events index not initialized');
+    }
+  }
+
+  /**
+   * Whether a key has been seen and has not expired
+   */
+  async has(key) {
+    this._assertInitialized();
+
+    const entry = this.db.get(`seen:${key}`);
+    return Boolean(entry && entry.expiresAt > Date.now());
+  }
+
+  /**
+   * Atomically record a key as seen.
+   * Resolves true if this call claimed it, false if it was already seen (a duplicate).
+   * @param {string} key - Event id or other dedupe key
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - Override the default TTL for this entry
+   * @param {string} [options.type] - What the key is (event kind, fingerprint, ...) for debugging
+   */
+  async claim(key, { ttlMs = this.ttlMs, type = null } = {}) {
+    this._assertInitialized();
+
+    const seenKey = `seen:${key}`;
+    const claimed = await this.db.transaction(() => {
+      const now = Date.now();
+      const existing = this.db.get(seenKey);
+      if (existing && existing.expiresAt > now) {
+        return false;
+      }
+
+      const expiresAt = now + ttlMs;
+      this.db.put(seenKey, { seenAt: now, expiresAt, type });
+      this.db.put(`expiry:${expiryTimestamp(expiresAt)}:${key}`, key);
+      return true;
+    });
+
+    if (claimed) {
+      this.stats.claimed++;
+    } else {
+      this.stats.duplicates++;
+    }
+    return claimed;
+  }
+
+  /**
+   * Forget a claimed key, so the event is handled again when it is delivered again
+   * (its expiry index entry is left for prune, which skips keys no longer seen)
+   */
+  async release(key) {
+    this._assertInitialized();
+
+    await this.db.remove(`seen:${key}`);
+  }
+
+  /**
+   * Remove expired entries, oldest first. Returns the number of entries removed.
+   */
+  async prune(now = Date.now()) {
+    this._assertInitialized();
+
+    let removed = 0;
+    for (;;) {
+      const expired = this.db.getRange({
+        start: 'expiry:',
+        end: `expiry:${expiryTimestamp(now)}`,
+        limit: this.pruneBatchSize,
+      }).asArray;
+
+      if (expired.length === 0) {
+        break;
+      }
+
+      await this.db.transaction(() => {
+        for (const { key: expiryKey, value: key } of expired) {
+          this.db.remove(expiryKey);
+          // The key may have been claimed again since, with a later expiry
+          const entry = this.db.get(`seen:${key}`);
+          if (entry && entry.expiresAt <= now) {
+            this.db.remove(`seen:${key}`);
+            removed++;
+          }
+        }
+      });
+
+      if (expired.length < this.pruneBatchSize) {
+        break;
+      }
+    }
+
+    if (removed > 0) {
+      this.stats.pruned += removed;
+      logger.debug(`Pruned ${removed} expired seen events`);
+    }
+    return removed;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  async close() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      logger.info('Seen-events index closed');
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import { logger } from './logger.js';
+
+// Parts are cut at paragraph breaks, which are dropped between parts and restored by `join`
+const SEPARATOR = '\n\n';
+
+/**
+ * Sends a streamed answer in pieces while it is generated: whenever at least `minChars` of
+ * unsent text end in a paragraph break, everything up to that break goes out as one part.
+ * Parts are sent one after another, in order.
+ *
+ * The answer the user received is `join(rest)`: the sent parts plus the final remainder,
+ * separated by the paragraph breaks they were cut at.
+ */
+export class StreamChunker {
+  /**
+   * @param {object} options
+   * @param {number} options.minChars - Smallest part worth sending early
+   * @param {function} options.send - async (text) => delivery ({ signedEvent, successCount, retrying })
+   */
+  constructor({ minChars, send }) {
+    this.minChars = minChars;
+    this.send = send;
+    this.streamed = '';
+    this.offset = 0; // characters of the streamed text already sent (or skipped as separators)
+    this.parts = []; // texts sent so far
+    this.deliveries = [];
+    this.sending = Promise.resolve();
+    this.failed = false; // a part could not be sent
+    this.diverged = false; // the stream restarted with a different answer
+  }
+
+  /**
+   * Feed the text generated so far
+   */
+  push(text) {
+    if (this.failed || this.diverged) return;
+    // A retried request streams a new answer from the start: stop and send it whole at the end
+    if (!text.startsWith(this.streamed.slice(0, this.offset))) {
+      this.diverged = true;
+      return;
+    }
+    this.streamed = text;
+
+    const pending = text.slice(this.offset);
+    if (pending.length < this.minChars) return;
+
+    const cut = pending.lastIndexOf(SEPARATOR);
+    if (cut < this.minChars / 2) return;
+
+    const part = pending.slice(0, cut);
+    this.offset += cut + SEPARATOR.length;
+    this.parts.push(part);
+    this.sending = this.sending.then(async () => {
+      if (this.failed) return;
+      try {
+        this.deliveries.push(await this.send(part));
+      } catch (error) {
+        // Stop streaming; the rest of the answer goes out with the final part
+        logger.warn(`Failed to send streamed part: ${error.message}`);
+        this.failed = true;
+      }
+    });
+  }
+
+  /**
+   * Wait for the parts queued so far to be sent
+   */
+  async settle() {
+    await this.sending;
+  }
+
+  /**
+   * Whether any part went out before the answer was complete
+   */
+  get started() {
+    return this.deliveries.length > 0;
+  }
+
+  /**
+   * The part of the complete answer that has not been sent yet (the whole answer if nothing
+   * was, or if it is not the answer the sent parts came from)
+   */
+  rest(text) {
+    const sent = this.streamed.slice(0, this.sentLength());
+    return this.started && text.startsWith(sent) ? text.slice(sent.length) : text;
+  }
+
+  /**
+   * What the user received in total, given the final part sent after the stream
+   */
+  join(finalPart) {
+    const sent = this.parts.slice(0, this.deliveries.length);
+    return finalPart ? [...sent, finalPart].join(SEPARATOR) : sent.join(SEPARATOR);
+  }
+
+  /**
+   * Combined delivery of the sent parts and the final one: first event, lowest relay count
+   */
+  delivery(finalDelivery = null) {
+    const all = finalDelivery ? [...this.deliveries, finalDelivery] : this.deliveries;
+    if (all.length === 0) return null;
+    return {
+      signedEvent: all[0].signedEvent,
+      signedEvents: all.flatMap(delivery => delivery.signedEvents || [delivery.signedEvent]),
+      successCount: Math.min(...all.map(delivery => delivery.successCount)),
+      retrying: all.some(delivery => delivery.retrying),
+    };
+  }
+
+  // Length of the streamed text covered by the delivered parts and their separators
+  sentLength() {
+    return this.parts
+      .slice(0, this.deliveries.length)
+      .reduce((length, part) => length + part.length + SEPARATOR.length, 0);
+  }
+}
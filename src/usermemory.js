@@ -0,0 +1,295 @@
+import { logger } from './logger.js';
+
+const MAX_ENTRY_LENGTH = 200;
+const MAX_MESSAGE_CHARS = 1000;
+
+const HELP = `Manage it with:\n` +
+  `  • /memory - show what I remember\n` +
+  `  • /remember <something> - add a fact\n` +
+  `  • /memory edit <number> <new text> - change an entry\n` +
+  `  • /forget <number> - remove an entry\n` +
+  `  • /forget all - wipe everything`;
+
+/**
+ * Parse a memory DM command: /memory, /remember <text>, /memory edit <n> <text>,
+ * /forget <n>, /forget all. Returns null for anything else.
+ */
+export function parseMemoryCommand(message) {
+  const text = typeof message === 'string' ? message.trim() : '';
+  let match;
+
+  if (/^\/memory$/i.test(text)) return { action: 'list' };
+  if ((match = text.match(/^\/remember\s+([\s\S]+)$/i))) return { action: 'add', text: match[1].trim() };
+  if ((match = text.match(/^\/memory\s+edit\s+(\d+)\s+([\s\S]+)$/i))) {
+    return { action: 'edit', index: Number(match[1]), text: match[2].trim() };
+  }
+  if (/^\/forget\s+(all|everything)$/i.test(text)) return { action: 'wipe' };
+  if ((match = text.match(/^\/forget\s+(\d+)$/i))) return { action: 'remove', index: Number(match[1]) };
+  if (/^\/(memory|remember|forget)\b/i.test(text)) return { action: 'help' };
+  return null;
+}
+
+function emptyMemory() {
+  return { facts: [], preferences: [], updatedAt: 0, updatedThrough: 0 };
+}
+
+function cleanEntries(entries, max) {
+  if (!Array.isArray(entries)) return [];
+  const seen = new Set();
+  const cleaned = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string') continue;
+    const text = entry.trim().replace(/\s+/g, ' ').slice(0, MAX_ENTRY_LENGTH);
+    const key = text.toLowerCase();
+    if (!text || seen.has(key)) continue;
+    seen.add(key);
+    cleaned.push(text);
+  }
+  return cleaned.slice(0, max);
+}
+
+/**
+ * Long-term memory about each user: short facts and preferences learned from their DM
+ * conversations, stored in the Database and given to the model in the system prompt.
+ *
+ * After enough new messages the memory is updated in the background with one model call
+ * that folds the new messages into what is already known. Users can list, edit and wipe
+ * it with DM commands (see parseMemoryCommand).
+ */
+export class UserMemory {
+  /**
+   * @param {object} options
+   * @param {object} options.store - Database with getUserMemory/saveUserMemory/getConversation
+   * @param {object} options.llm - LLMProvider; updates use `complete` with internal routing
+   * @param {number} [options.minNewMessages] - New messages (both sides) before an update
+   * @param {number} [options.minIntervalMs] - Minimum time between updates for one user
+   * @param {number} [options.maxFacts]
+   * @param {number} [options.maxPreferences]
+   * @param {number} [options.historyLimit] - Most recent messages considered per update
+   * @param {function} [options.onUsage] - async (pubkey, sessionId, usage), to account for update calls
+   */
+  constructor({
+    store,
+    llm,
+    minNewMessages = 6,
+    minIntervalMs = 10 * 60 * 1000,
+    maxFacts = 30,
+    maxPreferences = 15,
+    historyLimit = 40,
+    onUsage = null,
+  }) {
+    this.store = store;
+    this.llm = llm;
+    this.minNewMessages = minNewMessages;
+    this.minIntervalMs = minIntervalMs;
+    this.maxFacts = maxFacts;
+    this.maxPreferences = maxPreferences;
+    this.historyLimit = historyLimit;
+    this.onUsage = onUsage;
+
+    this.pending = new Map(); // pubkey -> { count, lastUpdate }
+    this.running = new Map(); // pubkey -> Promise
+    this.stopped = false;
+    this.stats = { updates: 0, failed: 0, commands: 0 };
+  }
+
+  async get(pubkey) {
+    return this.store.getUserMemory(pubkey);
+  }
+
+  /**
+   * Memory for the system prompt ({ facts, preferences }), or null when there is none
+   */
+  async forPrompt(pubkey) {
+    const memory = await this.get(pubkey);
+    if (!memory || (memory.facts.length === 0 && memory.preferences.length === 0)) return null;
+    return { facts: memory.facts, preferences: memory.preferences };
+  }
+
+  /**
+   * Count new messages in a user's conversation and start a background update once enough
+   * have piled up
+   * @returns {Promise|null} The update, if one was started
+   */
+  noteMessages(pubkey, sessionId, count = 2) {
+    const entry = this.pending.get(pubkey) || { count: 0, lastUpdate: 0 };
+    entry.count += count;
+    this.pending.set(pubkey, entry);
+
+    if (this.stopped || this.running.has(pubkey)) return null;
+    if (entry.count < this.minNewMessages || Date.now() - entry.lastUpdate < this.minIntervalMs) return null;
+
+    entry.count = 0;
+    entry.lastUpdate = Date.now();
+    const update = this.update(pubkey, sessionId).finally(() => this.running.delete(pubkey));
+    this.running.set(pubkey, update);
+    return update;
+  }
+
+  /**
+   * Fold the messages since the last update into the user's memory
+   * @returns {Promise<object|null>} The new memory, or null if nothing changed
+   */
+  async update(pubkey, sessionId = null) {
+    try {
+      const memory = await this.get(pubkey) || emptyMemory();
+      const messages = (await this.store.getConversation(pubkey, this.historyLimit))
+        .filter(msg => msg.timestamp > memory.updatedThrough)
+        .filter(msg => msg.messageType === 'question' || msg.messageType === 'response')
+        .filter(msg => !parseMemoryCommand(msg.message));
+      if (messages.length === 0) return null;
+
+      const result = await this.llm.complete(this._prompt(memory, messages), { routing: { internal: true } });
+      if (this.stopped) return null;
+      if (result.usage && this.onUsage) {
+        await this.onUsage(pubkey, sessionId, result.usage);
+      }
+      if (result.outcome !== 'ok') {
+        this.stats.failed++;
+        return null;
+      }
+
+      const learned = this._parse(result.text);
+      if (!learned) {
+        logger.warn(`Memory update for ${pubkey.substring(0, 8)}... returned no usable JSON`);
+        this.stats.failed++;
+        return null;
+      }
+
+      // A command the user sent in the meantime wins over what the model learned
+      const latest = await this.get(pubkey) || emptyMemory();
+      if (latest.updatedAt !== memory.updatedAt || this.stopped) return null;
+
+      const updated = {
+        ...learned,
+        updatedAt: Date.now(),
+        updatedThrough: messages[messages.length - 1].timestamp,
+      };
+      await this.store.saveUserMemory(pubkey, updated);
+      this.stats.updates++;
+      logger.info(`🧠 Memory updated for ${pubkey.substring(0, 8)}... (${updated.facts.length} facts, ${updated.preferences.length} preferences)`);
+      return updated;
+    } catch (error) {
+      logger.warn(`Memory update failed for ${pubkey.substring(0, 8)}...: ${error.message}`);
+      this.stats.failed++;
+      return null;
+    }
+  }
+
+  /**
+   * Run a parsed memory command and return the reply for the user
+   */
+  async command(pubkey, { action, index, text }) {
+    this.stats.commands++;
+    const memory = await this.get(pubkey) || emptyMemory();
+    const now = Date.now();
+
+    if (action === 'list') {
+      return this.describe(memory);
+    }
+
+    if (action === 'wipe') {
+      // Older messages stay folded in, so they are not learned again
+      await this.store.saveUserMemory(pubkey, { ...emptyMemory(), updatedAt: now, updatedThrough: now });
+      return '🧠 Done - I have forgotten everything I remembered about you.';
+    }
+
+    if (action === 'add') {
+      const facts = cleanEntries([...memory.facts, text], this.maxFacts + 1);
+      if (facts.length > this.maxFacts) {
+        return `🧠 My memory about you is full (${this.maxFacts} facts). Remove something with /forget <number> first.`;
+      }
+      await this.store.saveUserMemory(pubkey, { ...memory, facts, updatedAt: now });
+      return `🧠 Got it, I will remember: ${text.slice(0, MAX_ENTRY_LENGTH)}`;
+    }
+
+    if (action === 'edit' || action === 'remove') {
+      const entry = this._locate(memory, index);
+      if (!entry) {
+        return `🧠 There is no entry ${index}.\n\n${this.describe(memory)}`;
+      }
+      const list = [...memory[entry.list]];
+      if (action === 'edit') {
+        list[entry.position] = text;
+      } else {
+        list.splice(entry.position, 1);
+      }
+      const max = entry.list === 'facts' ? this.maxFacts : this.maxPreferences;
+      await this.store.saveUserMemory(pubkey, { ...memory, [entry.list]: cleanEntries(list, max), updatedAt: now });
+      return action === 'edit' ? `🧠 Updated entry ${index}.` : `🧠 Forgotten: ${memory[entry.list][entry.position]}`;
+    }
+
+    return `🧠 I remember facts and preferences from our conversations to give you better answers.\n\n${HELP}`;
+  }
+
+  /**
+   * The user's memory as a numbered list (facts first, then preferences)
+   */
+  describe(memory) {
+    if (!memory || (memory.facts.length === 0 && memory.preferences.length === 0)) {
+      return `🧠 I don't remember anything about you yet.\n\n${HELP}`;
+    }
+
+    const lines = ['🧠 What I remember about you:'];
+    let number = 1;
+    if (memory.facts.length > 0) {
+      lines.push('', 'Facts:', ...memory.facts.map(fact => `${number++}. ${fact}`));
+    }
+    if (memory.preferences.length > 0) {
+      lines.push('', 'Preferences:', ...memory.preferences.map(preference => `${number++}. ${preference}`));
+    }
+    lines.push('', HELP);
+    return lines.join('\n');
+  }
+
+  getStats() {
+    return { ...this.stats, running: this.running.size };
+  }
+
+  /**
+   * Stop starting updates; running ones finish without saving anything
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  // Map a 1-based entry number from `describe` to its list and position
+  _locate(memory, index) {
+    if (!Number.isInteger(index) || index < 1) return null;
+    if (index <= memory.facts.length) return { list: 'facts', position: index - 1 };
+    const position = index - 1 - memory.facts.length;
+    return position < memory.preferences.length ? { list: 'preferences', position } : null;
+  }
+
+  _prompt(memory, messages) {
+    const conversation = messages
+      .map(msg => `${msg.isFromBot ? 'Assistant' : 'User'}: ${msg.message.slice(0, MAX_MESSAGE_CHARS)}`)
+      .join('\n');
+
+    return `You maintain a short memory about a user of a chat assistant, used to personalise future answers.\n\n` +
+      `Current memory (JSON):\n${JSON.stringify({ facts: memory.facts, preferences: memory.preferences })}\n\n` +
+      `New messages:\n${conversation}\n\n` +
+      `Return the updated memory as JSON only, in the form {"facts": [...], "preferences": [...]}.\n` +
+      `- facts: lasting facts about the user (name, location, work, projects, ongoing tasks, important dates)\n` +
+      `- preferences: how they like answers (language, tone, length, topics to avoid)\n` +
+      `- Keep existing entries unless the new messages contradict or outdate them\n` +
+      `- Never store secrets such as private keys (nsec), seed phrases, passwords or payment details\n` +
+      `- One short sentence per entry; at most ${this.maxFacts} facts and ${this.maxPreferences} preferences`;
+  }
+
+  _parse(text) {
+    const start = typeof text === 'string' ? text.indexOf('{') : -1;
+    const end = start >= 0 ? text.lastIndexOf('}') : -1;
+    if (end <= start) return null;
+
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      return {
+        facts: cleanEntries(parsed.facts, this.maxFacts),
+        preferences: cleanEntries(parsed.preferences, this.maxPreferences),
+      };
+    } catch {
+      return null;
+    }
+  }
+}
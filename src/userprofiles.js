@@ -0,0 +1,272 @@
+import { nip05 } from 'nostr-tools';
+import { logger } from './logger.js';
+
+export const PROFILE_KIND = 0;
+
+/**
+ * Parse a kind 0 event's content into the profile fields the bot uses; null if it isn't JSON
+ */
+export function parseProfile(event) {
+  let metadata;
+  try {
+    metadata = JSON.parse(event.content);
+  } catch {
+    return null;
+  }
+  if (!metadata || typeof metadata !== 'object') return null;
+
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  return {
+    name: text(metadata.name),
+    displayName: text(metadata.display_name) || text(metadata.displayName),
+    about: text(metadata.about),
+    picture: text(metadata.picture),
+    nip05: text(metadata.nip05),
+    lud16: text(metadata.lud16),
+    lud06: text(metadata.lud06),
+    website: text(metadata.website),
+    banner: text(metadata.banner),
+  };
+}
+
+/**
+ * User profiles (kind 0), cached in LMDB (meta `profile:<pubkey>`).
+ *
+ * Stale profiles are refreshed in the background; users who wrote to the bot recently are
+ * watched through one batched kind 0 subscription, so profile edits arrive without a refetch.
+ * NIP-05 identifiers are checked against the domain's nostr.json and the result is kept
+ * with the profile (`nip05Verified`).
+ */
+export class UserProfiles {
+  /**
+   * @param {object} options
+   * @param {object} options.store - Database with getMeta/setMeta
+   * @param {function} options.fetchEvents - async (filters, timeoutMs) => events, queried on the bot's relays
+   * @param {function} [options.subscribe] - (filters, onEvent, signal) => void, live subscription on the bot's relays
+   * @param {function} [options.verifyNip05] - async (pubkey, identifier) => boolean
+   * @param {number} [options.cacheTtlMs] - Refetch profiles older than this
+   * @param {number} [options.fetchTimeoutMs] - Max wait for a first fetch before answering without a profile
+   * @param {number} [options.nip05TtlMs] - Re-check NIP-05 identifiers after this long
+   * @param {number} [options.activeWindowMs] - Users seen within this window are watched for profile updates
+   * @param {number} [options.maxWatched] - Cap on watched users
+   * @param {number} [options.batchDelayMs] - Newly active users are added to the subscription in batches
+   */
+  constructor({
+    store,
+    fetchEvents,
+    subscribe = null,
+    verifyNip05 = (pubkey, identifier) => nip05.isValid(pubkey, identifier),
+    cacheTtlMs = 6 * 60 * 60 * 1000,
+    fetchTimeoutMs = 300,
+    nip05TtlMs = 24 * 60 * 60 * 1000,
+    activeWindowMs = 60 * 60 * 1000,
+    maxWatched = 500,
+    batchDelayMs = 5000,
+  }) {
+    this.store = store;
+    this.fetchEvents = fetchEvents;
+    this.subscribe = subscribe;
+    this.verifyNip05 = verifyNip05;
+    this.cacheTtlMs = cacheTtlMs;
+    this.fetchTimeoutMs = fetchTimeoutMs;
+    this.nip05TtlMs = nip05TtlMs;
+    this.activeWindowMs = activeWindowMs;
+    this.maxWatched = maxWatched;
+    this.batchDelayMs = batchDelayMs;
+
+    this.inFlight = new Map(); // pubkey -> Promise
+    this.active = new Map(); // pubkey -> last seen (ms), in least-recently-seen order
+    this.watched = new Set(); // pubkeys in the current subscription
+    this.subscription = null; // AbortController
+    this.batchTimer = null;
+    this.stopped = false;
+
+    this.stats = {
+      fetched: 0,
+      liveUpdates: 0,
+      nip05Verified: 0,
+      nip05Failed: 0,
+    };
+  }
+
+  /**
+   * Cached profile for a user, refreshing in the background when stale.
+   * When nothing is cached yet, waits up to `fetchTimeoutMs` for the first fetch.
+   * @returns {Promise<object|null>} profile fields plus `nip05Verified`, `createdAt` and `fetchedAt`
+   */
+  async get(pubkey) {
+    const cached = await this.store.getMeta(`profile:${pubkey}`);
+    const stale = !cached || Date.now() - cached.fetchedAt > this.cacheTtlMs;
+
+    if (!stale) return this._visible(cached);
+
+    const refresh = this.refresh(pubkey);
+    if (cached) return this._visible(cached);
+
+    return this._visible(await Promise.race([
+      refresh,
+      new Promise(resolve => setTimeout(() => resolve(null), this.fetchTimeoutMs)),
+    ]));
+  }
+
+  /**
+   * Fetch the user's newest kind 0 event and cache it
+   * (concurrent calls for the same pubkey share one fetch)
+   */
+  refresh(pubkey) {
+    let inFlight = this.inFlight.get(pubkey);
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      try {
+        const events = await this.fetchEvents([{ kinds: [PROFILE_KIND], authors: [pubkey], limit: 1 }], 5000);
+        // The store may be closed by the time a late fetch returns
+        if (this.stopped) return null;
+        this.stats.fetched++;
+        const newest = events
+          .filter(event => event.pubkey === pubkey && event.kind === PROFILE_KIND)
+          .sort((a, b) => b.created_at - a.created_at)[0];
+
+        if (!newest) {
+          // Remember that there is nothing to find, so the next message doesn't wait for it
+          const cached = await this.store.getMeta(`profile:${pubkey}`);
+          const record = cached ? { ...cached, fetchedAt: Date.now() } : { missing: true, createdAt: 0, fetchedAt: Date.now() };
+          await this.store.setMeta(`profile:${pubkey}`, record);
+          logger.debug(`No profile found for ${pubkey.substring(0, 8)}...`);
+          return record;
+        }
+
+        return await this.apply(newest, { fetched: true });
+      } catch (error) {
+        logger.warn(`Failed to fetch profile for ${pubkey.substring(0, 8)}...: ${error.message}`);
+        return null;
+      } finally {
+        this.inFlight.delete(pubkey);
+      }
+    })();
+
+    this.inFlight.set(pubkey, inFlight);
+    return inFlight;
+  }
+
+  /**
+   * Store a kind 0 event unless an equal or newer one is cached. The NIP-05 identifier is
+   * (re-)checked when it changed or its last check expired.
+   * @returns {Promise<object|null>} the cached profile afterwards
+   */
+  async apply(event, { fetched = false } = {}) {
+    const cached = await this.store.getMeta(`profile:${event.pubkey}`);
+    if (cached && !cached.missing && cached.createdAt >= event.created_at) {
+      if (!fetched) return cached;
+      // Same profile as before: only the fetch time and an expired NIP-05 check change
+      const record = await this._withNip05(event.pubkey, { ...cached, fetchedAt: Date.now() }, cached);
+      await this.store.setMeta(`profile:${event.pubkey}`, record);
+      return record;
+    }
+
+    const profile = parseProfile(event);
+    if (!profile) {
+      logger.debug(`Ignoring unparseable profile ${event.id.substring(0, 8)}...`);
+      return cached || null;
+    }
+
+    const record = await this._withNip05(event.pubkey, {
+      ...profile,
+      eventId: event.id,
+      createdAt: event.created_at,
+      fetchedAt: Date.now(),
+    }, cached);
+    await this.store.setMeta(`profile:${event.pubkey}`, record);
+    logger.debug(`Profile for ${event.pubkey.substring(0, 8)}...: ${record.name || record.displayName || 'unnamed'}${record.nip05 ? ` (${record.nip05}${record.nip05Verified ? ', verified' : ''})` : ''}`);
+    return record;
+  }
+
+  /**
+   * Note that a user is active: their profile is watched for updates for `activeWindowMs`
+   */
+  touch(pubkey) {
+    this.active.delete(pubkey);
+    this.active.set(pubkey, Date.now());
+
+    if (!this.watched.has(pubkey) && this.subscribe && !this.batchTimer) {
+      this.batchTimer = setTimeout(() => {
+        this.batchTimer = null;
+        this._resubscribe();
+      }, this.batchDelayMs);
+      this.batchTimer.unref?.();
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, watched: this.watched.size };
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    this.subscription?.abort();
+    this.subscription = null;
+    this.watched.clear();
+  }
+
+  /**
+   * Replace the live subscription with one covering the currently active users
+   */
+  _resubscribe() {
+    const cutoff = Date.now() - this.activeWindowMs;
+    for (const [pubkey, seenAt] of this.active) {
+      if (seenAt >= cutoff && this.active.size <= this.maxWatched) break;
+      this.active.delete(pubkey);
+    }
+
+    this.subscription?.abort();
+    this.subscription = null;
+    this.watched = new Set(this.active.keys());
+    if (this.watched.size === 0) return;
+
+    const controller = new AbortController();
+    this.subscription = controller;
+    const filters = [{ kinds: [PROFILE_KIND], authors: [...this.watched], since: Math.floor(Date.now() / 1000) }];
+    logger.debug(`Watching profiles of ${this.watched.size} active users`);
+
+    this.subscribe(filters, (event) => {
+      if (this.stopped || event.kind !== PROFILE_KIND || !this.watched.has(event.pubkey)) return;
+      this.stats.liveUpdates++;
+      this.apply(event).catch(error => logger.warn(`Failed to apply profile update: ${error.message}`));
+    }, controller.signal);
+  }
+
+  // Users without a kind 0 are cached as `missing` but have no profile
+  _visible(record) {
+    return record && !record.missing ? record : null;
+  }
+
+  /**
+   * Profile record with `nip05Verified` filled in, reusing the previous check while it is fresh
+   */
+  async _withNip05(pubkey, record, previous) {
+    if (!record.nip05) {
+      return { ...record, nip05Verified: false, nip05CheckedAt: null };
+    }
+
+    const fresh = previous?.nip05 === record.nip05
+      && previous.nip05CheckedAt
+      && Date.now() - previous.nip05CheckedAt < this.nip05TtlMs;
+    if (fresh) {
+      return { ...record, nip05Verified: previous.nip05Verified, nip05CheckedAt: previous.nip05CheckedAt };
+    }
+
+    let verified = false;
+    try {
+      verified = await Promise.race([
+        this.verifyNip05(pubkey, record.nip05),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 5000).unref?.()),
+      ]);
+    } catch (error) {
+      logger.debug(`NIP-05 check failed for ${record.nip05}: ${error.message}`);
+    }
+    this.stats[verified ? 'nip05Verified' : 'nip05Failed']++;
+    return { ...record, nip05Verified: verified === true, nip05CheckedAt: Date.now() };
+  }
+}
@@ -0,0 +1,247 @@
+import { isIP } from 'net';
+import { NRelay1 } from '@nostrify/nostrify';
+import { logger } from './logger.js';
+
+export const RELAY_LIST_KIND = 10002; // NIP-65
+export const DM_RELAY_LIST_KIND = 10050; // NIP-17 DM inbox relays
+
+/**
+ * Normalize a relay URL for comparison; returns null for anything that isn't ws(s)://
+ */
+export function normalizeRelayUrl(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'wss:' && parsed.protocol !== 'ws:') return null;
+    return parsed.href.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a relay from someone's relay list may be connected to: `wss://` on a public host.
+ * Anyone can publish a list, so loopback, private (RFC 1918, unique local), link-local and
+ * other internal addresses are refused rather than reached from the bot's network.
+ */
+export function isPublicRelayUrl(url) {
+  const normalized = normalizeRelayUrl(url);
+  if (!normalized) return false;
+
+  const { protocol, hostname } = new URL(normalized);
+  return protocol === 'wss:' && isPublicHost(hostname);
+}
+
+function isPublicHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (isIP(host) === 4) return isPublicIPv4(host);
+  if (isIP(host) === 6) return isPublicIPv6(host);
+
+  // Single-label and local-only names resolve inside the bot's network
+  if (!host.includes('.')) return false;
+  return !['.localhost', '.local', '.internal', '.lan', '.home.arpa'].some(suffix => host.endsWith(suffix));
+}
+
+function isPublicIPv4(host) {
+  const [a, b] = host.split('.').map(Number);
+  return !(
+    a === 0 || a === 10 || a === 127 || a >= 224 || // this network, private, loopback, multicast/reserved
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) || // link-local
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && host.split('.')[2] === '0') || // IETF protocol assignments
+    (a === 198 && (b === 18 || b === 19)) // benchmarking
+  );
+}
+
+function isPublicIPv6(host) {
+  // URL serializes IPv4-mapped addresses in hex (::ffff:7f00:1)
+  const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = mapped.slice(1).map(group => parseInt(group, 16));
+    return isPublicIPv4([high >> 8, high & 0xff, low >> 8, low & 0xff].join('.'));
+  }
+  // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10), multicast
+  return !(host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('ff'));
+}
+
+/**
+ * Parse kind 10002 / 10050 events into { read, write, dm } URL lists, keeping only relays
+ * that pass `isPublicRelayUrl`
+ */
+export function parseRelayLists(events) {
+  const latest = new Map(); // kind -> newest event
+  for (const event of events) {
+    if (!event || (event.kind !== RELAY_LIST_KIND && event.kind !== DM_RELAY_LIST_KIND)) continue;
+    const current = latest.get(event.kind);
+    if (!current || event.created_at > current.created_at) latest.set(event.kind, event);
+  }
+
+  const read = new Set();
+  const write = new Set();
+  const dm = new Set();
+
+  for (const tag of latest.get(RELAY_LIST_KIND)?.tags || []) {
+    if (tag[0] !== 'r' || !isPublicRelayUrl(tag[1])) continue;
+    const url = normalizeRelayUrl(tag[1]);
+    // No marker means both read and write
+    if (tag[2] !== 'write') read.add(url);
+    if (tag[2] !== 'read') write.add(url);
+  }
+
+  for (const tag of latest.get(DM_RELAY_LIST_KIND)?.tags || []) {
+    if (tag[0] === 'relay' && isPublicRelayUrl(tag[1])) dm.add(normalizeRelayUrl(tag[1]));
+  }
+
+  return { read: [...read], write: [...write], dm: [...dm] };
+}
+
+/**
+ * Per-user relay lists for the NIP-65 outbox model.
+ *
+ * Lists are cached in LMDB (meta `relays:<pubkey>`) and refreshed in the background once
+ * stale. Connections to user relays outside the bot's own pool are opened on demand and
+ * kept in a small LRU.
+ */
+export class UserRelayLists {
+  /**
+   * @param {object} options
+   * @param {object} options.store - Database with getMeta/setMeta
+   * @param {function} options.fetchEvents - async (filters, timeoutMs) => events, queried on the bot's relays
+   * @param {function} [options.relayOptions] - url => NRelay1 options (e.g. NIP-42 auth)
+   * @param {function} [options.createRelay] - (url, opts) => relay, defaults to NRelay1
+   * @param {number} [options.cacheTtlMs] - Refresh lists older than this
+   * @param {number} [options.fetchTimeoutMs] - Max wait for a first fetch before sending without it
+   * @param {number} [options.maxRelays] - Cap on user relays published to per event
+   * @param {number} [options.maxConnections] - Open connections to user relays kept around
+   */
+  constructor({
+    store,
+    fetchEvents,
+    relayOptions = () => ({}),
+    createRelay = (url, opts) => new NRelay1(url, opts),
+    cacheTtlMs = 6 * 60 * 60 * 1000,
+    fetchTimeoutMs = 3000,
+    maxRelays = 5,
+    maxConnections = 50,
+  }) {
+    this.store = store;
+    this.fetchEvents = fetchEvents;
+    this.relayOptions = relayOptions;
+    this.createRelay = createRelay;
+    this.cacheTtlMs = cacheTtlMs;
+    this.fetchTimeoutMs = fetchTimeoutMs;
+    this.maxRelays = maxRelays;
+    this.maxConnections = maxConnections;
+
+    this.inFlight = new Map(); // pubkey -> Promise
+    this.connections = new Map(); // url -> NRelay1, in least-recently-used order
+    this.closed = false;
+  }
+
+  /**
+   * Cached relay lists for a user, refreshing in the background when stale.
+   * When nothing is cached yet, waits up to `fetchTimeoutMs` for the first fetch.
+   * @returns {Promise<{read: string[], write: string[], dm: string[], fetchedAt: number}|null>}
+   */
+  async get(pubkey) {
+    const cached = await this.store.getMeta(`relays:${pubkey}`);
+    const stale = !cached || Date.now() - cached.fetchedAt > this.cacheTtlMs;
+
+    if (!stale) return cached;
+
+    const refresh = this.refresh(pubkey);
+    if (cached) return cached;
+
+    return await Promise.race([
+      refresh,
+      new Promise(resolve => setTimeout(() => resolve(null), this.fetchTimeoutMs)),
+    ]);
+  }
+
+  /**
+   * Fetch the user's kind 10002 and 10050 events and cache the parsed lists
+   * (concurrent calls for the same pubkey share one fetch)
+   */
+  refresh(pubkey) {
+    let inFlight = this.inFlight.get(pubkey);
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      try {
+        const events = await this.fetchEvents(
+          [
+            { kinds: [RELAY_LIST_KIND], authors: [pubkey], limit: 1 },
+            { kinds: [DM_RELAY_LIST_KIND], authors: [pubkey], limit: 1 },
+          ],
+          this.fetchTimeoutMs * 2
+        );
+        // The store may be closed by the time a late fetch returns
+        if (this.closed) return null;
+        const lists = { ...parseRelayLists(events), fetchedAt: Date.now() };
+        await this.store.setMeta(`relays:${pubkey}`, lists);
+        logger.debug(`Relay lists for ${pubkey.substring(0, 8)}...: ${lists.read.length} read, ${lists.write.length} write, ${lists.dm.length} DM`);
+        return lists;
+      } catch (error) {
+        logger.warn(`Failed to fetch relay lists for ${pubkey.substring(0, 8)}...: ${error.message}`);
+        return null;
+      } finally {
+        this.inFlight.delete(pubkey);
+      }
+    })();
+
+    this.inFlight.set(pubkey, inFlight);
+    return inFlight;
+  }
+
+  /**
+   * Relays to deliver to a user beyond `exclude` (the bot's own relays), capped at `maxRelays`.
+   * DMs go to the NIP-17 inbox relays when the user has published them, otherwise to their
+   * NIP-65 read relays, like public replies.
+   */
+  async targets(pubkey, { dm = false, exclude = [] } = {}) {
+    const lists = await this.get(pubkey);
+    if (!lists) return [];
+
+    const candidates = dm && lists.dm.length > 0 ? lists.dm : lists.read;
+    const skip = new Set(exclude.map(normalizeRelayUrl));
+    // Lists cached before relays were screened may still hold internal addresses
+    return candidates.filter(url => !skip.has(url) && isPublicRelayUrl(url)).slice(0, this.maxRelays);
+  }
+
+  /**
+   * Connection to a user relay, opened on first use
+   */
+  connection(url) {
+    let relay = this.connections.get(url);
+    if (relay) {
+      // Move to the most-recently-used end
+      this.connections.delete(url);
+      this.connections.set(url, relay);
+      return relay;
+    }
+
+    relay = this.createRelay(url, this.relayOptions(url));
+    this.connections.set(url, relay);
+
+    while (this.connections.size > this.maxConnections) {
+      const [oldestUrl, oldest] = this.connections.entries().next().value;
+      this.connections.delete(oldestUrl);
+      oldest.close().catch(() => {});
+    }
+
+    return relay;
+  }
+
+  /**
+   * Close all user relay connections
+   */
+  close() {
+    this.closed = true;
+    for (const relay of this.connections.values()) {
+      relay.close().catch(() => {});
+    }
+    this.connections.clear();
+  }
+}
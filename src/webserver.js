@@ -5,7 +5,7 @@ import { fileURLToPath } from 'url';
 import session from 'express-session';
 import bcrypt from 'bcryptjs';
 import { logger } from './logger.js';
-import { Database } from './database.js';
+import { Database, sumUsage, withMargin } from './database.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -117,13 +117,17 @@ export class WebServer {
             globalTokens: stats.rateLimiter?.globalTokens || 0,
             maxTokens: stats.rateLimiter?.maxTokens || 0,
           },
-          geminiAI: {
-            requests: stats.gemini?.requests || 0,
-            successful: stats.gemini?.successful || 0,
-            failed: stats.gemini?.failed || 0,
-            fallbacks: stats.gemini?.fallbacks || 0,
-            successRate: stats.gemini?.successRate || 'N/A',
-            circuitBreakerState: stats.gemini?.circuitBreaker?.state || 'UNKNOWN',
+          ai: {
+            provider: stats.llm?.provider || 'unknown',
+            model: stats.llm?.model || null,
+            requests: stats.llm?.requests || 0,
+            successful: stats.llm?.successful || 0,
+            failed: stats.llm?.failed || 0,
+            fallbacks: stats.llm?.fallbacks || 0,
+            blocked: stats.llm?.blocked || 0,
+            tokens: stats.llm?.tokens || null,
+            successRate: stats.llm?.successRate || 'N/A',
+            circuitBreakerState: stats.llm?.circuitBreaker?.state || 'UNKNOWN',
           },
         },
       });
@@ -137,6 +141,39 @@ export class WebServer {
       res.json(relays);
     });
 
+    // Relay admin (changes apply immediately and persist across restarts); :url is URL-encoded
+    const relayError = (res, error, action) => {
+      if ([400, 404, 409].includes(error.status)) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error(`Failed to ${action}:`, error);
+      res.status(500).json({ error: `Failed to ${action}` });
+    };
+
+    this.app.post('/api/relays', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.status(201).json(await this.bot.addRelay(req.body?.url));
+      } catch (error) {
+        relayError(res, error, 'add relay');
+      }
+    });
+
+    this.app.delete('/api/relays/:url', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.json(await this.bot.removeRelay(req.params.url));
+      } catch (error) {
+        relayError(res, error, 'remove relay');
+      }
+    });
+
+    this.app.post('/api/relays/:url/reset', this.requireAuth.bind(this), (req, res) => {
+      try {
+        res.json(this.bot.resetRelay(req.params.url));
+      } catch (error) {
+        relayError(res, error, 'reset relay');
+      }
+    });
+
     this.app.get('/api/messages', this.requireAuth.bind(this), async (req, res) => {
       try {
         const limit = parseInt(req.query.limit) || 100;
@@ -148,6 +185,20 @@ export class WebServer {
       }
     });
 
+    this.app.get('/api/outbox', this.requireAuth.bind(this), (req, res) => {
+      try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const status = ['pending', 'delivered', 'failed'].includes(req.query.status) ? req.query.status : null;
+        res.json({
+          stats: this.bot.outbox.getStats(),
+          entries: this.bot.outbox.list({ limit, status }),
+        });
+      } catch (error) {
+        logger.error('Failed to get outbox:', error);
+        res.status(500).json({ error: 'Failed to get outbox' });
+      }
+    });
+
     this.app.get('/api/conversations', this.requireAuth.bind(this), async (req, res) => {
       try {
         const conversations = await this.db.getAllConversations();
@@ -169,6 +220,64 @@ export class WebServer {
       }
     });
 
+    // Token usage and margins: daily totals for the last ?days= (default 30) plus top spenders
+    this.app.get('/api/usage', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+        const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const daily = await this.bot.db.getDailyUsage({ from });
+        res.json({
+          days,
+          totals: withMargin(sumUsage(daily)),
+          daily,
+          topSpenders: await this.bot.db.getTopSpenders({ limit: 10 }),
+        });
+      } catch (error) {
+        logger.error('Failed to get usage:', error);
+        res.status(500).json({ error: 'Failed to get usage' });
+      }
+    });
+
+    this.app.get('/api/usage/top', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 500);
+        const sortBy = ['providerCost', 'totalTokens', 'sats', 'requests'].includes(req.query.sortBy)
+          ? req.query.sortBy
+          : 'providerCost';
+        res.json(await this.bot.db.getTopSpenders({ limit, sortBy }));
+      } catch (error) {
+        logger.error('Failed to get top spenders:', error);
+        res.status(500).json({ error: 'Failed to get top spenders' });
+      }
+    });
+
+    this.app.get('/api/usage/:pubkey', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const usage = await this.bot.db.getUserUsage(req.params.pubkey);
+        if (!usage) {
+          return res.status(404).json({ error: 'No usage recorded for this pubkey' });
+        }
+        res.json(usage);
+      } catch (error) {
+        logger.error('Failed to get user usage:', error);
+        res.status(500).json({ error: 'Failed to get user usage' });
+      }
+    });
+
+    this.app.get('/api/usage/:pubkey/:sessionId', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const { pubkey, sessionId } = req.params;
+        const usage = await this.bot.db.getSessionUsage(pubkey, sessionId);
+        if (!usage) {
+          return res.status(404).json({ error: 'No usage recorded for this session' });
+        }
+        res.json({ pubkey, sessionId, ...usage });
+      } catch (error) {
+        logger.error('Failed to get session usage:', error);
+        res.status(500).json({ error: 'Failed to get session usage' });
+      }
+    });
+
     // Zap endpoints
     this.app.get('/api/zaps', this.requireAuth.bind(this), async (req, res) => {
       try {
@@ -181,6 +290,30 @@ export class WebServer {
       }
     });
 
+    this.app.get('/api/zaps/quarantine', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 100;
+        const records = await this.bot.zapDb.getQuarantinedZaps(limit);
+        res.json(records);
+      } catch (error) {
+        logger.error('Failed to get quarantined zaps:', error);
+        res.status(500).json({ error: 'Failed to get quarantined zaps' });
+      }
+    });
+
+    this.app.post('/api/zaps/quarantine/:receiptId/retry', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const result = await this.bot.retryQuarantinedZap(req.params.receiptId);
+        if (!result) {
+          return res.status(404).json({ error: 'Quarantined zap receipt not found' });
+        }
+        res.json(result);
+      } catch (error) {
+        logger.error('Failed to retry quarantined zap:', error);
+        res.status(500).json({ error: 'Failed to retry quarantined zap' });
+      }
+    });
+
     this.app.get('/api/zaps/:pubkey', this.requireAuth.bind(this), async (req, res) => {
       try {
         const { pubkey } = req.params;
@@ -204,6 +337,54 @@ export class WebServer {
       }
     });
 
+    this.app.post('/api/balance/:pubkey/adjust', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const { pubkey } = req.params;
+        const amount = Number(req.body?.amount);
+        const memo = req.body?.memo || null;
+
+        if (!Number.isInteger(amount) || amount === 0) {
+          return res.status(400).json({ error: 'amount must be a non-zero integer' });
+        }
+
+        const balance = await this.bot.zapDb.adjustBalance(pubkey, amount, {
+          reference: { type: 'admin' },
+          memo,
+        });
+        if (balance === false) {
+          return res.status(400).json({ error: 'Adjustment would make the balance negative' });
+        }
+
+        res.json({ pubkey, balance });
+      } catch (error) {
+        logger.error('Failed to adjust balance:', error);
+        res.status(500).json({ error: 'Failed to adjust balance' });
+      }
+    });
+
+    // Ledger endpoint (?from=&to= accept ms timestamps or ISO dates)
+    this.app.get('/api/ledger/:pubkey', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const { pubkey } = req.params;
+        const parseTime = (value) => {
+          if (value === undefined) return undefined;
+          const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+          return Number.isNaN(time) ? undefined : time;
+        };
+        const limit = parseInt(req.query.limit) || 1000;
+        const entries = await this.bot.zapDb.getLedger(pubkey, {
+          from: parseTime(req.query.from),
+          to: parseTime(req.query.to),
+          limit,
+        });
+        const balance = await this.bot.zapDb.getBalance(pubkey);
+        res.json({ pubkey, balance, entries });
+      } catch (error) {
+        logger.error('Failed to get ledger:', error);
+        res.status(500).json({ error: 'Failed to get ledger' });
+      }
+    });
+
     this.app.get('/api/balances', this.requireAuth.bind(this), async (req, res) => {
       try {
         const balances = await this.bot.zapDb.getAllBalances();
@@ -214,16 +395,121 @@ export class WebServer {
       }
     });
 
+    // Pricing admin (changes apply immediately and persist across restarts)
+    const pricingError = (res, error, action) => {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Failed to ${action}:`, error);
+      res.status(500).json({ error: `Failed to ${action}` });
+    };
+    const parseTime = (value) => (typeof value === 'string' && !/^\d+$/.test(value) ? Date.parse(value) : Number(value));
+
+    this.app.get('/api/pricing', this.requireAuth.bind(this), (req, res) => {
+      res.json(this.bot.pricing.getSettings());
+    });
+
+    this.app.put('/api/pricing', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.json(await this.bot.pricing.updateSettings(req.body));
+      } catch (error) {
+        pricingError(res, error, 'update pricing');
+      }
+    });
+
+    this.app.delete('/api/pricing', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.json(await this.bot.pricing.resetSettings());
+      } catch (error) {
+        pricingError(res, error, 'reset pricing');
+      }
+    });
+
+    this.app.get('/api/pricing/quote/:pubkey', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const kind = parseInt(req.query.kind) || 4;
+        // Domain discounts follow the user's cached profile, as for their messages
+        const profile = await this.bot.userProfiles?.get(req.params.pubkey);
+        res.json(await this.bot.pricing.quote(req.params.pubkey, kind, {
+          nip05: profile?.nip05,
+          nip05Verified: profile?.nip05Verified === true,
+        }));
+      } catch (error) {
+        pricingError(res, error, 'get quote');
+      }
+    });
+
+    this.app.put('/api/pricing/overrides/:pubkey', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const { discountPercent, note } = req.body || {};
+        res.json(await this.bot.pricing.setOverride(req.params.pubkey, { discountPercent: Number(discountPercent), note }));
+      } catch (error) {
+        pricingError(res, error, 'set pricing override');
+      }
+    });
+
+    this.app.delete('/api/pricing/overrides/:pubkey', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.json(await this.bot.pricing.removeOverride(req.params.pubkey));
+      } catch (error) {
+        pricingError(res, error, 'remove pricing override');
+      }
+    });
+
+    this.app.put('/api/pricing/nip05/:domain', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const { discountPercent, note } = req.body || {};
+        res.json(await this.bot.pricing.setNip05Domain(req.params.domain, { discountPercent: Number(discountPercent), note }));
+      } catch (error) {
+        pricingError(res, error, 'set NIP-05 discount');
+      }
+    });
+
+    this.app.delete('/api/pricing/nip05/:domain', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.json(await this.bot.pricing.removeNip05Domain(req.params.domain));
+      } catch (error) {
+        pricingError(res, error, 'remove NIP-05 discount');
+      }
+    });
+
+    // startsAt/endsAt accept ms timestamps or ISO dates
+    this.app.post('/api/pricing/promotions', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        const { id, name, discountPercent, startsAt, endsAt, kinds } = req.body || {};
+        const promotion = await this.bot.pricing.addPromotion({
+          id,
+          name: name || null,
+          discountPercent: Number(discountPercent),
+          startsAt: parseTime(startsAt),
+          endsAt: parseTime(endsAt),
+          kinds: Array.isArray(kinds) ? kinds.map(Number) : undefined,
+        });
+        res.status(201).json(promotion);
+      } catch (error) {
+        pricingError(res, error, 'add promotion');
+      }
+    });
+
+    this.app.delete('/api/pricing/promotions/:id', this.requireAuth.bind(this), async (req, res) => {
+      try {
+        res.json(await this.bot.pricing.removePromotion(req.params.id));
+      } catch (error) {
+        pricingError(res, error, 'remove promotion');
+      }
+    });
+
     // Health check with detailed status
     this.app.get('/health', (req, res) => {
       const stats = this.bot.getStats();
       const isHealthy = stats.queue?.queueSize < 9000 && // Queue not near full
-                       stats.gemini?.circuitBreaker?.state !== 'OPEN'; // Circuit not open
+                       stats.llm?.available !== false; // Some model's circuit is not open
       
       res.status(isHealthy ? 200 : 503).json({ 
         status: isHealthy ? 'ok' : 'degraded',
         queueSize: stats.queue?.queueSize || 0,
-        circuitBreaker: stats.gemini?.circuitBreaker?.state || 'UNKNOWN',
+        provider: stats.llm?.provider || 'unknown',
+        circuitBreaker: stats.llm?.circuitBreaker?.state || 'UNKNOWN',
       });
     });
 
@@ -2,6 +2,29 @@ import { open } from 'lmdb';
 import { logger } from './logger.js';
 import { mkdirSync } from 'fs';
 import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+
+// Double-entry ledger accounts. A user's balance is what we owe them:
+// zaps fund it, usage draws it down into revenue, refunds give revenue back.
+const ACCOUNTS = {
+  zaps: 'external:zaps',
+  revenue: 'revenue:usage',
+  adjustments: 'equity:adjustments',
+};
+
+// Contra account for each ledger entry type
+const CONTRA_ACCOUNT = {
+  credit: ACCOUNTS.zaps,
+  debit: ACCOUNTS.revenue,
+  refund: ACCOUNTS.revenue,
+  adjustment: ACCOUNTS.adjustments,
+};
+
+const MAX_TIMESTAMP = 999999999999999;
+
+function ledgerTimestamp(ms) {
+  return String(Math.max(0, Math.min(ms, MAX_TIMESTAMP))).padStart(15, '0');
+}
 
 /**
  * Database for managing Zap payments and user balances
@@ -32,34 +55,62 @@ export class ZapDatabase {
   }
 
   /**
-   * Save a received zap
+   * Save a received zap and credit the sender, exactly once per receipt.
+   * The receipt id is the idempotency key: a receipt that was already credited
+   * (delivered by another relay, or again after a restart) leaves the balance untouched.
    * @param {object} zapData - Zap information
    * @param {string} zapData.sender - Sender's public key
    * @param {number} zapData.amount - Amount in satoshis
    * @param {string} zapData.zapRequest - Zap request event ID
    * @param {string} zapData.zapReceipt - Zap receipt event ID
    * @param {string} zapData.bolt11 - Lightning invoice
+   * @returns {Promise<{zapId: string, duplicate: boolean, balance: number}|false>}
    */
   async saveZap(zapData) {
     try {
-      const timestamp = Date.now();
-      const zapId = `zap:${zapData.sender}:${timestamp}`;
-      
-      await this.db.put(zapId, {
-        sender: zapData.sender,
-        amount: zapData.amount,
-        timestamp,
-        zapRequest: zapData.zapRequest || null,
-        zapReceipt: zapData.zapReceipt || null,
-        bolt11: zapData.bolt11 || null,
-        description: zapData.description || null,
-      });
+      if (!zapData.zapReceipt) {
+        throw new Error('Zap receipt id is required');
+      }
+
+      const receiptKey = `zapreceipt:${zapData.zapReceipt}`;
+      const balanceKey = `balance:${zapData.sender}`;
 
-      // Update user balance
-      await this.addToBalance(zapData.sender, zapData.amount);
+      const result = await this.db.transaction(() => {
+        const existing = this.db.get(receiptKey);
+        if (existing) {
+          return { zapId: existing.zapId, duplicate: true, balance: this.db.get(balanceKey)?.balance || 0 };
+        }
 
-      logger.info(`Zap saved: ${zapData.amount} sats from ${zapData.sender.substring(0, 8)}...`);
-      return zapId;
+        const timestamp = Date.now();
+        // One record per receipt: unique even for zaps in the same millisecond
+        const zapId = `zap:${zapData.sender}:${zapData.zapReceipt}`;
+        const record = {
+          sender: zapData.sender,
+          amount: zapData.amount,
+          timestamp,
+          zapRequest: zapData.zapRequest || null,
+          zapReceipt: zapData.zapReceipt,
+          bolt11: zapData.bolt11 || null,
+          description: zapData.description || null,
+        };
+
+        this.db.put(zapId, record);
+        this.db.put(receiptKey, { zapId, sender: zapData.sender, amount: zapData.amount, timestamp });
+        const entry = this._postEntry(zapData.sender, zapData.amount, {
+          type: 'credit',
+          reference: { type: 'zap', id: zapData.zapReceipt, zapId },
+          memo: 'Zap received',
+        });
+
+        return { zapId, duplicate: false, balance: entry.balanceAfter };
+      });
+
+      if (result.duplicate) {
+        logger.info(`Zap receipt ${zapData.zapReceipt.substring(0, 8)}... already credited (${result.zapId}), skipping`);
+      } else {
+        logger.info(`Zap saved: ${zapData.amount} sats from ${zapData.sender.substring(0, 8)}..., new balance: ${result.balance} sats`);
+      }
+      return result;
     } catch (error) {
       logger.error('Failed to save zap:', error);
       return false;
@@ -67,29 +118,232 @@ export class ZapDatabase {
   }
 
   /**
-   * Add amount to user's balance
+   * Find zap records that credited the same receipt more than once and reverse the extra credits.
+   * Also backfills the receipt index for legacy records so they cannot be credited again.
+   * @param {object} options
+   * @param {boolean} options.apply - Write changes (default: dry run)
    */
-  async addToBalance(pubkey, amount) {
-    try {
+  async reconcileDuplicateZaps({ apply = false } = {}) {
+    const byReceipt = new Map(); // receiptId -> [{ key, value }]
+
+    for (const { key, value } of this.db.getRange({ start: 'zap:', end: 'zap:\xFF' })) {
+      if (!value?.zapReceipt) continue;
+      if (!byReceipt.has(value.zapReceipt)) byReceipt.set(value.zapReceipt, []);
+      byReceipt.get(value.zapReceipt).push({ key, value });
+    }
+
+    const report = {
+      receiptsScanned: byReceipt.size,
+      duplicateReceipts: 0,
+      duplicateRecords: 0,
+      satsReversed: 0,
+      satsUncollectable: 0,
+      indexBackfilled: 0,
+      users: {},
+    };
+
+    const duplicatesBySender = new Map(); // pubkey -> [{ receiptId, keptKey, dup }]
+
+    for (const [receiptId, records] of byReceipt) {
+      records.sort((a, b) => a.value.timestamp - b.value.timestamp);
+      const [kept, ...duplicates] = records;
+
+      if (!this.db.get(`zapreceipt:${receiptId}`)) {
+        report.indexBackfilled++;
+        if (apply) {
+          await this.db.put(`zapreceipt:${receiptId}`, {
+            zapId: kept.key,
+            sender: kept.value.sender,
+            amount: kept.value.amount,
+            timestamp: kept.value.timestamp,
+          });
+        }
+      }
+
+      if (duplicates.length === 0) continue;
+
+      report.duplicateReceipts++;
+      for (const dup of duplicates) {
+        report.duplicateRecords++;
+        const sender = dup.value.sender;
+        if (!duplicatesBySender.has(sender)) duplicatesBySender.set(sender, []);
+        duplicatesBySender.get(sender).push({ receiptId, keptKey: kept.key, dup });
+      }
+    }
+
+    for (const [pubkey, dups] of duplicatesBySender) {
       const balanceKey = `balance:${pubkey}`;
-      const currentBalance = await this.db.get(balanceKey) || { balance: 0, lastUpdated: 0 };
-      
-      const newBalance = {
-        pubkey,
-        balance: (currentBalance.balance || 0) + amount,
-        lastUpdated: Date.now(),
+      const amount = dups.reduce((sum, { dup }) => sum + dup.value.amount, 0);
+
+      // Removing the duplicates and reversing their credit happen in one transaction, so a
+      // crash cannot leave the records gone (and a re-run blind to them) with the credit kept
+      const reverse = () => {
+        if (apply) {
+          for (const { receiptId, keptKey, dup } of dups) {
+            // Keep an audit copy, remove it from the user's zap history
+            this.db.put(`zapdup:${receiptId}:${dup.value.timestamp}`, {
+              ...dup.value,
+              originalKey: dup.key,
+              duplicateOf: keptKey,
+              reversedAt: Date.now(),
+            });
+            this.db.remove(dup.key);
+          }
+        }
+
+        const current = this.db.get(balanceKey)?.balance || 0;
+        const next = Math.max(0, current - amount); // Credit already spent cannot be clawed back
+        if (apply && next !== current) {
+          this._postEntry(pubkey, next - current, {
+            type: 'adjustment',
+            reference: { type: 'reconciliation' },
+            memo: 'Reversal of duplicate zap credits',
+          });
+        }
+        return { before: current, after: next };
       };
+      const { before, after } = apply ? await this.db.transaction(reverse) : reverse();
+
+      const reversed = before - after;
+      report.satsReversed += reversed;
+      report.satsUncollectable += amount - reversed;
+      report.users[pubkey] = { duplicateCredit: amount, balanceBefore: before, balanceAfter: after };
+    }
+
+    logger.info(`Zap reconciliation${apply ? '' : ' (dry run)'}: ${report.duplicateRecords} duplicate credits across ${report.duplicateReceipts} receipts, ${report.satsReversed} sats reversed`);
+    return report;
+  }
 
-      await this.db.put(balanceKey, newBalance);
+  /**
+   * Post a ledger entry and update the balance. Must run inside a transaction.
+   * Returns the entry, or null if it would take the balance below zero.
+   */
+  _postEntry(pubkey, delta, { type, reference = null, memo = null, allowNegative = false }) {
+    const balanceKey = `balance:${pubkey}`;
+    const balanceBefore = this.db.get(balanceKey)?.balance || 0;
+    const balanceAfter = balanceBefore + delta;
+
+    if (balanceAfter < 0 && !allowNegative) {
+      return null;
+    }
+
+    const timestamp = Date.now();
+    const id = `${timestamp}-${randomUUID().slice(0, 8)}`;
+    const userAccount = `user:${pubkey}`;
+    const contraAccount = CONTRA_ACCOUNT[type];
+    if (!contraAccount) {
+      throw new Error(`Unknown ledger entry type: ${type}`);
+    }
+
+    const entry = {
+      id,
+      pubkey,
+      type,
+      amount: Math.abs(delta),
+      debitAccount: delta >= 0 ? contraAccount : userAccount,
+      creditAccount: delta >= 0 ? userAccount : contraAccount,
+      balanceBefore,
+      balanceAfter,
+      reference,
+      memo,
+      timestamp,
+    };
+
+    this.db.put(balanceKey, { pubkey, balance: balanceAfter, lastUpdated: timestamp });
+    this.db.put(`ledger:${pubkey}:${ledgerTimestamp(timestamp)}:${id}`, entry);
+
+    return entry;
+  }
+
+  /**
+   * Atomically apply a balance change and record it in the ledger.
+   * @returns {Promise<object|null>} The ledger entry, or null if funds are insufficient
+   */
+  async recordTransaction(pubkey, delta, options) {
+    return this.db.transaction(() => this._postEntry(pubkey, delta, options));
+  }
+
+  /**
+   * Add amount to user's balance
+   * @param {object} [options]
+   * @param {object} [options.reference] - Related zap/message, e.g. { type: 'zap', id }
+   * @param {string} [options.memo]
+   */
+  async addToBalance(pubkey, amount, { reference = null, memo = null } = {}) {
+    try {
+      const entry = await this.recordTransaction(pubkey, amount, { type: 'credit', reference, memo });
       
-      logger.info(`Balance updated for ${pubkey.substring(0, 8)}...: ${newBalance.balance} sats`);
-      return newBalance.balance;
+      logger.info(`Balance updated for ${pubkey.substring(0, 8)}...: ${entry.balanceAfter} sats`);
+      return entry.balanceAfter;
     } catch (error) {
       logger.error('Failed to update balance:', error);
       return null;
     }
   }
 
+  /**
+   * Give back sats previously deducted for a request
+   */
+  async refundToBalance(pubkey, amount, { reference = null, memo = null } = {}) {
+    try {
+      const entry = await this.recordTransaction(pubkey, amount, { type: 'refund', reference, memo });
+
+      logger.info(`Balance refunded for ${pubkey.substring(0, 8)}...: +${amount} sats, new balance: ${entry.balanceAfter} sats`);
+      return entry.balanceAfter;
+    } catch (error) {
+      logger.error('Failed to refund balance:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Admin balance adjustment (positive or negative)
+   * @returns {Promise<number|false>} New balance, or false if it would go below zero
+   */
+  async adjustBalance(pubkey, delta, { reference = null, memo = null } = {}) {
+    try {
+      const entry = await this.recordTransaction(pubkey, delta, { type: 'adjustment', reference, memo });
+      if (!entry) {
+        logger.warn(`Adjustment of ${delta} sats would take ${pubkey.substring(0, 8)}... below zero`);
+        return false;
+      }
+
+      logger.info(`Balance adjusted for ${pubkey.substring(0, 8)}...: ${delta > 0 ? '+' : ''}${delta} sats, new balance: ${entry.balanceAfter} sats`);
+      return entry.balanceAfter;
+    } catch (error) {
+      logger.error('Failed to adjust balance:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get ledger entries for a user, oldest first
+   * @param {string} pubkey
+   * @param {object} [options]
+   * @param {number} [options.from] - Start time (ms, inclusive)
+   * @param {number} [options.to] - End time (ms, inclusive)
+   * @param {number} [options.limit]
+   */
+  async getLedger(pubkey, { from = 0, to = MAX_TIMESTAMP, limit = 1000 } = {}) {
+    try {
+      const entries = [];
+      const prefix = `ledger:${pubkey}:`;
+
+      for (const { value } of this.db.getRange({
+        start: `${prefix}${ledgerTimestamp(from)}`,
+        end: `${prefix}${ledgerTimestamp(to)}:\xFF`,
+        limit,
+      })) {
+        entries.push(value);
+      }
+
+      return entries;
+    } catch (error) {
+      logger.error('Failed to get ledger:', error);
+      return [];
+    }
+  }
+
   /**
    * Get user's balance
    */
@@ -110,23 +364,32 @@ export class ZapDatabase {
   }
 
   /**
-   * Get all zaps for a user
+   * When a user's balance first changed: their oldest ledger entry, or for a balance from
+   * before the ledger, its last update. Null for a pubkey never credited or charged.
+   */
+  async getFirstActivity(pubkey) {
+    const [first] = await this.getLedger(pubkey, { limit: 1 });
+    if (first) return first.timestamp;
+
+    const balanceData = await this.db.get(`balance:${pubkey}`);
+    return balanceData?.lastUpdated ?? null;
+  }
+
+  /**
+   * Get all zaps for a user, most recent first
    */
   async getUserZaps(pubkey, limit = 50) {
     try {
       const zaps = [];
       const prefix = `zap:${pubkey}:`;
 
-      for (const { key, value } of this.db.getRange({
-        start: prefix,
-        end: `${prefix}\xFF`,
-        limit,
-        reverse: true,
-      })) {
+      // Keyed by receipt id (older records by timestamp), so order by the stored time
+      for (const { value } of this.db.getRange({ start: prefix, end: `${prefix}\xFF` })) {
         zaps.push(value);
       }
 
-      return zaps;
+      zaps.sort((a, b) => b.timestamp - a.timestamp);
+      return zaps.slice(0, limit);
     } catch (error) {
       logger.error('Failed to get user zaps:', error);
       return [];
@@ -134,22 +397,18 @@ export class ZapDatabase {
   }
 
   /**
-   * Get all zaps (for admin/stats)
+   * Get all zaps (for admin/stats), most recent first
    */
   async getAllZaps(limit = 100) {
     try {
       const zaps = [];
 
-      for (const { key, value } of this.db.getRange({
-        start: 'zap:',
-        end: 'zap:\xFF',
-        limit,
-        reverse: true,
-      })) {
+      for (const { value } of this.db.getRange({ start: 'zap:', end: 'zap:\xFF' })) {
         zaps.push(value);
       }
 
-      return zaps;
+      zaps.sort((a, b) => b.timestamp - a.timestamp);
+      return zaps.slice(0, limit);
     } catch (error) {
       logger.error('Failed to get all zaps:', error);
       return [];
@@ -179,33 +438,99 @@ export class ZapDatabase {
 
   /**
    * Deduct amount from user's balance
+   * @param {object} [options]
+   * @param {object} [options.reference] - Related message, e.g. { type: 'message', id: eventId }
+   * @param {string} [options.memo]
    */
-  async deductFromBalance(pubkey, amount) {
+  async deductFromBalance(pubkey, amount, { reference = null, memo = null } = {}) {
     try {
-      const balanceKey = `balance:${pubkey}`;
-      const currentBalance = await this.db.get(balanceKey) || { balance: 0 };
+      const entry = await this.recordTransaction(pubkey, -amount, { type: 'debit', reference, memo });
       
-      if (currentBalance.balance < amount) {
+      if (!entry) {
         logger.warn(`Insufficient balance for ${pubkey.substring(0, 8)}...`);
         return false;
       }
-
-      const newBalance = {
-        pubkey,
-        balance: currentBalance.balance - amount,
-        lastUpdated: Date.now(),
-      };
-
-      await this.db.put(balanceKey, newBalance);
       
-      logger.info(`Balance deducted for ${pubkey.substring(0, 8)}...: -${amount} sats, new balance: ${newBalance.balance} sats`);
-      return newBalance.balance;
+      logger.info(`Balance deducted for ${pubkey.substring(0, 8)}...: -${amount} sats, new balance: ${entry.balanceAfter} sats`);
+      return entry.balanceAfter;
     } catch (error) {
       logger.error('Failed to deduct from balance:', error);
       return false;
     }
   }
 
+  /**
+   * Store a rejected zap receipt for review (never credits balance)
+   * @param {object} record
+   * @param {object} record.receipt - The kind 9735 receipt event
+   * @param {string} record.reason - Why validation failed
+   * @param {string} record.relayUrl - Relay the receipt arrived from
+   */
+  async quarantineZap(record) {
+    try {
+      const key = `quarantine:${record.receipt.id}`;
+      const existing = await this.db.get(key);
+
+      await this.db.put(key, {
+        receiptId: record.receipt.id,
+        signer: record.receipt.pubkey,
+        reason: record.reason,
+        relayUrl: record.relayUrl || null,
+        receipt: record.receipt,
+        firstSeen: existing?.firstSeen || Date.now(),
+        lastSeen: Date.now(),
+        seenCount: (existing?.seenCount || 0) + 1,
+      });
+
+      logger.warn(`Zap receipt ${record.receipt.id.substring(0, 8)}... quarantined: ${record.reason}`);
+      return key;
+    } catch (error) {
+      logger.error('Failed to quarantine zap receipt:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get quarantined zap receipts, most recent first
+   */
+  async getQuarantinedZaps(limit = 100) {
+    try {
+      const records = [];
+
+      for (const { value } of this.db.getRange({
+        start: 'quarantine:',
+        end: 'quarantine:\xFF',
+      })) {
+        records.push(value);
+      }
+
+      records.sort((a, b) => b.lastSeen - a.lastSeen);
+      return records.slice(0, limit);
+    } catch (error) {
+      logger.error('Failed to get quarantined zaps:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get one quarantined zap receipt, or null
+   */
+  async getQuarantinedZap(receiptId) {
+    try {
+      return this.db.get(`quarantine:${receiptId}`) || null;
+    } catch (error) {
+      logger.error('Failed to get quarantined zap:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a quarantined zap receipt once it has been credited
+   */
+  async removeQuarantinedZap(receiptId) {
+    await this.db.remove(`quarantine:${receiptId}`);
+  }
+
   /**
    * Close the database
    */
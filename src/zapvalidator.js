@@ -0,0 +1,191 @@
+import { createHash } from 'crypto';
+import { verifyEvent, nip57 } from 'nostr-tools';
+import { decodeBolt11 } from './bolt11.js';
+import { logger } from './logger.js';
+
+/**
+ * NIP-57 zap receipt validator.
+ * A receipt is only trusted if it is signed by our LNURL provider's `nostrPubkey`,
+ * its bolt11 invoice commits to the embedded zap request, and the zap request is
+ * a valid signed kind 9734 event addressed to us.
+ *
+ * The provider key is kept in the store (meta `zapprovider:<lud16>`) so an LNURL outage after
+ * a restart does not reject genuine zaps; if it cannot be resolved at all, `validate` reports
+ * a transient failure instead of a rejection.
+ */
+export class ZapValidator {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.botPubkey]
+   * @param {string} [options.lud16] - Lightning address whose LNURL provider signs our receipts
+   * @param {string[]} [options.providerPubkeys] - Signers trusted without an LNURL lookup
+   * @param {object} [options.store] - Database with getMeta/setMeta, to keep the provider key
+   * @param {number} [options.fetchTimeoutMs]
+   * @param {number} [options.providerCacheTtlMs] - How long before the provider key is fetched again
+   */
+  constructor(options = {}) {
+    this.botPubkey = options.botPubkey || null;
+    this.lud16 = options.lud16 || null;
+    this.providerPubkeys = new Set((options.providerPubkeys || []).map(p => p.toLowerCase()));
+    this.store = options.store || null;
+    this.fetchTimeoutMs = options.fetchTimeoutMs || 5000;
+    this.providerCacheTtlMs = options.providerCacheTtlMs || 60 * 60 * 1000; // 1 hour
+
+    this.providerCache = null; // { pubkey, fetchedAt }
+  }
+
+  /**
+   * Resolve the LNURL provider's nostrPubkey (LUD-16 -> LUD-06 pay endpoint).
+   * @returns {Promise<string|null>} null when the provider does not support zaps
+   * @throws When the provider cannot be reached and no key was ever resolved
+   */
+  async getProviderPubkey() {
+    if (!this.lud16 || !this.lud16.includes('@')) {
+      return null;
+    }
+
+    if (!this.providerCache && this.store) {
+      const stored = await this.store.getMeta(`zapprovider:${this.lud16}`);
+      if (typeof stored?.pubkey === 'string') {
+        this.providerCache = stored;
+      }
+    }
+    if (this.providerCache && Date.now() - this.providerCache.fetchedAt < this.providerCacheTtlMs) {
+      return this.providerCache.pubkey;
+    }
+
+    const [name, domain] = this.lud16.split('@');
+    const url = `https://${domain}/.well-known/lnurlp/${encodeURIComponent(name)}`;
+
+    try {
+      const res = await fetch(url, { signal: AbortSignal.timeout(this.fetchTimeoutMs) });
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const body = await res.json();
+      if (!body.allowsNostr || typeof body.nostrPubkey !== 'string') {
+        logger.warn(`LNURL provider for ${this.lud16} does not support zaps (allowsNostr=${body.allowsNostr})`);
+        return null;
+      }
+
+      const pubkey = body.nostrPubkey.toLowerCase();
+      if (pubkey !== this.providerCache?.pubkey) {
+        logger.info(`Zap provider pubkey for ${this.lud16}: ${pubkey.substring(0, 8)}...`);
+      }
+      this.providerCache = { pubkey, fetchedAt: Date.now() };
+      await this.store?.setMeta(`zapprovider:${this.lud16}`, this.providerCache);
+      return pubkey;
+    } catch (error) {
+      logger.warn(`Failed to fetch LNURL provider info from ${url}: ${error.message}`);
+      // Keep using a stale provider key rather than rejecting every zap during an outage
+      if (this.providerCache) {
+        return this.providerCache.pubkey;
+      }
+      throw new Error(`LNURL provider for ${this.lud16} is unreachable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether the receipt was signed by a trusted zap provider.
+   */
+  async isTrustedSigner(pubkey) {
+    if (this.providerPubkeys.has(pubkey)) {
+      return true;
+    }
+    const providerPubkey = await this.getProviderPubkey();
+    return providerPubkey !== null && providerPubkey === pubkey;
+  }
+
+  /**
+   * Validate a kind 9735 zap receipt.
+   * `transient` marks a failure that may pass later (the provider key could not be resolved):
+   * such a receipt should be retried, not quarantined.
+   * @returns {Promise<{valid: true, sender: string, amount: number, amountMsats: number, zapRequest: object, bolt11: string} | {valid: false, reason: string, transient?: boolean}>}
+   */
+  async validate(receipt) {
+    const reject = (reason) => ({ valid: false, reason });
+    const tags = Array.isArray(receipt?.tags) ? receipt.tags : [];
+    const getTag = (name) => tags.find(t => Array.isArray(t) && t[0] === name)?.[1] || null;
+
+    if (receipt?.kind !== 9735 || !verifyEvent(receipt)) {
+      return reject('Receipt is not a validly signed kind 9735 event');
+    }
+
+    if (this.providerPubkeys.size === 0 && !this.lud16) {
+      return reject('No LNURL provider configured (set ZAP_LUD16 or ZAP_PROVIDER_PUBKEYS)');
+    }
+    let trusted;
+    try {
+      trusted = await this.isTrustedSigner(receipt.pubkey);
+    } catch (error) {
+      return { valid: false, reason: error.message, transient: true };
+    }
+    if (!trusted) {
+      return reject(`Receipt signer ${receipt.pubkey.substring(0, 8)}... is not our LNURL provider`);
+    }
+
+    if (this.botPubkey && getTag('p') !== this.botPubkey) {
+      return reject('Receipt p tag does not match bot pubkey');
+    }
+
+    const description = getTag('description');
+    if (!description) {
+      return reject('Receipt has no description tag');
+    }
+
+    const zapRequestError = nip57.validateZapRequest(description);
+    if (zapRequestError) {
+      return reject(`Invalid zap request: ${zapRequestError}`);
+    }
+    const zapRequest = JSON.parse(description);
+
+    if (zapRequest.kind !== 9734) {
+      return reject('Embedded zap request is not kind 9734');
+    }
+
+    const requestRecipient = zapRequest.tags.find(t => t[0] === 'p')?.[1];
+    if (this.botPubkey && requestRecipient !== this.botPubkey) {
+      return reject('Zap request p tag does not match bot pubkey');
+    }
+
+    const bolt11 = getTag('bolt11');
+    let invoice;
+    try {
+      invoice = decodeBolt11(bolt11);
+    } catch (error) {
+      return reject(`Invalid bolt11 invoice: ${error.message}`);
+    }
+
+    const descriptionHash = createHash('sha256').update(description, 'utf8').digest('hex');
+    if (invoice.descriptionHash !== descriptionHash) {
+      return reject('bolt11 description hash does not match the zap request');
+    }
+
+    if (invoice.amountMsats === null) {
+      return reject('bolt11 invoice has no amount');
+    }
+
+    // The amount the sender signed must be what the invoice charged
+    const requestAmount = zapRequest.tags.find(t => t[0] === 'amount')?.[1];
+    if (requestAmount === undefined) {
+      return reject('Zap request has no amount tag');
+    }
+    if (!/^\d+$/.test(requestAmount)) {
+      return reject('Zap request amount tag is not a number');
+    }
+    if (BigInt(requestAmount) !== invoice.amountMsats) {
+      return reject(`bolt11 amount ${invoice.amountMsats} msats does not match zap request amount ${requestAmount} msats`);
+    }
+
+    const amountMsats = Number(invoice.amountMsats);
+
+    return {
+      valid: true,
+      sender: zapRequest.pubkey,
+      amount: Math.floor(amountMsats / 1000),
+      amountMsats,
+      zapRequest,
+      bolt11,
+    };
+  }
+}
@@ -0,0 +1,422 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSecretKey, getPublicKey, nip13 } from 'nostr-tools';
+import { startBot } from './helpers/harness.js';
+import { buildZapReceipt } from './helpers/zaps.js';
+
+describe('NostrBot end to end', () => {
+  describe('direct messages', () => {
+    it('answers a DM with the model output and charges the sender', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply('Nostr is a protocol.');
+
+      await user.dm('What is nostr?');
+      const [answer] = await user.receiveDMs();
+
+      assert.equal(answer, 'Nostr is a protocol.');
+      assert.equal(llm.calls.length, 1);
+      assert.equal(llm.calls[0].message, 'What is nostr?');
+      // Routing context: a DM from a user left with 99 sats after the minimum charge
+      assert.deepEqual(llm.calls[0].options.routing, { isPublic: false, balance: 99, free: false });
+      assert.ok(await bot.zapDb.getBalance(user.pubkey) < 100);
+
+      // The answer's tokens, charge and provider cost are totalled for the user
+      let usage;
+      await waitUntil(async () => (usage = await bot.db.getUserUsage(user.pubkey)));
+      assert.equal(usage.requests, 1);
+      assert.equal(usage.totalTokens, 150);
+      assert.equal(usage.sats, 100 - await bot.zapDb.getBalance(user.pubkey));
+      assert.ok(usage.providerCost > 0);
+    });
+
+    it('asks for a zap instead of answering when the balance is too low', async (t) => {
+      const { llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await user.dm('Tell me a joke');
+      const [answer] = await user.receiveDMs();
+
+      assert.match(answer, /Insufficient balance/);
+      assert.equal(llm.calls.length, 0);
+    });
+
+    it('refunds the charge when the model falls back', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply({ text: 'I am busy right now.', outcome: 'fallback' });
+
+      await user.dm('Are you there?');
+      const [answer] = await user.receiveDMs();
+
+      assert.match(answer, /^I am busy right now\./);
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 100);
+    });
+
+    it('gives the free request back when the model falls back', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot();
+      t.after(stop);
+      await bot.pricing.updateSettings({ freeTier: { dailyAllowance: 1, newUserDays: 7 } });
+
+      const user = newUser();
+      llm.reply({ text: 'I am busy right now.', outcome: 'fallback' });
+      await user.dm('Are you there?');
+      await user.receiveDMs();
+
+      assert.equal((await bot.pricing.quote(user.pubkey, 4)).freeRemaining, 1);
+      await user.dm('And now?');
+      const answers = await user.receiveDMs({ count: 2 });
+      assert.equal(answers[1], 'echo: And now?');
+      assert.equal((await bot.pricing.quote(user.pubkey, 4)).freeRemaining, 0);
+    });
+  });
+
+  describe('streaming', () => {
+    const paragraphs = ['Part one of a long answer.', 'Part two goes on.', 'And a short end.'];
+
+    it('sends a long DM answer in parts and stores exactly what was sent', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot({ streamDmChunkChars: 20 });
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply({ chunks: paragraphs.map((text, i) => i < paragraphs.length - 1 ? `${text}\n\n` : text) });
+
+      await user.dm('Tell me a long story');
+      const answers = await user.receiveDMs({ count: 3 });
+
+      assert.deepEqual(new Set(answers), new Set(paragraphs));
+      let saved;
+      await waitUntil(async () => {
+        [saved] = (await bot.db.getConversation(user.pubkey)).filter(message => message.isFromBot);
+        return saved;
+      });
+      assert.equal(saved.message, paragraphs.join('\n\n'));
+    });
+
+    it('refunds and says so when the stream breaks off after some parts', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot({ streamDmChunkChars: 20 });
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply({ chunks: [`${paragraphs[0]}\n\n`, 'Part two'], text: 'I am busy right now.', outcome: 'fallback' });
+
+      await user.dm('Tell me a long story');
+      const answers = await user.receiveDMs({ count: 2 });
+
+      assert.ok(answers.includes(paragraphs[0]));
+      assert.ok(answers.some(answer => /could not be generated/.test(answer)));
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 100);
+    });
+  });
+
+  describe('progress notices', () => {
+    it('tells a DM sender the answer is coming only when enabled, and never publicly', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot({ dmProgressNotice: true });
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      const release = llm.hold();
+
+      const dm = await user.dm('Take your time');
+      assert.deepEqual(await user.receiveDMs(), ['⏳ Thinking…']);
+
+      release();
+      assert.deepEqual(await user.receiveDMs({ count: 2 }), ['⏳ Thinking…', 'echo: Take your time']);
+      assert.equal(relay.find({ kinds: [7000], authors: [bot.pubkey], '#e': [dm.id] }).length, 0);
+    });
+  });
+
+  describe('user memory', () => {
+    it('manages memory with DM commands and gives it to the model in later DMs', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+
+      await user.dm('/remember I run a Lightning node');
+      await user.receiveDMs();
+      await user.dm('/memory');
+      const answers = await user.receiveDMs({ count: 2 });
+      assert.ok(answers.some(answer => /I will remember: I run a Lightning node/.test(answer)));
+      assert.ok(answers.some(answer => /1\. I run a Lightning node/.test(answer)));
+      assert.equal(llm.calls.length, 0);
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 100);
+
+      await user.dm('How do I open a channel?');
+      await user.receiveDMs({ count: 3 });
+      assert.deepEqual(llm.calls[0].userContext.memory, { facts: ['I run a Lightning node'], preferences: [] });
+    });
+  });
+
+  describe('mentions', () => {
+    it('replies to a mention in the same thread', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply('Hello from the bot');
+
+      const mention = user.mention('@ZapAI say hello');
+      const [reply] = await relay.waitFor({ kinds: [1], authors: [bot.pubkey], '#e': [mention.id] });
+
+      assert.equal(reply.content, 'Hello from the bot');
+      assert.deepEqual(reply.tags.find(tag => tag[3] === 'reply'), ['e', mention.id, '', 'reply']);
+      assert.ok(reply.tags.some(tag => tag[0] === 'p' && tag[1] === user.pubkey));
+
+      // Kind 7000 job feedback is for DVM jobs only
+      assert.equal(relay.find({ kinds: [7000], authors: [bot.pubkey], '#e': [mention.id] }).length, 0);
+    });
+
+    it('gives the model the author\'s profile', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot({ userMetadataFastTimeoutMs: 2000 });
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      relay.publish(user.sign({ kind: 0, content: JSON.stringify({ name: 'satoshi', about: 'hi' }), tags: [] }));
+
+      const mention = user.mention('@ZapAI who am I?');
+      await relay.waitFor({ kinds: [1], authors: [bot.pubkey], '#e': [mention.id] });
+
+      assert.equal(llm.calls[0].userContext.name, 'satoshi');
+      assert.equal(llm.calls[0].userContext.about, 'hi');
+      assert.equal((await bot.db.getMeta(`profile:${user.pubkey}`)).name, 'satoshi');
+    });
+
+    it('mines a reply again when the relay rejects it for PoW', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot({ powMaxDifficulty: 8 });
+      t.after(stop);
+
+      relay.rejectEvent = (event) => event.kind === 1 && nip13.getPow(event.id) < 8 ? 'pow: difficulty 8 is required' : null;
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply('Mined hello');
+
+      const mention = user.mention('@ZapAI say hello');
+      const [reply] = await relay.waitFor({ kinds: [1], authors: [bot.pubkey], '#e': [mention.id] }, { timeoutMs: 10000 });
+
+      assert.equal(reply.content, 'Mined hello');
+      assert.ok(nip13.getPow(reply.id) >= 8);
+    });
+  });
+
+  describe('DVM jobs', () => {
+    it('takes open job requests and leaves those for other providers alone', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply('A haiku about zaps');
+
+      const foreign = user.requestJob('Write a poem', { providers: [getPublicKey(generateSecretKey())] });
+      const open = user.requestJob('Write a haiku');
+      const [result] = await relay.waitFor({ kinds: [6050], authors: [bot.pubkey], '#e': [open.id] });
+
+      assert.equal(result.content, 'A haiku about zaps');
+      assert.deepEqual(llm.calls.map(call => call.message), ['Write a haiku']);
+      assert.equal(relay.find({ authors: [bot.pubkey], '#e': [foreign.id] }).length, 0);
+    });
+  });
+
+  describe('announcements', () => {
+    it('advertises the rate card prices and republishes them when they change', async (t) => {
+      const { bot, relay, stop } = await startBot();
+      t.after(stop);
+
+      const handlerPrice = (event) => JSON.parse(event.content).pricing['4'].amount;
+      const [first] = await relay.waitFor({ kinds: [31990], authors: [bot.pubkey] });
+      assert.equal(handlerPrice(first), 1);
+
+      await bot.pricing.updateSettings({ kindPrices: { 4: 3 } });
+      const handlers = await relay.waitFor({ kinds: [31990], authors: [bot.pubkey] }, { count: 2 });
+      assert.ok(handlers.some(event => handlerPrice(event) === 3));
+    });
+  });
+
+  describe('zap receipts', () => {
+    it('credits a valid zap once and announces the new balance', async (t) => {
+      const providerSk = generateSecretKey();
+      const { bot, relay, newUser, stop } = await startBot({ zapProviderPubkeys: [getPublicKey(providerSk)] });
+      t.after(stop);
+
+      const user = newUser();
+      const receipt = buildZapReceipt({ providerSk, senderSk: user.sk, botPubkey: bot.pubkey, amountSats: 21 });
+      relay.publish(receipt);
+
+      const [update] = await relay.waitFor({ kinds: [1006], authors: [bot.pubkey], '#p': [user.pubkey] });
+      assert.equal(JSON.parse(update.content).balance, 21);
+      assert.equal(relay.find({ kinds: [1], authors: [bot.pubkey], '#p': [user.pubkey] }).length, 1);
+
+      // The same receipt handled again must not credit twice
+      await bot.handleZapReceipt(receipt, relay.url);
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 21);
+    });
+
+    it('handles a receipt again on redelivery when saving it failed', async (t) => {
+      const providerSk = generateSecretKey();
+      const { bot, relay, newUser, stop } = await startBot({ zapProviderPubkeys: [getPublicKey(providerSk)] });
+      t.after(stop);
+
+      const user = newUser();
+      const receipt = buildZapReceipt({ providerSk, senderSk: user.sk, botPubkey: bot.pubkey, amountSats: 21 });
+      const saveZap = bot.zapDb.saveZap.bind(bot.zapDb);
+      bot.zapDb.saveZap = async () => false;
+      await bot.handleEvent(receipt, relay.url);
+
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 0);
+      assert.equal(await bot.seenEvents.has(receipt.id), false);
+
+      bot.zapDb.saveZap = saveZap;
+      await bot.handleEvent(receipt, relay.url);
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 21);
+      assert.equal(await bot.seenEvents.has(receipt.id), true);
+    });
+
+    it('quarantines a receipt whose invoice amount differs from the zap request', async (t) => {
+      const providerSk = generateSecretKey();
+      const { bot, relay, newUser, stop } = await startBot({ zapProviderPubkeys: [getPublicKey(providerSk)] });
+      t.after(stop);
+
+      const user = newUser();
+      const forged = buildZapReceipt({ providerSk, senderSk: user.sk, botPubkey: bot.pubkey, amountSats: 21, invoiceSats: 5000 });
+      await bot.handleZapReceipt(forged, relay.url);
+
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 0);
+      assert.equal(bot.getStats().zapsRejected, 1);
+      const [quarantined] = await bot.zapDb.getQuarantinedZaps();
+      assert.match(quarantined.reason, /does not match zap request amount/);
+    });
+
+    it('credits a quarantined receipt once it validates on retry', async (t) => {
+      const providerSk = generateSecretKey();
+      const { bot, relay, newUser, stop } = await startBot({ zapProviderPubkeys: [] });
+      t.after(stop);
+
+      const user = newUser();
+      const receipt = buildZapReceipt({ providerSk, senderSk: user.sk, botPubkey: bot.pubkey, amountSats: 21 });
+      await bot.handleZapReceipt(receipt, relay.url);
+      assert.equal((await bot.zapDb.getQuarantinedZaps()).length, 1);
+
+      // The operator configures the missing provider key, then releases the receipt
+      bot.zapValidator.providerPubkeys.add(getPublicKey(providerSk));
+      assert.deepEqual(await bot.retryQuarantinedZap(receipt.id), { credited: true, balance: 21 });
+
+      assert.equal(await bot.zapDb.getBalance(user.pubkey), 21);
+      assert.deepEqual(await bot.zapDb.getQuarantinedZaps(), []);
+      assert.equal(await bot.retryQuarantinedZap(receipt.id), null);
+    });
+  });
+
+  describe('balance requests', () => {
+    it('answers a kind 1006 request with the balance', async (t) => {
+      const { bot, relay, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 42);
+      user.requestBalance();
+
+      const [response] = await relay.waitFor({ kinds: [1006], authors: [bot.pubkey], '#p': [user.pubkey] });
+      assert.deepEqual(response.tags.find(tag => tag[0] === 'balance'), ['balance', '42']);
+    });
+
+    it('answers a balance question in a DM without asking the model', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 42);
+      await user.dm('what is my balance?');
+      const [answer] = await user.receiveDMs();
+
+      assert.match(answer, /42 sats/);
+      assert.equal(llm.calls.length, 0);
+    });
+  });
+
+  describe('load protection', () => {
+    it('tells a user who is over the rate limit to wait', async (t) => {
+      const { bot, llm, newUser, stop } = await startBot({ rateLimit: { maxTokens: 2, refillRate: 0.001 } });
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      for (const text of ['one', 'two', 'three']) {
+        await user.dm(text);
+      }
+      const answers = await user.receiveDMs({ count: 3 });
+
+      assert.equal(answers.filter(answer => /rate limit exceeded/i.test(answer)).length, 1);
+      assert.equal(llm.calls.length, 2);
+      assert.equal(bot.getStats().rateLimited, 1);
+    });
+
+    it('turns messages away when the queue is full', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot({ maxConcurrent: 1, maxQueueSize: 1 });
+      t.after(stop);
+
+      const [first, second, third] = [newUser(), newUser(), newUser()];
+      for (const user of [first, second, third]) {
+        await bot.zapDb.addToBalance(user.pubkey, 100);
+      }
+
+      const release = llm.hold();
+      await first.dm('first');
+      await waitUntil(() => llm.calls.length === 1);
+      await second.dm('second');
+      await waitUntil(() => bot.queue.getStats().queueSize === 1);
+      const dropped = await third.dm('third');
+
+      const [busy] = await third.receiveDMs();
+      assert.match(busy, /very busy/);
+      assert.equal(bot.getStats().messagesDropped, 1);
+
+      release();
+      assert.deepEqual(await first.receiveDMs(), ['echo: first']);
+      assert.deepEqual(await second.receiveDMs(), ['echo: second']);
+      assert.equal(llm.calls.length, 2);
+
+      // The turned-away DM is answered when a relay delivers it again
+      await bot.handleEvent(dropped, relay.url);
+      assert.deepEqual(await third.receiveDMs({ count: 2 }), [busy, 'echo: third']);
+    });
+
+    it('answers a message again after a failed attempt', async (t) => {
+      const { bot, relay, llm, newUser, stop } = await startBot();
+      t.after(stop);
+
+      const user = newUser();
+      await bot.zapDb.addToBalance(user.pubkey, 100);
+      llm.reply(() => { throw new Error('model exploded'); });
+
+      const dm = await user.dm('hello');
+      const [failed] = await user.receiveDMs();
+      assert.match(failed, /Please try again/);
+      await waitUntil(async () => !(await bot.seenEvents.has(dm.id)));
+
+      await bot.handleEvent(dm, relay.url);
+      assert.deepEqual(await user.receiveDMs({ count: 2 }), [failed, 'echo: hello']);
+    });
+  });
+});
+
+async function waitUntil(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Scripted stand-in for an LLMProvider.
+ *
+ * Answers come from a queue of scripted replies, then from the default reply (an echo of the
+ * message). A reply is a string, a result object (`{ text, outcome, usage }`) or a function
+ * (message, history) => either. A result with `chunks` is streamed to `options.onText` piece
+ * by piece; its text defaults to the joined chunks. Every call is recorded in `calls`. `hold()` makes the next
+ * calls wait until the returned release function is called, to keep the queue busy.
+ */
+export class FakeLLM {
+  constructor({ usage = { promptTokens: 100, outputTokens: 50 } } = {}) {
+    this.usage = usage;
+    this.script = [];
+    this.defaultReply = (message) => `echo: ${message}`;
+    this.calls = [];
+    this.gate = null;
+  }
+
+  /**
+   * Queue replies for the next calls, in order
+   */
+  reply(...replies) {
+    this.script.push(...replies);
+    return this;
+  }
+
+  /**
+   * Block answers until the returned function is called
+   */
+  hold() {
+    let release;
+    this.gate = new Promise(resolve => { release = resolve; });
+    return () => {
+      this.gate = null;
+      release();
+    };
+  }
+
+  async generate(message, conversationHistory = [], userContext = null, options = {}) {
+    this.calls.push({ message, conversationHistory, userContext, options });
+
+    const next = this.script.length > 0 ? this.script.shift() : this.defaultReply;
+    while (this.gate) {
+      await this.gate;
+    }
+
+    const reply = typeof next === 'function' ? await next(message, conversationHistory) : next;
+    const { chunks, ...result } = typeof reply === 'string' ? { text: reply, outcome: 'ok' } : { outcome: 'ok', ...reply };
+    if (chunks) {
+      let text = '';
+      for (const chunk of chunks) {
+        text += chunk;
+        await new Promise(resolve => setImmediate(resolve));
+        options.onText?.(text);
+      }
+      result.text ??= text;
+    }
+    if (result.outcome === 'ok' && !result.usage) {
+      result.usage = this._usage();
+    }
+    return result;
+  }
+
+  async complete(prompt, options = {}) {
+    return this.generate(prompt, [], null, options);
+  }
+
+  async generateResponse(message, conversationHistory = [], userContext = null, options = {}) {
+    const { text } = await this.generate(message, conversationHistory, userContext, options);
+    return text;
+  }
+
+  getStats() {
+    return { provider: 'fake', model: 'gemini-2.5-flash', requests: this.calls.length };
+  }
+
+  _usage() {
+    const { promptTokens, outputTokens } = this.usage;
+    return {
+      model: 'gemini-2.5-flash',
+      promptTokens,
+      outputTokens,
+      thoughtsTokens: 0,
+      totalTokens: promptTokens + outputTokens,
+      groundingQueries: 0,
+    };
+  }
+}
@@ -0,0 +1,129 @@
+import { WebSocket } from 'ws';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { NRelay1 } from '@nostrify/nostrify';
+import { finalizeEvent, generateSecretKey, getPublicKey, nip04 } from 'nostr-tools';
+import { NostrBot } from '../../src/bot.js';
+import { Database } from '../../src/database.js';
+import { ZapDatabase } from '../../src/zapdb.js';
+import { MockRelay } from './mockrelay.js';
+import { FakeLLM } from './fakellm.js';
+
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = WebSocket;
+}
+
+/**
+ * A Nostr user talking to the bot through the mock relay
+ */
+export class TestUser {
+  constructor(relay, botPubkey) {
+    this.relay = relay;
+    this.botPubkey = botPubkey;
+    this.sk = generateSecretKey();
+    this.pubkey = getPublicKey(this.sk);
+  }
+
+  sign(template) {
+    return finalizeEvent({ created_at: Math.floor(Date.now() / 1000), ...template }, this.sk);
+  }
+
+  /**
+   * Send a NIP-04 DM to the bot
+   */
+  async dm(text) {
+    const event = this.sign({
+      kind: 4,
+      content: await nip04.encrypt(this.sk, this.botPubkey, text),
+      tags: [['p', this.botPubkey]],
+    });
+    this.relay.publish(event);
+    return event;
+  }
+
+  /**
+   * Post a public note mentioning the bot
+   */
+  mention(text) {
+    const event = this.sign({ kind: 1, content: text, tags: [['p', this.botPubkey]] });
+    this.relay.publish(event);
+    return event;
+  }
+
+  /**
+   * Publish a kind 1006 balance request
+   */
+  requestBalance() {
+    const event = this.sign({ kind: 1006, content: '', tags: [['p', this.botPubkey]] });
+    this.relay.publish(event);
+    return event;
+  }
+
+  /**
+   * Publish a NIP-90 text-generation job request (kind 5050), open or for the given providers
+   */
+  requestJob(text, { providers = [] } = {}) {
+    const event = this.sign({
+      kind: 5050,
+      content: '',
+      tags: [['i', text, 'text'], ...providers.map(pubkey => ['p', pubkey])],
+    });
+    this.relay.publish(event);
+    return event;
+  }
+
+  /**
+   * Wait for `count` DMs from the bot and decrypt them, oldest first
+   */
+  async receiveDMs({ count = 1, timeoutMs } = {}) {
+    const events = await this.relay.waitFor({ kinds: [4], authors: [this.botPubkey], '#p': [this.pubkey] }, { count, timeoutMs });
+    const sorted = [...events].sort((a, b) => a.created_at - b.created_at);
+    return Promise.all(sorted.map(event => nip04.decrypt(this.sk, this.botPubkey, event.content)));
+  }
+}
+
+/**
+ * Start a bot against a fresh mock relay, temporary LMDB stores and a scripted LLM.
+ * @param {object} [config] - Overrides for the bot config
+ * @returns {Promise<{bot: NostrBot, relay: MockRelay, llm: FakeLLM, newUser: function, stop: function}>}
+ */
+export async function startBot(config = {}) {
+  const relay = new MockRelay();
+  const url = await relay.start();
+  const dataDir = mkdtempSync(join(tmpdir(), 'zapai-test-'));
+  const llm = new FakeLLM();
+
+  const bot = new NostrBot({
+    privateKey: Buffer.from(generateSecretKey()).toString('hex'),
+    botName: 'ZapAI',
+    relays: [url],
+    dataDir,
+    announcementConfigPath: join(dataDir, 'announcement.json'),
+    pricingConfigPath: join(dataDir, 'pricing.json'),
+    powMaxDifficulty: 0,
+    ...config,
+  }, {
+    db: new Database(join(dataDir, 'conversations')),
+    zapDb: new ZapDatabase(join(dataDir, 'zaps')),
+    llm,
+    // NRelay1's idle timer outlives close() and would keep the test process alive
+    createRelay: (relayUrl, opts) => new NRelay1(relayUrl, { ...opts, idleTimeout: false }),
+  });
+  await bot.start();
+
+  return {
+    bot,
+    relay,
+    llm,
+    newUser: () => new TestUser(relay, bot.pubkey),
+    stop: async () => {
+      await bot.stop();
+      await bot.seenEvents.close();
+      await bot.db.close();
+      await bot.zapDb.close();
+      await relay.close();
+      rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,144 @@
+import { WebSocketServer } from 'ws';
+import { matchFilters, verifyEvent } from 'nostr-tools';
+
+/**
+ * In-process NIP-01 relay for tests.
+ *
+ * Stores every accepted event, answers REQ with stored matches and EOSE, pushes new events to
+ * open subscriptions and answers EVENT with OK. `rejectEvent` can turn events down with a
+ * NIP-01 reason ("blocked: ...", "pow: ...").
+ */
+export class MockRelay {
+  constructor() {
+    this.server = null;
+    this.url = null;
+    this.events = [];
+    this.clients = new Set();
+    this.rejectEvent = null; // (event) => reason string, or null to accept
+    this.waiters = new Set();
+  }
+
+  /**
+   * Listen on a free local port. Resolves with the relay's ws:// url.
+   */
+  async start() {
+    this.server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve);
+      this.server.once('error', reject);
+    });
+    this.url = `ws://127.0.0.1:${this.server.address().port}`;
+    this.server.on('connection', (ws) => this._onConnection(ws));
+    return this.url;
+  }
+
+  /**
+   * Add an event as if a client had published it
+   */
+  publish(event) {
+    if (this.events.some(stored => stored.id === event.id)) return;
+
+    this.events.push(event);
+    for (const client of this.clients) {
+      for (const [subId, filters] of client.subs) {
+        if (matchFilters(filters, event)) {
+          client.ws.send(JSON.stringify(['EVENT', subId, event]));
+        }
+      }
+    }
+    for (const waiter of [...this.waiters]) {
+      waiter.check();
+    }
+  }
+
+  /**
+   * Stored events matching the filter (NIP-01 filter object)
+   */
+  find(filter) {
+    return this.events.filter(event => matchFilters([filter], event));
+  }
+
+  /**
+   * Wait until at least `count` stored events match the filter
+   * @returns {Promise<object[]>} the matching events
+   */
+  waitFor(filter, { count = 1, timeoutMs = 5000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        check: () => {
+          const matches = this.find(filter);
+          if (matches.length >= count) {
+            clearTimeout(waiter.timer);
+            this.waiters.delete(waiter);
+            resolve(matches);
+          }
+        },
+        timer: setTimeout(() => {
+          this.waiters.delete(waiter);
+          reject(new Error(`Timed out waiting for ${count} event(s) matching ${JSON.stringify(filter)}`));
+        }, timeoutMs),
+      };
+      this.waiters.add(waiter);
+      waiter.check();
+    });
+  }
+
+  async close() {
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+    }
+    this.waiters.clear();
+    for (const client of this.clients) {
+      client.ws.terminate();
+    }
+    this.clients.clear();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  _onConnection(ws) {
+    const client = { ws, subs: new Map() };
+    this.clients.add(client);
+    ws.on('close', () => this.clients.delete(client));
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        ws.send(JSON.stringify(['NOTICE', 'invalid: could not parse message']));
+        return;
+      }
+      this._onMessage(client, message);
+    });
+  }
+
+  _onMessage(client, [type, ...args]) {
+    const send = (message) => client.ws.send(JSON.stringify(message));
+
+    if (type === 'REQ') {
+      const [subId, ...filters] = args;
+      client.subs.set(subId, filters);
+      for (const event of this.events) {
+        if (matchFilters(filters, event)) send(['EVENT', subId, event]);
+      }
+      send(['EOSE', subId]);
+    } else if (type === 'CLOSE') {
+      client.subs.delete(args[0]);
+    } else if (type === 'EVENT') {
+      const [event] = args;
+      if (!verifyEvent(event)) {
+        send(['OK', event?.id, false, 'invalid: bad signature']);
+        return;
+      }
+      const reason = this.rejectEvent?.(event);
+      if (reason) {
+        send(['OK', event.id, false, reason]);
+        return;
+      }
+      send(['OK', event.id, true, '']);
+      this.publish(event);
+    }
+  }
+}
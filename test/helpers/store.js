@@ -0,0 +1,22 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Database } from '../../src/database.js';
+
+/**
+ * Open a Database (or, with `Store`, another LMDB-backed store) in a temporary directory,
+ * closed and removed when the test ends.
+ * @param {object} t - node:test context
+ * @param {Function} [Store] - Store class taking the database path
+ * @returns {Promise<Database>}
+ */
+export async function openStore(t, Store = Database) {
+  const dir = mkdtempSync(join(tmpdir(), 'zapai-store-'));
+  const store = new Store(join(dir, 'store'));
+  await store.init();
+  t.after(async () => {
+    await store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+}
@@ -0,0 +1,103 @@
+import { createHash, randomBytes } from 'crypto';
+import { finalizeEvent } from 'nostr-tools';
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GEN[i];
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const chars = [...hrp].map(char => char.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+function bytesToWords(bytes) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+  return words;
+}
+
+function intToWords(value, length) {
+  const words = [];
+  for (let i = 0; i < length; i++) {
+    words.unshift(value % 32);
+    value = Math.floor(value / 32);
+  }
+  return words;
+}
+
+function taggedField(type, bytes) {
+  const data = bytesToWords(bytes);
+  return [CHARSET.indexOf(type), data.length >> 5, data.length & 31, ...data];
+}
+
+/**
+ * BOLT11 invoice for `amountSats` committing to `description` (signature is zeroed:
+ * the bot trusts the provider's signed receipt, not the invoice signature); mainnet by default
+ */
+export function encodeBolt11({ amountSats, description, network = 'bc' }) {
+  const hrp = `ln${network}${amountSats * 10}n`;
+  const words = [
+    ...intToWords(Math.floor(Date.now() / 1000), 7),
+    ...taggedField('p', randomBytes(32)),
+    ...taggedField('h', createHash('sha256').update(description, 'utf8').digest()),
+    ...new Array(104).fill(0),
+  ];
+  const checksum = polymod([...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksumWords = Array.from({ length: 6 }, (_, i) => (checksum >> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...words, ...checksumWords].map(word => CHARSET[word]).join('')}`;
+}
+
+/**
+ * NIP-57 zap receipt (kind 9735) for a zap of `amountSats` from `senderSk` to the bot,
+ * signed by the LNURL provider key `providerSk`. `invoiceSats` and `invoiceDescription` make
+ * the invoice disagree with the zap request, `receiptRecipient` makes the receipt's p tag
+ * disagree with it; `withAmount: false` leaves the amount tag out of the zap request.
+ */
+export function buildZapReceipt({
+  providerSk, senderSk, botPubkey, amountSats, invoiceSats = amountSats, invoiceDescription = null,
+  network = 'bc', receiptRecipient = botPubkey, withAmount = true, relays = ['wss://relay.example.com'],
+}) {
+  const zapRequest = finalizeEvent({
+    kind: 9734,
+    content: '',
+    tags: [
+      ['p', botPubkey],
+      ...(withAmount ? [['amount', String(amountSats * 1000)]] : []),
+      ['relays', ...relays],
+    ],
+    created_at: Math.floor(Date.now() / 1000),
+  }, senderSk);
+  const description = JSON.stringify(zapRequest);
+
+  return finalizeEvent({
+    kind: 9735,
+    content: '',
+    tags: [
+      ['p', receiptRecipient],
+      ['bolt11', encodeBolt11({ amountSats: invoiceSats, description: invoiceDescription ?? description, network })],
+      ['description', description],
+    ],
+    created_at: Math.floor(Date.now() / 1000),
+  }, providerSk);
+}
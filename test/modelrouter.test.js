@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelRouter } from '../src/modelrouter.js';
+import { GeminiAI } from '../src/gemini.js';
+
+const PRIMARY = 'gemini-2.5-pro';
+const FAST = 'gemini-2.5-flash';
+
+describe('ModelRouter', () => {
+  const router = new ModelRouter({ primary: PRIMARY, fast: FAST });
+
+  it('sends small talk to the fast model without search', () => {
+    assert.deepEqual(router.route('gm!', { balance: 500 }), { model: FAST, search: false, reason: 'small_talk' });
+    assert.equal(router.route('thanks 🙏').model, FAST);
+  });
+
+  it('sends long or complex requests to the primary model', () => {
+    assert.equal(router.route('Explain how Lightning channels are closed', { balance: 500 }).model, PRIMARY);
+    assert.equal(router.route('x'.repeat(300), { balance: 500 }).reason, 'complex');
+  });
+
+  it('enables search only for questions about current information', () => {
+    assert.equal(router.route('What is the bitcoin price today?', { balance: 500 }).search, true);
+    assert.equal(router.route('What is a hash function?', { balance: 500 }).search, false);
+  });
+
+  it('keeps free-tier, low-balance and public requests on the fast model', () => {
+    const question = 'Explain the difference between NIP-04 and NIP-17';
+    assert.equal(router.route(question, { free: true }).reason, 'free_tier');
+    assert.equal(router.route(question, { balance: 5 }).reason, 'low_balance');
+    assert.equal(router.route('Who made nostr?', { isPublic: true, balance: 500 }).reason, 'public');
+  });
+
+  it('switches models while the chosen one is failing', () => {
+    const route = router.route('Explain zaps step by step', { balance: 500, available: model => model !== PRIMARY });
+    assert.equal(route.model, FAST);
+    assert.equal(route.reason, 'primary_unavailable');
+  });
+
+  it('sends internal calls to the fast model without search', () => {
+    assert.deepEqual(router.route('Summarize the latest news', { internal: true }), { model: FAST, search: false, reason: 'internal' });
+  });
+
+  it('always uses the primary model with search when disabled', () => {
+    const disabled = new ModelRouter({ primary: PRIMARY, fast: FAST, enabled: false });
+    assert.deepEqual(disabled.route('hi'), { model: PRIMARY, search: true, reason: 'routing_disabled' });
+  });
+});
+
+describe('GeminiAI routing', () => {
+  /**
+   * GeminiAI whose Google client returns scripted responses; `fail` lists models that throw
+   */
+  function scriptedGemini(fail = []) {
+    const gemini = new GeminiAI('test-key', 'ZapAI', { enableChatSessionReuse: false });
+    const requests = [];
+    gemini.models.clear();
+    gemini.genAI = {
+      getGenerativeModel: ({ model, tools }) => ({
+        startChat: () => ({
+          sendMessage: async (message) => {
+            requests.push({ model, search: Boolean(tools), message });
+            if (fail.includes(model)) throw new Error(`${model} is overloaded`);
+            return {
+              response: {
+                text: () => `${model} says hi`,
+                candidates: [{ finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+              },
+            };
+          },
+          sendMessageStream: async (message) => {
+            requests.push({ model, search: Boolean(tools), message, stream: true });
+            const parts = [`${model} `, 'says ', 'hi'];
+            return {
+              stream: (async function* () {
+                for (const part of parts) yield { text: () => part };
+              })(),
+              response: Promise.resolve({
+                text: () => parts.join(''),
+                candidates: [{ finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+              }),
+            };
+          },
+        }),
+      }),
+    };
+    return { gemini, requests };
+  }
+
+  it('answers with the routed model and reports it in usage and stats', async () => {
+    const { gemini, requests } = scriptedGemini();
+
+    const result = await gemini.generate('hello', [], null, { routing: { balance: 100 } });
+
+    assert.equal(result.text, `${FAST} says hi`);
+    assert.equal(result.usage.model, FAST);
+    assert.deepEqual(result.route, { model: FAST, search: false, reason: 'small_talk' });
+    assert.deepEqual(requests, [{ model: FAST, search: false, message: 'hello' }]);
+    assert.equal(gemini.getStats().routing.reasons.small_talk, 1);
+  });
+
+  it('streams the routed model\'s answer when asked to', async () => {
+    const { gemini, requests } = scriptedGemini();
+    const seen = [];
+
+    const result = await gemini.generate('hello', [], null, { routing: { balance: 100 }, onText: text => seen.push(text) });
+
+    assert.equal(result.text, `${FAST} says hi`);
+    assert.deepEqual(seen, [`${FAST} `, `${FAST} says `, `${FAST} says hi`]);
+    assert.equal(requests[0].stream, true);
+  });
+
+  it('falls back to the fast model once the primary circuit opens', async () => {
+    const { gemini } = scriptedGemini([PRIMARY]);
+    const question = 'Explain how NIP-57 zap receipts are validated';
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await gemini.generate(question, [], null, { routing: { balance: 100 } })).outcome, 'fallback');
+    }
+    const result = await gemini.generate(question, [], null, { routing: { balance: 100 } });
+
+    assert.equal(result.outcome, 'ok');
+    assert.equal(result.route.reason, 'primary_unavailable');
+    const { routing } = gemini.getStats();
+    assert.equal(routing.models[PRIMARY].circuitBreaker, 'OPEN');
+    assert.equal(routing.models[FAST].routed, 1);
+    assert.equal(gemini.available, true);
+  });
+});
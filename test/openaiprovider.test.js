@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { OpenAICompatibleProvider } from '../src/openaiprovider.js';
+
+/**
+ * Local /v1 server answering chat completions with `respond(body)` => [status, json], or
+ * [status, text] for a server-sent event stream
+ */
+async function startServer(t, respond) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, json] = req.url === '/v1/models'
+        ? [200, { data: [{ id: 'llama3.1:8b' }] }]
+        : respond(body);
+      if (typeof json === 'string') {
+        res.writeHead(status, { 'Content-Type': 'text/event-stream' });
+        res.end(json);
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, requests };
+}
+
+function completion(content, { finishReason = 'stop', usage } = {}) {
+  return {
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage: usage || { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 },
+  };
+}
+
+describe('OpenAICompatibleProvider', () => {
+  it('sends the system prompt and history and reports usage', async (t) => {
+    const { baseUrl, requests } = await startServer(t, () => [200, completion('Hi Alice!')]);
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'secret', model: 'llama3.1:8b' });
+
+    const history = [
+      { message: 'Hello', isFromBot: false },
+      { message: 'Hi, how can I help?', isFromBot: true },
+      { message: 'Greet me', isFromBot: false },
+    ];
+    const result = await provider.generate('Greet me', history, { name: 'Alice' });
+
+    assert.equal(result.outcome, 'ok');
+    assert.equal(result.text, 'Hi Alice!');
+    assert.deepEqual(result.usage, {
+      model: 'llama3.1:8b',
+      promptTokens: 120,
+      outputTokens: 30,
+      thoughtsTokens: 0,
+      cachedTokens: 0,
+      toolUseTokens: 0,
+      totalTokens: 150,
+      groundingQueries: 0,
+    });
+
+    const [request] = requests;
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.body.model, 'llama3.1:8b');
+    assert.equal(request.body.messages[0].role, 'system');
+    assert.match(request.body.messages[0].content, /Name: Alice/);
+    // The current message is already the last history entry and is sent once
+    assert.deepEqual(request.body.messages.slice(1).map(m => [m.role, m.content]), [
+      ['user', 'Hello'],
+      ['assistant', 'Hi, how can I help?'],
+      ['user', 'Greet me'],
+    ]);
+  });
+
+  it('streams the answer when asked to', async (t) => {
+    const events = [
+      { choices: [{ index: 0, delta: { role: 'assistant', content: '\nNostr is ' } }] },
+      { choices: [{ index: 0, delta: { content: 'a protocol.' } }] },
+      { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 12, completion_tokens: 6, total_tokens: 18 } },
+    ];
+    const stream = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+    const { baseUrl, requests } = await startServer(t, () => [200, stream]);
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3.1:8b' });
+
+    const seen = [];
+    const result = await provider.generate('What is nostr?', [], null, { onText: text => seen.push(text) });
+
+    assert.equal(requests[0].body.stream, true);
+    assert.deepEqual(seen, ['Nostr is ', 'Nostr is a protocol.']);
+    assert.equal(result.text, 'Nostr is a protocol.');
+    assert.equal(result.usage.totalTokens, 18);
+  });
+
+  it('reports reasoning tokens separately from the answer', async (t) => {
+    const usage = { prompt_tokens: 10, completion_tokens: 50, total_tokens: 60, completion_tokens_details: { reasoning_tokens: 40 } };
+    const { baseUrl } = await startServer(t, () => [200, completion('42', { usage })]);
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'o-mini' });
+
+    const { usage: reported } = await provider.complete('What is six times seven?');
+
+    assert.equal(reported.outputTokens, 10);
+    assert.equal(reported.thoughtsTokens, 40);
+  });
+
+  it('treats a content_filter finish as blocked', async (t) => {
+    const { baseUrl } = await startServer(t, () => [200, completion('', { finishReason: 'content_filter' })]);
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3.1:8b' });
+
+    const result = await provider.generate('something nasty');
+
+    assert.equal(result.outcome, 'blocked');
+    assert.equal(provider.getStats().blocked, 1);
+    assert.equal(provider.available, true);
+  });
+
+  it('falls back and opens its circuit when the server keeps failing', async (t) => {
+    const { baseUrl } = await startServer(t, () => [500, { error: { message: 'model not loaded' } }]);
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3.1:8b' });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await provider.generate('hello')).outcome, 'fallback');
+    }
+
+    const stats = provider.getStats();
+    assert.equal(stats.provider, 'openai');
+    assert.equal(stats.circuitBreaker.state, 'OPEN');
+    assert.equal(provider.available, false);
+  });
+
+  it('checks health through the models endpoint', async (t) => {
+    const { baseUrl, requests } = await startServer(t, () => [200, completion('OK')]);
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3.1:8b' });
+
+    assert.equal(await provider.test(), true);
+    assert.equal(requests[0].url, '/v1/models');
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventHash, nip13 } from 'nostr-tools';
+import { PowMiner } from '../src/powminer.js';
+
+const EVENT = { pubkey: 'a'.repeat(64), created_at: 1700000000, kind: 1, tags: [], content: 'hello' };
+
+describe('PowMiner', () => {
+  it('never runs more than maxWorkers jobs at once', async () => {
+    const miner = new PowMiner({ maxDifficulty: 8, maxWorkers: 2 });
+    let running = 0;
+    let peak = 0;
+    miner._run = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return { tags: [['nonce', '1', '8']], attempts: 1 };
+    };
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => miner.mine(EVENT, 8)));
+
+    assert.equal(peak, 2);
+    assert.equal(results.filter(Boolean).length, 8);
+    assert.equal(miner.getStats().active, 0);
+  });
+
+  it('mines an event to the requested difficulty in a worker thread', async (t) => {
+    const miner = new PowMiner({ maxDifficulty: 8, maxWorkers: 1 });
+    t.after(() => miner.stop());
+
+    const tags = await miner.mine(EVENT, 8);
+    assert.ok(nip13.getPow(getEventHash({ ...EVENT, tags })) >= 8);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PricingEngine, loadRateCard } from '../src/pricing.js';
+import { openStore } from './helpers/store.js';
+
+const ALICE = 'a'.repeat(64);
+
+async function openPricing(t, settings = {}, { firstActivity, models } = {}) {
+  const store = await openStore(t);
+  const pricing = new PricingEngine({ rateCard: loadRateCard(null), store, firstActivity, models });
+  await pricing.init();
+  await pricing.updateSettings(settings);
+  return { pricing, store };
+}
+
+describe('PricingEngine', () => {
+  it('never gives more free requests than the allowance to parallel requests', async (t) => {
+    const { pricing } = await openPricing(t, { freeTier: { dailyAllowance: 2, newUserDays: 7 } });
+
+    const consumed = await Promise.all(Array.from({ length: 10 }, () => pricing.consumeFreeRequest(ALICE)));
+
+    assert.equal(consumed.filter(Boolean).length, 2);
+    assert.equal((await pricing.quote(ALICE, 4)).freeRemaining, 0);
+  });
+
+  it('starts the new-user clock on first use, not on a quote', async (t) => {
+    const { pricing, store } = await openPricing(t, { freeTier: { dailyAllowance: 1, newUserDays: 7 } });
+
+    assert.equal((await pricing.quote(ALICE, 4)).freeRemaining, 1);
+    assert.equal(await store.getMeta(`pricing:user:${ALICE}`), null);
+
+    await pricing.recordUse(ALICE, 1000);
+    assert.equal((await store.getMeta(`pricing:user:${ALICE}`)).firstSeen, 1000);
+    assert.equal((await pricing.quote(ALICE, 4)).freeRemaining, 0);
+  });
+
+  it('does not count users who paid before the free tier as new users', async (t) => {
+    const firstActivity = async (pubkey) => (pubkey === ALICE ? Date.now() - 30 * 24 * 60 * 60 * 1000 : null);
+    const { pricing } = await openPricing(t, { freeTier: { dailyAllowance: 1, newUserDays: 7 } }, { firstActivity });
+
+    assert.equal((await pricing.quote(ALICE, 4)).freeRemaining, 0);
+    assert.equal(await pricing.consumeFreeRequest(ALICE), false);
+    assert.equal((await pricing.quote('b'.repeat(64), 4)).freeRemaining, 1);
+  });
+
+  it('returns a free request used today, not one from an earlier day', async (t) => {
+    const { pricing } = await openPricing(t, { freeTier: { dailyAllowance: 1, newUserDays: 7 } });
+
+    const usedAt = Date.now();
+    assert.equal(await pricing.consumeFreeRequest(ALICE, usedAt), true);
+    assert.equal(await pricing.releaseFreeRequest(ALICE, usedAt - 24 * 60 * 60 * 1000), false);
+    assert.equal(await pricing.releaseFreeRequest(ALICE, usedAt), true);
+    assert.equal((await pricing.quote(ALICE, 4)).freeRemaining, 1);
+  });
+
+  it('applies a NIP-05 domain discount only to a verified identifier', async (t) => {
+    const { pricing } = await openPricing(t, { nip05Domains: { 'example.com': { discountPercent: 50 } } });
+
+    const claimed = await pricing.quote(ALICE, 4, { nip05: 'alice@example.com', nip05Verified: false });
+    const verified = await pricing.quote(ALICE, 4, { nip05: 'alice@example.com', nip05Verified: true });
+
+    assert.equal(claimed.discountPercent, 0);
+    assert.deepEqual([verified.discountPercent, verified.discountSource], [50, 'nip05:example.com']);
+  });
+
+  it('lists the rates of every model answers are routed to', async (t) => {
+    const { pricing } = await openPricing(t, {}, { models: () => ['gemini-2.5-flash', 'gemini-2.5-pro'] });
+
+    const text = pricing.describe();
+    assert.match(text, /gemini-2\.5-flash: 0\.3 sats per 1k prompt tokens, 2\.5 sats per 1k output tokens/);
+    assert.match(text, /gemini-2\.5-pro: 1\.25 sats per 1k prompt tokens, 10 sats per 1k output tokens/);
+
+    const advertised = pricing.handlerPricing([5050])['5050'];
+    assert.deepEqual(advertised.models, {
+      'gemini-2.5-flash': { inputPer1k: 0.3, outputPer1k: 2.5 },
+      'gemini-2.5-pro': { inputPer1k: 1.25, outputPer1k: 10 },
+    });
+  });
+});
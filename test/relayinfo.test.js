@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { RelayInfo } from '../src/relayinfo.js';
+import { openStore } from './helpers/store.js';
+
+/**
+ * RelayInfo with cached NIP-11 documents giving each relay the `max_content_length` listed
+ */
+async function withContentLimits(t, contentLimits) {
+  const store = await openStore(t);
+  const urls = contentLimits.map((_, i) => `wss://relay${i}.example.com`);
+  for (const [i, url] of urls.entries()) {
+    const limitation = contentLimits[i] ? { max_content_length: contentLimits[i] } : {};
+    await store.setMeta(`nip11:${url}`, { info: { limitation }, fetchedAt: Date.now(), error: null });
+  }
+
+  const relayInfo = new RelayInfo({ store });
+  t.after(() => relayInfo.stop());
+  await relayInfo.load(urls);
+  return { relayInfo, urls };
+}
+
+describe('RelayInfo.contentLimit', () => {
+  it('sizes parts for the strictest of comparable relays', async (t) => {
+    const { relayInfo, urls } = await withContentLimits(t, [12000, 8000, 10000]);
+    assert.equal(relayInfo.contentLimit(urls).maxContentLength, 8000);
+  });
+
+  it('leaves out a relay whose limit is far below the others', async (t) => {
+    const { relayInfo, urls } = await withContentLimits(t, [64000, 1000, null]);
+    assert.equal(relayInfo.contentLimit(urls).maxContentLength, 64000);
+  });
+
+  it('ignores limits too small to split for', async (t) => {
+    const { relayInfo, urls } = await withContentLimits(t, [150]);
+    assert.equal(relayInfo.contentLimit(urls, { minLength: 200 }).maxContentLength, null);
+    assert.equal(relayInfo.contentLimit(urls).maxContentLength, 150);
+  });
+});
+
+/**
+ * Local HTTP server answering every request with `body`; resolves with its ws:// url
+ */
+async function serveDocument(t, body) {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/nostr+json' });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `ws://127.0.0.1:${server.address().port}`;
+}
+
+describe('RelayInfo.refresh', () => {
+  it('refuses documents over the size cap', async (t) => {
+    const store = await openStore(t);
+    const url = await serveDocument(t, JSON.stringify({ description: 'x'.repeat(100 * 1024) }));
+    const relayInfo = new RelayInfo({ store });
+    t.after(() => relayInfo.stop());
+
+    await relayInfo.refresh(url);
+    assert.equal(relayInfo.peek(url), null);
+    assert.match(relayInfo.others.get(url).error, /larger than/);
+  });
+
+  it('keeps documents of relays that are not ours in a bounded memory cache', async (t) => {
+    const store = await openStore(t);
+    const base = await serveDocument(t, JSON.stringify({ limitation: { max_content_length: 1000 } }));
+    const relayInfo = new RelayInfo({ store, maxOtherRelays: 2 });
+    t.after(() => relayInfo.stop());
+
+    const urls = ['a', 'b', 'c'].map(path => `${base}/${path}`);
+    for (const url of urls) {
+      await relayInfo.refresh(url);
+    }
+
+    assert.equal(relayInfo.peek(urls[2]).maxContentLength, 1000);
+    assert.deepEqual([...relayInfo.others.keys()], urls.slice(1));
+    for (const url of urls) {
+      assert.equal(await store.getMeta(`nip11:${url}`), null);
+    }
+  });
+});
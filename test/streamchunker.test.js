@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamChunker } from '../src/streamchunker.js';
+
+function chunker(minChars = 20) {
+  const sent = [];
+  const streamer = new StreamChunker({
+    minChars,
+    send: async (part) => {
+      sent.push(part);
+      return { signedEvent: { id: `event-${sent.length}` }, successCount: 1, retrying: false };
+    },
+  });
+  return { streamer, sent };
+}
+
+describe('StreamChunker', () => {
+  const answer = 'First paragraph, long enough.\n\nSecond paragraph, also long.\n\nThe end.';
+
+  it('sends completed paragraphs once enough text is pending', async () => {
+    const { streamer, sent } = chunker();
+
+    for (let i = 1; i <= answer.length; i++) {
+      streamer.push(answer.slice(0, i));
+    }
+    await streamer.settle();
+
+    assert.deepEqual(sent, ['First paragraph, long enough.', 'Second paragraph, also long.']);
+    assert.equal(streamer.rest(answer), 'The end.');
+    assert.equal(streamer.join('The end.'), answer);
+    assert.equal(streamer.delivery().signedEvent.id, 'event-1');
+  });
+
+  it('sends nothing early for a short answer', async () => {
+    const { streamer, sent } = chunker(200);
+
+    streamer.push(answer);
+    await streamer.settle();
+
+    assert.deepEqual(sent, []);
+    assert.equal(streamer.started, false);
+    assert.equal(streamer.rest(answer), answer);
+    assert.equal(streamer.join(answer), answer);
+  });
+
+  it('stops when a retry restarts the stream and sends the new answer whole', async () => {
+    const { streamer, sent } = chunker();
+
+    streamer.push('First paragraph, long enough.\n\nSecond');
+    streamer.push('Another');
+    streamer.push('Another answer entirely.\n\nWith paragraphs of its own.');
+    await streamer.settle();
+
+    const retried = 'Another answer entirely.\n\nWith paragraphs of its own.';
+    assert.deepEqual(sent, ['First paragraph, long enough.']);
+    assert.equal(streamer.rest(retried), retried);
+    assert.equal(streamer.join(retried), `First paragraph, long enough.\n\n${retried}`);
+  });
+});
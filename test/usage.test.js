@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateProviderCost, loadRateCard } from '../src/pricing.js';
+import { openStore } from './helpers/store.js';
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+
+function usage(promptTokens, outputTokens, extra = {}) {
+  return {
+    model: 'gemini-2.5-flash',
+    promptTokens,
+    outputTokens,
+    thoughtsTokens: 0,
+    cachedTokens: 0,
+    toolUseTokens: 0,
+    totalTokens: promptTokens + outputTokens,
+    groundingQueries: 0,
+    ...extra,
+  };
+}
+
+describe('Token accounting', () => {
+  it('estimates the provider cost with cached tokens at their discounted rate', () => {
+    const rateCard = loadRateCard(null);
+
+    assert.equal(estimateProviderCost(usage(2000, 1000), rateCard), 0.6 + 2.5);
+    assert.equal(estimateProviderCost(usage(2000, 1000, { cachedTokens: 1000 }), rateCard), 0.3 + 0.075 + 2.5);
+    assert.equal(estimateProviderCost({ ...usage(1000, 0), model: 'llama3.1:8b' }, rateCard), null);
+  });
+
+  it('totals answers per pubkey, session and day', async (t) => {
+    const store = await openStore(t);
+    const timestamp = Date.parse('2026-10-19T12:00:00Z');
+
+    await store.saveMessage(ALICE, 'question', false, { sessionId: 's1', timestamp });
+    await store.saveMessage(ALICE, 'answer', true, { sessionId: 's1', usage: usage(100, 50), cost: 3, providerCost: 1, timestamp });
+    await store.saveMessage(ALICE, 'answer', true, {
+      sessionId: 's2',
+      usage: usage(200, 50, { cachedTokens: 80 }),
+      cost: 2,
+      providerCost: 0.5,
+      timestamp: timestamp + 1000,
+    });
+    await store.recordUsage(ALICE, 's2', { usage: usage(300, 40), providerCost: 0, timestamp: timestamp + 2000, memory: true });
+    await store.saveMessage(BOB, 'answer', true, { sessionId: 's1', usage: usage(10, 5), cost: 1, timestamp });
+
+    const alice = await store.getUserUsage(ALICE);
+    assert.equal(alice.requests, 2);
+    assert.equal(alice.promptTokens, 600);
+    assert.equal(alice.cachedTokens, 80);
+    assert.equal(alice.memoryUpdates, 1);
+    assert.equal(alice.sats, 5);
+    assert.equal(alice.margin, 3.5);
+    assert.equal(alice.marginPercent, 70);
+    assert.deepEqual(alice.sessions.map(session => session.sessionId), ['s2', 's1']);
+
+    assert.equal((await store.getSessionUsage(ALICE, 's1')).totalTokens, 150);
+
+    const [day] = await store.getDailyUsage({ from: '2026-10-19', to: '2026-10-19' });
+    assert.equal(day.day, '2026-10-19');
+    assert.equal(day.requests, 3);
+    assert.equal(day.unpricedRequests, 1);
+
+    const top = await store.getTopSpenders({ sortBy: 'sats' });
+    assert.deepEqual(top.map(user => user.pubkey), [ALICE, BOB]);
+  });
+
+  it('counts a memory update without a session only in the pubkey and day totals', async (t) => {
+    const store = await openStore(t);
+    const timestamp = Date.parse('2026-10-19T12:00:00Z');
+
+    await store.recordUsage(` ${ALICE.toUpperCase()} `, null, { usage: usage(300, 40), providerCost: 0, timestamp, memory: true });
+
+    const alice = await store.getUserUsage(ALICE);
+    assert.equal(alice.memoryUpdates, 1);
+    assert.equal(alice.totalTokens, 340);
+    assert.deepEqual(alice.sessions, []);
+
+    const [day] = await store.getDailyUsage({ from: '2026-10-19', to: '2026-10-19' });
+    assert.equal(day.memoryUpdates, 1);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UserMemory, parseMemoryCommand } from '../src/usermemory.js';
+import { openStore } from './helpers/store.js';
+
+const ALICE = 'a'.repeat(64);
+
+/**
+ * LLM stand-in whose `complete` returns the given memory as JSON (or runs `reply(prompt)`)
+ */
+function memoryLLM(reply) {
+  const prompts = [];
+  return {
+    prompts,
+    complete: async (prompt, options) => {
+      prompts.push({ prompt, options });
+      const text = typeof reply === 'function' ? await reply(prompt) : JSON.stringify(reply);
+      return { text, outcome: 'ok', usage: { model: 'gemini-2.5-flash', promptTokens: 300, outputTokens: 40, totalTokens: 340 } };
+    },
+  };
+}
+
+async function chat(store, ...exchanges) {
+  for (const [question, answer] of exchanges) {
+    await store.saveMessage(ALICE, question, false, { sessionId: 's1', messageType: 'question' });
+    await store.saveMessage(ALICE, answer, true, { sessionId: 's1', messageType: 'response' });
+  }
+}
+
+describe('parseMemoryCommand', () => {
+  it('recognises the memory commands only', () => {
+    assert.deepEqual(parseMemoryCommand('/memory'), { action: 'list' });
+    assert.deepEqual(parseMemoryCommand('/remember I run a Lightning node'), { action: 'add', text: 'I run a Lightning node' });
+    assert.deepEqual(parseMemoryCommand('/memory edit 2 Lives in Lisbon'), { action: 'edit', index: 2, text: 'Lives in Lisbon' });
+    assert.deepEqual(parseMemoryCommand('/forget 3'), { action: 'remove', index: 3 });
+    assert.deepEqual(parseMemoryCommand('/forget all'), { action: 'wipe' });
+    assert.deepEqual(parseMemoryCommand('/forget'), { action: 'help' });
+    assert.equal(parseMemoryCommand('do you remember my name?'), null);
+  });
+});
+
+describe('UserMemory', () => {
+  it('folds new messages into the stored memory and accounts for the call', async (t) => {
+    const store = await openStore(t);
+    const llm = memoryLLM({ facts: ['Name is Alice', 'Name is Alice', ''], preferences: ['Short answers'] });
+    const usage = [];
+    const memory = new UserMemory({ store, llm, minNewMessages: 4, onUsage: async (...args) => usage.push(args) });
+
+    await chat(store, ['I am Alice', 'Hi Alice!'], ['Keep it short please', 'Sure.']);
+    assert.equal(memory.noteMessages(ALICE, 's1'), null);
+    const updated = await memory.noteMessages(ALICE, 's1');
+
+    assert.deepEqual(updated.facts, ['Name is Alice']);
+    assert.deepEqual(updated.preferences, ['Short answers']);
+    assert.match(llm.prompts[0].prompt, /User: I am Alice\nAssistant: Hi Alice!/);
+    assert.deepEqual(llm.prompts[0].options.routing, { internal: true });
+    assert.deepEqual(await memory.forPrompt(ALICE), { facts: ['Name is Alice'], preferences: ['Short answers'] });
+    assert.equal(usage[0][2].totalTokens, 340);
+
+    // Only messages after the last update are sent next time
+    await chat(store, ['I moved to Lisbon', 'Nice!']);
+    await memory.update(ALICE, 's1');
+    assert.doesNotMatch(llm.prompts[1].prompt, /I am Alice/);
+    assert.match(llm.prompts[1].prompt, /"Name is Alice"/);
+  });
+
+  it('lists, adds, edits and removes entries by number', async (t) => {
+    const store = await openStore(t);
+    const memory = new UserMemory({ store, llm: memoryLLM({}) });
+
+    assert.match(await memory.command(ALICE, { action: 'list' }), /don't remember anything/);
+    await memory.command(ALICE, { action: 'add', text: 'Runs a Lightning node' });
+    await memory.command(ALICE, { action: 'add', text: 'Lives in Porto' });
+    await memory.command(ALICE, { action: 'edit', index: 2, text: 'Lives in Lisbon' });
+    assert.match(await memory.command(ALICE, { action: 'remove', index: 1 }), /Forgotten: Runs a Lightning node/);
+    assert.match(await memory.command(ALICE, { action: 'remove', index: 5 }), /no entry 5/);
+
+    const listing = await memory.command(ALICE, { action: 'list' });
+    assert.match(listing, /Facts:\n1\. Lives in Lisbon/);
+  });
+
+  it('does not learn again from messages before a wipe', async (t) => {
+    const store = await openStore(t);
+    const llm = memoryLLM({ facts: ['Name is Alice'], preferences: [] });
+    const memory = new UserMemory({ store, llm });
+
+    await chat(store, ['I am Alice', 'Hi Alice!']);
+    await memory.update(ALICE);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await memory.command(ALICE, { action: 'wipe' });
+
+    assert.equal(await memory.update(ALICE), null);
+    assert.equal(llm.prompts.length, 1);
+    assert.equal(await memory.forPrompt(ALICE), null);
+  });
+
+  it('keeps a change the user made while an update was running', async (t) => {
+    const store = await openStore(t);
+    const memory = new UserMemory({
+      store,
+      llm: memoryLLM(async () => {
+        await memory.command(ALICE, { action: 'add', text: 'Prefers Persian' });
+        return JSON.stringify({ facts: ['Name is Alice'], preferences: [] });
+      }),
+    });
+
+    await chat(store, ['I am Alice', 'Hi Alice!']);
+
+    assert.equal(await memory.update(ALICE), null);
+    assert.deepEqual((await memory.get(ALICE)).facts, ['Prefers Persian']);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools';
+import { UserProfiles } from '../src/userprofiles.js';
+import { openStore } from './helpers/store.js';
+
+function profileEvent(sk, content, createdAt = Math.floor(Date.now() / 1000)) {
+  return finalizeEvent({ kind: 0, content: JSON.stringify(content), tags: [], created_at: createdAt }, sk);
+}
+
+describe('UserProfiles', () => {
+  it('caches a fetched profile and serves it without refetching', async (t) => {
+    const sk = generateSecretKey();
+    const pubkey = getPublicKey(sk);
+    let fetches = 0;
+    const profiles = new UserProfiles({
+      store: await openStore(t),
+      fetchEvents: async () => {
+        fetches++;
+        return [profileEvent(sk, { name: 'alice' })];
+      },
+      fetchTimeoutMs: 1000,
+    });
+
+    assert.equal((await profiles.get(pubkey)).name, 'alice');
+    assert.equal((await profiles.get(pubkey)).name, 'alice');
+    assert.equal(fetches, 1);
+  });
+
+  it('remembers users without a profile', async (t) => {
+    let fetches = 0;
+    const profiles = new UserProfiles({
+      store: await openStore(t),
+      fetchEvents: async () => {
+        fetches++;
+        return [];
+      },
+      fetchTimeoutMs: 1000,
+    });
+
+    const pubkey = getPublicKey(generateSecretKey());
+    assert.equal(await profiles.get(pubkey), null);
+    assert.equal(await profiles.get(pubkey), null);
+    assert.equal(fetches, 1);
+  });
+
+  it('keeps the newest kind 0 event', async (t) => {
+    const sk = generateSecretKey();
+    const profiles = new UserProfiles({ store: await openStore(t), fetchEvents: async () => [] });
+    const now = Math.floor(Date.now() / 1000);
+
+    await profiles.apply(profileEvent(sk, { name: 'new' }, now));
+    const record = await profiles.apply(profileEvent(sk, { name: 'old' }, now - 60));
+
+    assert.equal(record.name, 'new');
+  });
+
+  it('marks a NIP-05 identifier verified only when the check passes', async (t) => {
+    const good = generateSecretKey();
+    const bad = generateSecretKey();
+    const checked = [];
+    const profiles = new UserProfiles({
+      store: await openStore(t),
+      fetchEvents: async () => [],
+      verifyNip05: async (pubkey, identifier) => {
+        checked.push(identifier);
+        return pubkey === getPublicKey(good);
+      },
+    });
+
+    const verified = await profiles.apply(profileEvent(good, { name: 'good', nip05: 'good@example.com' }));
+    const claimed = await profiles.apply(profileEvent(bad, { name: 'bad', nip05: 'good@example.com' }));
+
+    assert.equal(verified.nip05Verified, true);
+    assert.equal(claimed.nip05Verified, false);
+    assert.deepEqual(profiles.getStats(), { fetched: 0, liveUpdates: 0, nip05Verified: 1, nip05Failed: 1, watched: 0 });
+
+    // An unchanged identifier is not checked again while the result is fresh
+    await profiles.apply(profileEvent(good, { name: 'good again', nip05: 'good@example.com' }, Math.floor(Date.now() / 1000) + 1));
+    assert.equal(checked.length, 2);
+  });
+
+  it('watches active users in one subscription and applies live updates', async (t) => {
+    const sk = generateSecretKey();
+    const pubkey = getPublicKey(sk);
+    const subscriptions = [];
+    const profiles = new UserProfiles({
+      store: await openStore(t),
+      fetchEvents: async () => [],
+      subscribe: (filters, onEvent, signal) => subscriptions.push({ filters, onEvent, signal }),
+      batchDelayMs: 10,
+    });
+    t.after(() => profiles.stop());
+
+    const other = getPublicKey(generateSecretKey());
+    profiles.touch(pubkey);
+    profiles.touch(other);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(subscriptions.length, 1);
+    assert.deepEqual(new Set(subscriptions[0].filters[0].authors), new Set([pubkey, other]));
+
+    subscriptions[0].onEvent(profileEvent(sk, { name: 'renamed' }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal((await profiles.get(pubkey)).name, 'renamed');
+    assert.equal(profiles.getStats().liveUpdates, 1);
+
+    profiles.stop();
+    assert.equal(subscriptions[0].signal.aborted, true);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicRelayUrl, parseRelayLists } from '../src/userrelays.js';
+
+describe('isPublicRelayUrl', () => {
+  it('accepts wss:// relays on public hosts', () => {
+    for (const url of ['wss://relay.damus.io', 'wss://nos.lol/', 'wss://8.8.8.8', 'wss://[2001:db8::1]']) {
+      assert.equal(isPublicRelayUrl(url), true, url);
+    }
+  });
+
+  it('refuses plain ws:// and internal hosts', () => {
+    const urls = [
+      'ws://relay.damus.io',
+      'wss://localhost:7777',
+      'wss://127.0.0.1',
+      'wss://2130706433',
+      'wss://10.0.0.5',
+      'wss://172.20.0.1',
+      'wss://192.168.1.10',
+      'wss://169.254.169.254',
+      'wss://[::1]',
+      'wss://[::ffff:127.0.0.1]',
+      'wss://[fd00::1]',
+      'wss://[fe80::1]',
+      'wss://relay.local',
+      'wss://intranet',
+    ];
+    for (const url of urls) {
+      assert.equal(isPublicRelayUrl(url), false, url);
+    }
+  });
+});
+
+describe('parseRelayLists', () => {
+  it('drops internal relays from users\' lists', () => {
+    const lists = parseRelayLists([
+      { kind: 10002, created_at: 1, tags: [['r', 'wss://relay.example.com'], ['r', 'ws://10.0.0.5:7777']] },
+      { kind: 10050, created_at: 1, tags: [['relay', 'wss://127.0.0.1'], ['relay', 'wss://inbox.example.com']] },
+    ]);
+
+    assert.deepEqual(lists, {
+      read: ['wss://relay.example.com'],
+      write: ['wss://relay.example.com'],
+      dm: ['wss://inbox.example.com'],
+    });
+  });
+});
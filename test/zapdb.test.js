@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZapDatabase } from '../src/zapdb.js';
+import { openStore } from './helpers/store.js';
+
+const ALICE = 'a'.repeat(64);
+
+function zap(receipt, amount = 21) {
+  return { sender: ALICE, amount, zapRequest: `request-${receipt}`, zapReceipt: receipt, bolt11: 'lnbc' };
+}
+
+describe('ZapDatabase', () => {
+  it('keeps one history record per receipt, even within the same millisecond', async (t) => {
+    const zapDb = await openStore(t, ZapDatabase);
+    const now = Date.now;
+    Date.now = () => 1_700_000_000_000;
+    t.after(() => { Date.now = now; });
+
+    await zapDb.saveZap(zap('r1'));
+    await zapDb.saveZap(zap('r2', 10));
+    await zapDb.saveZap(zap('r1'));
+
+    assert.deepEqual((await zapDb.getUserZaps(ALICE)).map(record => record.zapReceipt).sort(), ['r1', 'r2']);
+    assert.equal(await zapDb.getBalance(ALICE), 31);
+  });
+
+  it('reverses duplicate credits together with removing the duplicate records', async (t) => {
+    const zapDb = await openStore(t, ZapDatabase);
+    await zapDb.addToBalance(ALICE, 50);
+    // Legacy records: the same receipt credited twice under timestamp keys
+    for (const timestamp of [1000, 2000]) {
+      await zapDb.db.put(`zap:${ALICE}:${timestamp}`, { sender: ALICE, amount: 21, timestamp, zapReceipt: 'r1' });
+    }
+
+    const report = await zapDb.reconcileDuplicateZaps({ apply: true });
+
+    assert.equal(report.satsReversed, 21);
+    assert.equal(await zapDb.getBalance(ALICE), 29);
+    assert.deepEqual((await zapDb.getUserZaps(ALICE)).map(record => record.timestamp), [1000]);
+    assert.equal(zapDb.db.get('zapdup:r1:2000').duplicateOf, `zap:${ALICE}:1000`);
+    assert.equal((await zapDb.reconcileDuplicateZaps({ apply: true })).duplicateRecords, 0);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
+import { ZapValidator } from '../src/zapvalidator.js';
+import { buildZapReceipt } from './helpers/zaps.js';
+import { openStore } from './helpers/store.js';
+
+// An address whose LNURL endpoint can never be reached
+const LUD16 = 'zaps@zapai.invalid';
+
+describe('ZapValidator', () => {
+  const providerSk = generateSecretKey();
+  const botPubkey = getPublicKey(generateSecretKey());
+  const receipt = (options = {}) => buildZapReceipt({ providerSk, senderSk: generateSecretKey(), botPubkey, amountSats: 21, ...options });
+  const validator = () => new ZapValidator({ botPubkey, providerPubkeys: [getPublicKey(providerSk)] });
+
+  it('trusts the stored provider key while the LNURL endpoint is down', async (t) => {
+    const store = await openStore(t);
+    await store.setMeta(`zapprovider:${LUD16}`, { pubkey: getPublicKey(providerSk), fetchedAt: 0 });
+    const validator = new ZapValidator({ botPubkey, lud16: LUD16, store, fetchTimeoutMs: 1000 });
+
+    const result = await validator.validate(receipt());
+
+    assert.equal(result.valid, true);
+    assert.equal(result.amount, 21);
+  });
+
+  it('rejects a receipt whose zap request does not state the amount', async () => {
+    const unpriced = receipt({ withAmount: false });
+
+    assert.deepEqual(await validator().validate(unpriced), { valid: false, reason: 'Zap request has no amount tag' });
+  });
+
+  it('rejects a receipt signed by a key other than the provider\'s', async () => {
+    const forged = receipt({ providerSk: generateSecretKey() });
+
+    const result = await validator().validate(forged);
+
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /is not our LNURL provider/);
+  });
+
+  it('rejects an invoice whose description hash is not the zap request\'s', async () => {
+    const swapped = receipt({ invoiceDescription: '{"kind":9734}' });
+
+    assert.deepEqual(await validator().validate(swapped), {
+      valid: false,
+      reason: 'bolt11 description hash does not match the zap request',
+    });
+  });
+
+  it('rejects a receipt whose p tag is not the zap request\'s recipient', async () => {
+    const misdirected = receipt({ receiptRecipient: getPublicKey(generateSecretKey()) });
+
+    assert.deepEqual(await validator().validate(misdirected), { valid: false, reason: 'Receipt p tag does not match bot pubkey' });
+  });
+
+  it('rejects a zap request amount that differs from the invoice', async () => {
+    const underpaid = receipt({ invoiceSats: 1 });
+
+    const result = await validator().validate(underpaid);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'bolt11 amount 1000 msats does not match zap request amount 21000 msats');
+  });
+
+  it('rejects an invoice that is not on mainnet', async () => {
+    const testnet = receipt({ network: 'tb' });
+
+    const result = await validator().validate(testnet);
+
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /^Invalid bolt11 invoice: Not a mainnet invoice: lntb/);
+  });
+
+  it('reports a transient failure when the provider key was never resolved', async (t) => {
+    const store = await openStore(t);
+    const validator = new ZapValidator({ botPubkey, lud16: LUD16, store, fetchTimeoutMs: 1000 });
+
+    const result = await validator.validate(receipt());
+
+    assert.equal(result.valid, false);
+    assert.equal(result.transient, true);
+    assert.match(result.reason, /unreachable/);
+  });
+});